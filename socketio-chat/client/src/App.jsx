@@ -1,6 +1,39 @@
 // client/src/App.jsx
 import React, { useEffect, useRef, useState } from "react";
-import { useSocket } from "./socket/socket";
+import { useSocket, MAX_MESSAGE_LENGTH } from "./socket/socket";
+import { uploadFile, assetUrl, formatBytes } from "@/lib/uploads";
+import {
+  Paperclip,
+  X,
+  Download,
+  Pencil,
+  Archive,
+  LogOut,
+  Timer,
+  Trash2,
+  Reply,
+  MessageSquare,
+  Search,
+  Users,
+  AtSign,
+} from "lucide-react";
+import RoomList from "@/components/RoomList";
+import ModerationMenu from "@/components/ModerationMenu";
+import ThreadPanel from "@/components/ThreadPanel";
+import SearchPanel from "@/components/SearchPanel";
+import ConversationList from "@/components/ConversationList";
+import GroupMembers from "@/components/GroupMembers";
+import StatusPicker, { PresenceDot } from "@/components/StatusPicker";
+import NotificationMenu from "@/components/NotificationMenu";
+import ReactionPicker from "@/components/ReactionPicker";
+import { conversationTitle, isGroup } from "@/lib/conversations";
+import { ROLE_RANK, roleIn } from "@/lib/roles";
+import { formatLastSeen } from "@/lib/presence";
+import { errorText } from "@/lib/errors";
+import { unreadLabel } from "@/lib/unread";
+import { describeNotification } from "@/lib/notify";
+import { reactedByMe, whoReacted } from "@/lib/reactions";
+import { mentionQuery, mentionSuggestions, insertMention, mentionsMe, splitMentions } from "@/lib/mentions";
 
 // shadcn UI
 import { Card } from "@/components/ui/card";
@@ -8,13 +41,32 @@ import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { ScrollArea } from "@/components/ui/scroll-area";
 
+// "Alice is typing…", "Alice and Bob are typing…", "Alice and 2 others are typing…"
+function describeTyping(names) {
+  if (!names.length) return "";
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  return `${names[0]} and ${names.length - 1} others are typing…`;
+}
+
+// Banner text for a `rate_limited` notice from the server
+function describeRateLimit({ action, until }) {
+  const seconds = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+  if (action === "disconnect") return `Too many messages: disconnected, reconnecting in ${seconds}s.`;
+  if (action === "throttle") return `Slow down — you can send again in ${seconds}s.`;
+  return "Slow down — that was too fast, try again in a moment.";
+}
+
 function ChatApp({ userId }) {
   const {
     connect,
     disconnect,
     isConnected,
+    me,
     messages,
     users,
+    recentlySeen,
+    setPresence,
     typingUsers,
     currentRoom,
     joinRoom,
@@ -22,14 +74,66 @@ function ChatApp({ userId }) {
     sendPrivateMessage,
     setTyping,
     unread,
-    loadMessages,
-    page,
+    newMarker,
+    jumpToFirstUnread,
+    rooms,
+    roomError,
+    rateLimit,
+    serverError,
+    clearServerError,
+    conversations,
+    openConversation,
+    createGroup,
+    renameConversation,
+    addParticipants,
+    removeParticipant,
+    leaveConversation,
+    createRoom,
+    updateRoom,
+    archiveRoom,
+    leaveRoom,
+    kickUser,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser,
+    setSlowMode,
+    setMemberRole,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+    thread,
+    threadUnread,
+    openThread,
+    closeThread,
+    loadOlderThread,
+    sendThreadReply,
+    searchMessages,
+    jumpToMessage,
+    mention,
+    openMention,
+    dismissMention,
+    placeOf,
+    notifyLevelOf,
+    setNotifyLevel,
+    focus,
+    showLatest,
+    loadOlder,
     hasMore,
   } = useSocket(userId); // pass userId to the hook
 
-  const [room, setRoom] = useState("global");
-  const [selectedUserId, setSelectedUserId] = useState("");
   const [draft, setDraft] = useState("");
+  const [attachment, setAttachment] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [uploadError, setUploadError] = useState("");
+  const [editing, setEditing] = useState(null); // { id, text } while editing one of our messages
+  const [replyingTo, setReplyingTo] = useState(null); // message quoted by the next send
+  const [searching, setSearching] = useState(false);
+  const [showMembers, setShowMembers] = useState(false);
+  // @mention being typed in the composer: { start, query, options, index }
+  const [completion, setCompletion] = useState(null);
+  const fileInputRef = useRef(null);
+  const composerRef = useRef(null);
   const messagesEndRef = useRef(null);
   const scrollRef = useRef(null);
   const loadingOlderRef = useRef(false);
@@ -40,36 +144,246 @@ function ChatApp({ userId }) {
     return () => disconnect();
   }, []);
 
-  /** SCROLL TO BOTTOM */
+  /** SCROLL TO BOTTOM (or to the search hit we jumped to) */
   useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages]);
+    const hit = focus && document.getElementById(`message-${focus.messageId}`);
+    if (hit) hit.scrollIntoView({ behavior: "smooth", block: "center" });
+    else messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages, focus]);
 
   /** HANDLE SENDING MESSAGES */
   const handleSend = () => {
-    if (!draft.trim()) return;
-    if (selectedUserId) sendPrivateMessage(selectedUserId, draft.trim());
-    else sendMessage({ message: draft.trim(), room });
+    if (!draft.trim() && !attachment) return;
+    const meta = attachment ? { attachment } : undefined;
+    if (activeConversation) sendPrivateMessage(currentRoom, draft.trim(), meta, replyingTo);
+    else sendMessage({ message: draft.trim(), room: currentRoom, meta, replyTo: replyingTo });
 
     setDraft("");
+    setCompletion(null);
+    setReplyingTo(null);
+    setAttachment(null);
     setTyping(false);
   };
 
-  /** RENDER MESSAGE */
-  const renderMessage = (m) => {
+  /** @MENTION AUTOCOMPLETE (from the online list; the server resolves names on send) */
+  const handleDraftChange = (e) => {
+    const text = e.target.value;
+    setDraft(text);
+    setTyping(text.length > 0);
+    const query = mentionQuery(text, e.target.selectionStart ?? text.length);
+    const options = query ? mentionSuggestions(query.query, users, myId) : [];
+    setCompletion(options.length ? { ...query, options, index: 0 } : null);
+  };
+
+  const pickMention = (name) => {
+    const { text, caret } = insertMention(draft, completion, name);
+    setDraft(text);
+    setCompletion(null);
+    requestAnimationFrame(() => {
+      composerRef.current?.focus();
+      composerRef.current?.setSelectionRange(caret, caret);
+    });
+  };
+
+  const handleComposerKey = (e) => {
+    if (!completion) {
+      if (e.key === "Enter") handleSend();
+      return;
+    }
+    const count = completion.options.length;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : count - 1;
+      setCompletion({ ...completion, index: (completion.index + step) % count });
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      pickMention(completion.options[completion.index].name);
+    } else if (e.key === "Escape") {
+      setCompletion(null);
+    }
+  };
+
+  /** ATTACHMENTS */
+  const handleFileChosen = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setUploadError("");
+    setUploading(true);
+    try {
+      setAttachment(await uploadFile(file));
+    } catch (err) {
+      setUploadError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const renderAttachment = (a) =>
+    a.kind === "image" ? (
+      <a href={assetUrl(a.url)} target="_blank" rel="noreferrer" className="block mt-1">
+        <img
+          src={assetUrl(a.thumbnailUrl || a.url)}
+          alt={a.name}
+          width={a.thumbnailUrl ? a.thumbWidth : a.width}
+          height={a.thumbnailUrl ? a.thumbHeight : a.height}
+          className="rounded-md max-h-60 object-cover"
+          loading="lazy"
+        />
+      </a>
+    ) : (
+      <a
+        href={assetUrl(a.url)}
+        download={a.name}
+        target="_blank"
+        rel="noreferrer"
+        className="flex items-center gap-2 mt-1 underline"
+      >
+        <Download className="w-4 h-4" />
+        <span>{a.name}</span>
+        <span className="text-xs opacity-70">({formatBytes(a.size)})</span>
+      </a>
+    );
+
+  /** EDIT / DELETE */
+  const saveEdit = async () => {
+    const res = await editMessage(editing.id, editing.text);
+    if (res?.status === "ok") setEditing(null);
+    else setEditing((e) => e && { ...e, error: errorText(res, "failed") });
+  };
+
+  const handleDelete = (m) => {
+    if (window.confirm("Delete this message?")) deleteMessage(m._id);
+  };
+
+  /** REPLIES + THREADS */
+  const renderQuote = (q) => (
+    <div className="border-l-4 border-gray-400 pl-2 mb-1 text-xs opacity-80">
+      <strong>{q.sender}</strong>{" "}
+      <span className="line-clamp-2">
+        {q.deleted ? <em>message deleted</em> : q.message || (q.hasAttachment ? "📎 attachment" : "…")}
+      </span>
+    </div>
+  );
+
+  const renderThreadSummary = (m) => (
+    <button
+      onClick={() => openThread(m)}
+      className="flex items-center gap-1 mt-1 text-xs text-blue-600 hover:underline"
+    >
+      <MessageSquare className="w-3 h-3" />
+      {m.replyCount} {m.replyCount === 1 ? "reply" : "replies"}
+      {m.lastReply && (
+        <span className="text-gray-500 truncate max-w-48">
+          · {m.lastReply.sender}: {m.lastReply.deleted ? "message deleted" : m.lastReply.message || "📎"}
+        </span>
+      )}
+      {threadUnread[m._id] > 0 && (
+        <span className="bg-red-500 text-white px-1.5 rounded-full">{threadUnread[m._id]}</span>
+      )}
+    </button>
+  );
+
+  const renderMessageBody = (m) => {
+    if (m.deletedAt) return <span className="italic opacity-70">message deleted</span>;
+    if (editing?.id === m._id) {
+      return (
+        <div className="flex flex-col gap-1">
+          <Input
+            value={editing.text}
+            maxLength={MAX_MESSAGE_LENGTH}
+            autoFocus
+            onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") saveEdit();
+              if (e.key === "Escape") setEditing(null);
+            }}
+            className="bg-white text-gray-900"
+          />
+          <span className="text-xs opacity-80">
+            {editing.error ? `⚠ ${editing.error}` : "Enter to save · Esc to cancel"}
+          </span>
+        </div>
+      );
+    }
+    return (
+      <>
+        {m.replyPreview && renderQuote(m.replyPreview)}
+        {m.message && (
+          <span>
+            {splitMentions(m.message, m.mentions).map(({ text, mention: tag }, i) =>
+              !tag ? (
+                text
+              ) : (
+                <span
+                  key={i}
+                  className={
+                    tag.kind !== "user" || tag.userId === myId
+                      ? "font-semibold bg-amber-200 text-amber-900 rounded px-0.5"
+                      : "font-semibold underline"
+                  }
+                >
+                  {text}
+                </span>
+              )
+            )}
+          </span>
+        )}
+        {m.editedAt && (
+          <span className="text-xs opacity-70 ml-1" title={`Edited ${new Date(m.editedAt).toLocaleString()}`}>
+            (edited)
+          </span>
+        )}
+        {m.meta?.attachment && renderAttachment(m.meta.attachment)}
+      </>
+    );
+  };
+
+  /** REACTIONS: one chip per emoji, ours highlighted; clicking one adds or takes back ours */
+  const renderReactions = (m) => (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {m.reactions.map((r) => (
+        <button
+          key={r.emoji}
+          onClick={() => toggleReaction(m._id, r.emoji)}
+          title={whoReacted(r, myId)}
+          disabled={Boolean(m.deletedAt)}
+          className={`flex items-center gap-1 px-1.5 rounded-full border text-xs ${
+            reactedByMe(r, myId) ? "bg-blue-100 border-blue-400" : "bg-white border-gray-300 hover:bg-gray-50"
+          }`}
+        >
+          <span>{r.emoji}</span>
+          <span>{r.count}</span>
+        </button>
+      ))}
+    </div>
+  );
+
+  /** RENDER MESSAGE (also used by the thread panel, which has its own composer) */
+  const renderMessage = (m, { inThread = false } = {}) => {
     const isSystem = m.system;
-    const isOwn = m.senderId === userId;
+    const isOwn = m.senderId === (me?.userId ?? userId);
     const status = m.status || "sent";
+    // only stored messages can change; moderators may remove others' room messages
+    const canEdit = isOwn && m._id && !m.deletedAt;
+    const canDelete = m._id && !m.deletedAt && (isOwn || (canModerate && !m.isPrivate));
+    const canReply = !inThread && m._id && !m.deletedAt;
+    const canReact = m._id && !m.deletedAt;
 
     return (
       <div
         key={m._id || m.id || Math.random()}
-        className={`flex flex-col mb-2 ${isOwn ? "items-end" : "items-start"}`}
+        id={!inThread && m._id ? `message-${m._id}` : undefined}
+        className={`flex flex-col mb-2 ${isOwn ? "items-end" : "items-start"} ${
+          !inThread && m._id && m._id === focus?.messageId ? "bg-yellow-100 rounded-lg" : ""
+        }`}
       >
         <Card
           className={`p-3 max-w-[70%] shadow ${
             isSystem
               ? "bg-gray-200 text-gray-600 italic"
+              : mentionsMe(m, myId)
+              ? "bg-amber-50 text-gray-900 rounded-tl-none border-l-4 border-amber-400"
               : isOwn
               ? "bg-blue-500 text-white rounded-tr-none"
               : "bg-gray-100 text-gray-900 rounded-tl-none"
@@ -80,6 +394,9 @@ function ChatApp({ userId }) {
               <strong>{m.sender}</strong>
               {isOwn && (
                 <span className="text-xs ml-2 text-gray-200">
+                  {status === "queued" && "🕓"}
+                  {status === "sending" && "…"}
+                  {status === "failed" && (m.error ? `⚠ not sent (${m.error})` : "⚠ not sent")}
                   {status === "sent" && "✓"}
                   {status === "delivered" && "✓✓"}
                   {status === "read" && "✓✓ (read)"}
@@ -87,11 +404,34 @@ function ChatApp({ userId }) {
               )}
             </div>
           )}
-          <span>{m.message}</span>
+          {renderMessageBody(m)}
         </Card>
+        {m.reactions?.length > 0 && renderReactions(m)}
+        {!inThread && m.replyCount > 0 && renderThreadSummary(m)}
         {!isSystem && (
-          <span className="text-xs text-gray-400 mt-1">
+          <span className="flex items-center gap-1 text-xs text-gray-400 mt-1">
             {new Date(m.timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+            {canEdit && editing?.id !== m._id && (
+              <button onClick={() => setEditing({ id: m._id, text: m.message })} aria-label="Edit message">
+                <Pencil className="w-3 h-3" />
+              </button>
+            )}
+            {canDelete && (
+              <button onClick={() => handleDelete(m)} aria-label="Delete message">
+                <Trash2 className="w-3 h-3" />
+              </button>
+            )}
+            {canReact && <ReactionPicker onPick={(emoji) => toggleReaction(m._id, emoji)} />}
+            {canReply && (
+              <button onClick={() => setReplyingTo(m)} aria-label="Quote in reply">
+                <Reply className="w-3 h-3" />
+              </button>
+            )}
+            {canReply && !m.isPrivate && (
+              <button onClick={() => openThread(m)} aria-label="Reply in thread">
+                <MessageSquare className="w-3 h-3" />
+              </button>
+            )}
           </span>
         )}
       </div>
@@ -104,7 +444,7 @@ function ChatApp({ userId }) {
     if (scrollRef.current.scrollTop === 0 && hasMore) {
       loadingOlderRef.current = true;
       const prevHeight = scrollRef.current.scrollHeight;
-      loadMessages(currentRoom, page + 1);
+      loadOlder();
       setTimeout(() => {
         scrollRef.current.scrollTop = scrollRef.current.scrollHeight - prevHeight;
         loadingOlderRef.current = false;
@@ -112,45 +452,107 @@ function ChatApp({ userId }) {
     }
   };
 
-  const rooms = ["global", "sports", "tech", "random"];
+  /** ROOM ACTIONS (by role, server re-checks) */
+  const activeRoom = rooms.find((r) => r.slug === currentRoom);
+  const activeConversation = conversations.find((c) => c.key === currentRoom);
+  const activeGroup = isGroup(activeConversation) ? activeConversation : null;
+  const myId = me?.userId ?? userId;
+  // groups go by their title, direct conversations by the other person
+  const conversationLabel =
+    activeConversation && `${activeGroup ? "" : "@"}${conversationTitle(activeConversation, myId)}`;
+  const myRole = roleIn(activeRoom, myId, me?.isAdmin);
+  const isRoomOwner = myRole === "owner";
+  const canModerate = ROLE_RANK[myRole] >= ROLE_RANK.moderator;
+  const moderationActions = { kickUser, banUser, unbanUser, muteUser, unmuteUser, setMemberRole };
+  // the "new messages" divider of the room we opened with unread messages
+  const marker = newMarker?.room === currentRoom ? newMarker : null;
+
+  const handleRename = () => {
+    const name = window.prompt("Room name", activeRoom.name);
+    if (name === null) return;
+    const topic = window.prompt("Topic", activeRoom.topic || "");
+    updateRoom(currentRoom, { name, topic: topic ?? undefined });
+  };
+
+  const handleSlowMode = () => {
+    const seconds = window.prompt("Seconds between messages (0 turns slow mode off)", activeRoom.slowModeSeconds || 0);
+    if (seconds !== null) setSlowMode(Number(seconds) || 0);
+  };
+
+  const handleArchive = () => {
+    if (window.confirm(`Archive #${activeRoom.name}? It becomes read-only.`)) archiveRoom(currentRoom);
+  };
+
+  const handleRenameGroup = () => {
+    const title = window.prompt("Group name (empty lists the members)", activeGroup.title);
+    if (title !== null) renameConversation(currentRoom, title);
+  };
+
+  const handleLeaveGroup = () => {
+    if (window.confirm(`Leave ${conversationLabel}? You will no longer see its messages.`)) {
+      leaveConversation(currentRoom);
+    }
+  };
 
   return (
     <div className="flex h-screen bg-gray-100">
       {/* Sidebar */}
       <Card className="w-72 flex flex-col p-4 gap-4 bg-white shadow-lg rounded-tr-xl rounded-br-xl">
-        <span className="font-bold text-lg">Channels</span>
-        <ul className="space-y-2 mt-2">
-          {rooms.map((r) => (
-            <li key={r}>
-              <Button
-                variant={currentRoom === r ? "default" : "outline"}
-                className="w-full justify-between text-left rounded-lg hover:bg-gray-100 transition"
-                onClick={() => {
-                  setRoom(r);
-                  joinRoom(r);
-                  setSelectedUserId("");
-                }}
-              >
-                <span>#{r}</span>
-                {unread[r] > 0 && (
-                  <span className="bg-red-500 text-white text-xs px-2 rounded-full">
-                    {unread[r]}
-                  </span>
-                )}
-              </Button>
-            </li>
-          ))}
-        </ul>
+        <RoomList
+          rooms={rooms}
+          currentRoom={currentRoom}
+          unread={unread}
+          onCreate={createRoom}
+          onSelect={joinRoom}
+        />
+
+        <ConversationList
+          conversations={conversations}
+          currentRoom={currentRoom}
+          unread={unread}
+          myId={myId}
+          users={users}
+          onSelect={joinRoom}
+          onCreateGroup={createGroup}
+        />
 
         <h4 className="font-semibold mt-6">Online</h4>
+        <StatusPicker presence={users.find((u) => u.userId === myId)} onChange={setPresence} />
         <ScrollArea className="h-64 border rounded-md mt-2 bg-gray-50 p-1">
           <ul className="space-y-1">
             {users.map((u) => (
-              <li key={u.socketId} className="flex justify-between items-center p-2 hover:bg-gray-100 rounded">
-                <span>{u.username}</span>
-                <Button size="xs" onClick={() => setSelectedUserId(u.socketId)}>
-                  PM
-                </Button>
+              <li key={u.userId} className="flex justify-between items-center p-2 hover:bg-gray-100 rounded">
+                <span className="flex items-center gap-2 min-w-0">
+                  <PresenceDot state={u.state} />
+                  <span className="flex flex-col min-w-0">
+                    <span className="truncate">{u.username}</span>
+                    {u.statusText && <span className="text-xs text-gray-500 truncate">{u.statusText}</span>}
+                  </span>
+                </span>
+                <span className="flex items-center gap-1">
+                  {canModerate &&
+                    u.clerkId &&
+                    ROLE_RANK[roleIn(activeRoom, u.clerkId)] < ROLE_RANK[myRole] && (
+                      <ModerationMenu
+                        target={u}
+                        myRole={myRole}
+                        targetRole={roleIn(activeRoom, u.clerkId)}
+                        actions={moderationActions}
+                      />
+                    )}
+                  {u.clerkId && u.clerkId !== myId && (
+                    <Button size="xs" onClick={() => openConversation(u.clerkId)}>
+                      PM
+                    </Button>
+                  )}
+                </span>
+              </li>
+            ))}
+            {recentlySeen.map((u) => (
+              <li key={u.userId} className="flex items-center gap-2 p-2 text-gray-500">
+                <PresenceDot state="offline" />
+                <span className="truncate">{u.username}</span>
+                <span className="ml-auto text-xs shrink-0">{formatLastSeen(u.lastSeen)}</span>
               </li>
             ))}
           </ul>
@@ -159,22 +561,216 @@ function ChatApp({ userId }) {
 
       {/* Chat Area */}
       <div className="flex flex-col flex-1 h-full">
+        {/* Room Header */}
+        <div className="flex items-center gap-2 px-4 py-2 border-b bg-white">
+          <span className="font-semibold">
+            {activeConversation ? conversationLabel : `#${activeRoom?.name || currentRoom}`}
+          </span>
+          {activeRoom?.topic && <span className="text-sm text-gray-500 truncate">{activeRoom.topic}</span>}
+          {activeRoom?.archived && <span className="text-xs text-gray-400">(archived)</span>}
+          {roomError && <span className="text-sm text-red-500">Room unavailable: {roomError.replaceAll("_", " ")}</span>}
+          <div className="ml-auto flex gap-1">
+            <Button size="icon" variant="ghost" onClick={() => setSearching((v) => !v)} aria-label="Search messages">
+              <Search className="w-4 h-4" />
+            </Button>
+            {(activeRoom || activeConversation) && (
+              <NotificationMenu
+                level={notifyLevelOf(currentRoom)}
+                onChange={(level) => setNotifyLevel(currentRoom, level)}
+              />
+            )}
+            {activeRoom?.slowModeSeconds > 0 && (
+              <span className="text-xs text-gray-500 self-center">slow mode: {activeRoom.slowModeSeconds}s</span>
+            )}
+            {canModerate && !activeRoom?.archived && (
+              <Button size="icon" variant="ghost" onClick={handleSlowMode} aria-label="Slow mode">
+                <Timer className="w-4 h-4" />
+              </Button>
+            )}
+            {ROLE_RANK[myRole] >= ROLE_RANK.admin && activeRoom && !activeRoom.archived && (
+              <Button size="icon" variant="ghost" onClick={handleRename} aria-label="Rename room">
+                <Pencil className="w-4 h-4" />
+              </Button>
+            )}
+            {isRoomOwner && !activeRoom.archived && (
+              <Button size="icon" variant="ghost" onClick={handleArchive} aria-label="Archive room">
+                <Archive className="w-4 h-4" />
+              </Button>
+            )}
+            {activeRoom && currentRoom !== "global" && (
+              <Button size="icon" variant="ghost" onClick={() => leaveRoom(currentRoom)} aria-label="Leave room">
+                <LogOut className="w-4 h-4" />
+              </Button>
+            )}
+            {activeGroup && (
+              <>
+                <Button size="icon" variant="ghost" onClick={() => setShowMembers((v) => !v)} aria-label="Members">
+                  <Users className="w-4 h-4" />
+                </Button>
+                <Button size="icon" variant="ghost" onClick={handleRenameGroup} aria-label="Rename group">
+                  <Pencil className="w-4 h-4" />
+                </Button>
+                <Button size="icon" variant="ghost" onClick={handleLeaveGroup} aria-label="Leave group">
+                  <LogOut className="w-4 h-4" />
+                </Button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Someone mentioned us in another room or conversation */}
+        {mention && (
+          <div className="flex items-center justify-center gap-2 px-3 py-1 border-b bg-amber-50 text-sm">
+            <AtSign className="w-4 h-4 text-amber-600" />
+            <span className="truncate">
+              {describeNotification(mention, placeOf(mention.room))}: {mention.preview}
+            </span>
+            <Button size="sm" variant="link" onClick={openMention}>
+              Open
+            </Button>
+            <Button size="icon" variant="ghost" onClick={dismissMention} aria-label="Dismiss mention">
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+        )}
+
+        {/* Unread messages further back than the loaded page */}
+        {marker && !messages.some((m) => m._id === marker.firstUnreadId) && (
+          <div className="flex items-center justify-center gap-2 px-3 py-1 border-b bg-blue-50 text-sm">
+            {unreadLabel(marker.unread)} new {marker.unread === 1 ? "message" : "messages"} since you last read this.
+            <Button size="sm" variant="link" onClick={jumpToFirstUnread}>
+              Jump to first unread
+            </Button>
+          </div>
+        )}
+
         <ScrollArea ref={scrollRef} className="flex-1 p-4 overflow-y-auto bg-gray-100" onScroll={handleScroll}>
-          {messages.map(renderMessage)}
+          {messages.map((m) => [
+            m._id && m._id === marker?.firstUnreadId && (
+              <div key="new-messages" className="flex items-center gap-2 my-2 text-xs text-red-500">
+                <span className="flex-1 border-t border-red-300" />
+                New messages
+                <span className="flex-1 border-t border-red-300" />
+              </div>
+            ),
+            renderMessage(m),
+          ])}
           <div ref={messagesEndRef} />
         </ScrollArea>
 
+        {/* Older history (after a jump) */}
+        {focus?.hasNewer && (
+          <div className="flex items-center justify-center gap-2 px-3 py-1 border-t bg-yellow-50 text-sm">
+            You are viewing older messages.
+            <Button size="sm" variant="link" onClick={showLatest}>
+              Jump to latest
+            </Button>
+          </div>
+        )}
+
+        {/* Quoted Reply */}
+        {replyingTo && (
+          <div className="flex items-center gap-2 px-3 py-2 border-t bg-white text-sm">
+            <Reply className="w-4 h-4 text-gray-500" />
+            <span className="truncate">
+              Replying to <strong>{replyingTo.sender}</strong>: {replyingTo.message}
+            </span>
+            <Button size="icon" variant="ghost" onClick={() => setReplyingTo(null)} aria-label="Cancel reply">
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+        )}
+
+        {/* Attachment Preview */}
+        {(attachment || uploading || uploadError) && (
+          <div className="flex items-center gap-2 px-3 py-2 border-t bg-white text-sm">
+            {uploading && <span className="text-gray-500">Uploading…</span>}
+            {uploadError && <span className="text-red-500">{uploadError}</span>}
+            {attachment && (
+              <>
+                {attachment.kind === "image" ? (
+                  <img src={assetUrl(attachment.thumbnailUrl)} alt={attachment.name} className="h-12 rounded" />
+                ) : (
+                  <Paperclip className="w-4 h-4" />
+                )}
+                <span className="truncate">{attachment.name}</span>
+                <span className="text-xs text-gray-400">{formatBytes(attachment.size)}</span>
+                <Button size="icon" variant="ghost" onClick={() => setAttachment(null)} aria-label="Remove attachment">
+                  <X className="w-4 h-4" />
+                </Button>
+              </>
+            )}
+          </div>
+        )}
+
+        {serverError && (
+          <div className="flex items-center px-4 py-1 text-sm text-red-600 bg-red-50 border-t">
+            <span className="flex-1">
+              {serverError.event.replaceAll("_", " ")} failed: {serverError.message}
+            </span>
+            <Button size="sm" variant="ghost" onClick={clearServerError}>
+              Dismiss
+            </Button>
+          </div>
+        )}
+        {rateLimit && (
+          <div className="px-4 py-1 text-sm text-amber-700 bg-amber-50 border-t">{describeRateLimit(rateLimit)}</div>
+        )}
+
         {/* Input Area */}
-        <div className="flex gap-2 p-2 border-t bg-white shadow-inner rounded-t-xl">
+        <div className="relative flex gap-2 p-2 border-t bg-white shadow-inner rounded-t-xl">
+          {completion && (
+            <ul className="absolute bottom-full left-12 mb-1 w-64 bg-white border rounded-md shadow-lg py-1 text-sm z-10">
+              {completion.options.map((o, i) => (
+                <li key={o.name}>
+                  <button
+                    // keep the focus (and caret) in the composer
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => pickMention(o.name)}
+                    className={`flex w-full gap-2 px-3 py-1 text-left ${
+                      i === completion.index ? "bg-blue-100" : "hover:bg-gray-100"
+                    }`}
+                  >
+                    <span className="font-medium">@{o.name}</span>
+                    {o.hint && <span className="text-gray-500 truncate">{o.hint}</span>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            className="hidden"
+            accept="image/jpeg,image/png,image/gif,image/webp,application/pdf,text/plain,application/zip"
+            onChange={handleFileChosen}
+          />
+          <Button
+            variant="outline"
+            size="icon"
+            className="rounded-full"
+            disabled={uploading}
+            onClick={() => fileInputRef.current?.click()}
+            aria-label="Attach file"
+          >
+            <Paperclip className="w-4 h-4" />
+          </Button>
           <Input
             type="text"
-            placeholder={selectedUserId ? "Private message..." : `Message #${room}`}
+            placeholder={
+              activeConversation
+                ? `Message ${conversationLabel}`
+                : activeRoom?.archived
+                ? "This room is archived"
+                : `Message #${activeRoom?.name || currentRoom}`
+            }
+            disabled={!activeConversation && activeRoom?.archived}
             value={draft}
-            onChange={(e) => {
-              setDraft(e.target.value);
-              setTyping(e.target.value.length > 0);
-            }}
-            onKeyDown={(e) => e.key === "Enter" && handleSend()}
+            maxLength={MAX_MESSAGE_LENGTH}
+            ref={composerRef}
+            onChange={handleDraftChange}
+            onKeyDown={handleComposerKey}
+            onBlur={() => setCompletion(null)}
             className="flex-1 rounded-full border-gray-300 shadow-sm focus:ring-2 focus:ring-blue-400"
           />
           <Button onClick={handleSend} disabled={!isConnected} className="rounded-full px-6">
@@ -183,10 +779,43 @@ function ChatApp({ userId }) {
         </div>
 
         {/* Typing Indicator */}
-        <div className="p-2 text-xs text-gray-500">
-          {typingUsers.length ? `${typingUsers.join(", ")} typing...` : ""}
-        </div>
+        <div className="p-2 text-xs text-gray-500">{describeTyping(typingUsers)}</div>
       </div>
+
+      {/* Search */}
+      {searching && (
+        <SearchPanel
+          rooms={rooms}
+          users={users}
+          onSearch={searchMessages}
+          onJump={jumpToMessage}
+          onClose={() => setSearching(false)}
+        />
+      )}
+
+      {/* Group Members */}
+      {showMembers && activeGroup && (
+        <GroupMembers
+          conversation={activeGroup}
+          users={users}
+          myId={myId}
+          onAdd={(userIds) => addParticipants(currentRoom, userIds)}
+          onRemove={(member) => removeParticipant(currentRoom, member)}
+          onClose={() => setShowMembers(false)}
+        />
+      )}
+
+      {/* Thread */}
+      {thread && (
+        <ThreadPanel
+          thread={thread}
+          renderMessage={renderMessage}
+          onClose={closeThread}
+          onLoadOlder={loadOlderThread}
+          onSend={(text) => sendThreadReply(text)}
+          disabled={!isConnected || activeRoom?.archived}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,94 @@
+// client/src/components/ConversationList.jsx
+import React, { useState } from "react";
+import { Plus, Users } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { conversationTitle, isGroup } from "@/lib/conversations";
+import { errorText } from "@/lib/errors";
+import { unreadLabel } from "@/lib/unread";
+
+/**
+ * Direct and group conversations from the server, most recent first, with the last
+ * message as a preview. Direct ones are started from the "PM" button of a user,
+ * groups from the inline form (online users as candidates); `onCreateGroup`
+ * resolves with the server's ack.
+ */
+export default function ConversationList({ conversations, currentRoom, unread, myId, users, onSelect, onCreateGroup }) {
+  const [creating, setCreating] = useState(false);
+  const [title, setTitle] = useState("");
+  const [picked, setPicked] = useState([]);
+  const [error, setError] = useState("");
+
+  const candidates = users.filter((u) => u.clerkId && u.clerkId !== myId);
+
+  const toggle = (userId) =>
+    setPicked((prev) => (prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const res = await onCreateGroup({ title: title.trim(), userIds: picked });
+    if (res?.status !== "ok") return setError(errorText(res, "could not create group"));
+    setTitle("");
+    setPicked([]);
+    setError("");
+    setCreating(false);
+  };
+
+  return (
+    <>
+      <div className="flex justify-between items-center">
+        <span className="font-bold text-lg">Direct messages</span>
+        <Button size="icon" variant="ghost" onClick={() => setCreating((v) => !v)} aria-label="New group">
+          <Plus className="w-4 h-4" />
+        </Button>
+      </div>
+
+      {creating && (
+        <form onSubmit={handleCreate} className="flex flex-col gap-2 text-sm">
+          <Input placeholder="Group name (optional)" value={title} onChange={(e) => setTitle(e.target.value)} autoFocus />
+          {!candidates.length && <span className="text-xs text-gray-500">Nobody else is online.</span>}
+          {candidates.map((u) => (
+            <label key={u.socketId} className="flex items-center gap-2">
+              <input type="checkbox" checked={picked.includes(u.clerkId)} onChange={() => toggle(u.clerkId)} />
+              {u.username}
+            </label>
+          ))}
+          {error && <span className="text-xs text-red-500">{error}</span>}
+          <Button type="submit" size="sm" disabled={picked.length < 2}>
+            Start group
+          </Button>
+        </form>
+      )}
+
+      {!conversations.length && <span className="text-xs text-gray-500">No conversations yet.</span>}
+      <ul className="space-y-2">
+        {conversations.map((c) => (
+          <li key={c.key}>
+            <Button
+              variant={currentRoom === c.key ? "default" : "outline"}
+              className="w-full h-auto justify-between text-left rounded-lg hover:bg-gray-100 transition"
+              onClick={() => onSelect(c.key)}
+            >
+              <span className="flex flex-col truncate">
+                <span className="flex items-center gap-1">
+                  {isGroup(c) && <Users className="w-3 h-3" />}
+                  {isGroup(c) ? conversationTitle(c, myId) : `@${conversationTitle(c, myId)}`}
+                </span>
+                {c.lastMessage && (
+                  <span className="text-xs opacity-70 truncate">
+                    {c.lastMessage.senderId === myId ? "You" : c.lastMessage.sender}:{" "}
+                    {c.lastMessage.deleted ? "message deleted" : c.lastMessage.message || "📎"}
+                  </span>
+                )}
+              </span>
+              {unread[c.key] > 0 && (
+                <span className="bg-red-500 text-white text-xs px-2 rounded-full">{unreadLabel(unread[c.key])}</span>
+              )}
+            </Button>
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
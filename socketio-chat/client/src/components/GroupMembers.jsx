@@ -0,0 +1,81 @@
+// client/src/components/GroupMembers.jsx
+import React, { useState } from "react";
+import { X, UserPlus, UserMinus } from "lucide-react";
+
+import { Card } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { errorText } from "@/lib/errors";
+
+/**
+ * Side panel with the people in a group conversation. Anyone in it can add online
+ * users; only whoever started the group removes people. `onAdd` / `onRemove`
+ * resolve with the server's ack so errors can be shown in place.
+ */
+export default function GroupMembers({ conversation, users, myId, onAdd, onRemove, onClose }) {
+  const [adding, setAdding] = useState("");
+  const [error, setError] = useState("");
+
+  const isMember = (userId) => conversation.participants.some((p) => p.userId === userId);
+  const candidates = users.filter((u) => u.clerkId && !isMember(u.clerkId));
+  const canRemove = conversation.createdBy === myId;
+
+  const handle = async (res) => setError(res?.status === "ok" ? "" : errorText(res, "failed"));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!adding) return;
+    await handle(await onAdd([adding]));
+    setAdding("");
+  };
+
+  return (
+    <Card className="w-72 flex flex-col h-full rounded-none border-l bg-white">
+      <div className="flex items-center justify-between px-4 py-2 border-b">
+        <span className="font-semibold">Members ({conversation.participants.length})</span>
+        <Button size="icon" variant="ghost" onClick={onClose} aria-label="Close members">
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <form onSubmit={handleAdd} className="flex gap-2 p-3 border-b text-sm">
+        <select value={adding} onChange={(e) => setAdding(e.target.value)} className="h-8 flex-1 rounded-md border px-2">
+          <option value="">Add someone online…</option>
+          {candidates.map((u) => (
+            <option key={u.socketId} value={u.clerkId}>
+              {u.username}
+            </option>
+          ))}
+        </select>
+        <Button type="submit" size="icon" disabled={!adding} aria-label="Add member">
+          <UserPlus className="w-4 h-4" />
+        </Button>
+      </form>
+      {error && <span className="px-3 pt-2 text-xs text-red-500">{error}</span>}
+
+      <ScrollArea className="flex-1 p-3 overflow-y-auto">
+        <ul className="space-y-1 text-sm">
+          {conversation.participants.map((p) => (
+            <li key={p.userId} className="flex justify-between items-center p-2 hover:bg-gray-100 rounded">
+              <span>
+                {p.username}
+                {p.userId === myId && " (you)"}
+                {p.userId === conversation.createdBy && <span className="text-xs text-gray-400"> · creator</span>}
+              </span>
+              {canRemove && p.userId !== myId && (
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  onClick={async () => handle(await onRemove(p.userId))}
+                  aria-label={`Remove ${p.username}`}
+                >
+                  <UserMinus className="w-4 h-4" />
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </ScrollArea>
+    </Card>
+  );
+}
@@ -0,0 +1,78 @@
+// client/src/components/ModerationMenu.jsx
+import React, { useState } from "react";
+import { Shield } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+import { ROLE_RANK } from "@/lib/roles";
+import { errorText } from "@/lib/errors";
+
+const MUTE_SECONDS = 10 * 60;
+const BAN_SECONDS = 24 * 60 * 60;
+
+/**
+ * Moderator actions on one person in the current room. Only rendered when the
+ * viewer outranks the target; the server checks the same rule again.
+ */
+export default function ModerationMenu({ target, myRole, targetRole, actions }) {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState("");
+
+  const run = async (promise) => {
+    const res = await promise;
+    setError(res?.status === "ok" ? "" : errorText(res, "failed"));
+    if (res?.status === "ok") setOpen(false);
+  };
+
+  const withReason = (fn) => {
+    const reason = window.prompt("Reason (optional)");
+    if (reason !== null) run(fn(reason));
+  };
+
+  // admins and owners hand out roles below their own
+  const assignable = ["admin", "moderator", "member"].filter((r) => ROLE_RANK[r] < ROLE_RANK[myRole]);
+
+  return (
+    <span className="relative">
+      <Button size="xs" variant="ghost" onClick={() => setOpen((v) => !v)} aria-label={`Moderate ${target.username}`}>
+        <Shield className="w-3 h-3" />
+      </Button>
+      {open && (
+        <div className="absolute right-0 z-10 mt-1 w-40 flex flex-col gap-1 p-2 bg-white border rounded shadow text-sm">
+          <Button size="xs" variant="outline" onClick={() => run(actions.muteUser(target.clerkId, MUTE_SECONDS))}>
+            Mute 10 min
+          </Button>
+          <Button size="xs" variant="outline" onClick={() => run(actions.unmuteUser(target.clerkId))}>
+            Unmute
+          </Button>
+          <Button size="xs" variant="outline" onClick={() => withReason((r) => actions.kickUser(target.clerkId, r))}>
+            Kick
+          </Button>
+          <Button
+            size="xs"
+            variant="outline"
+            onClick={() => withReason((r) => actions.banUser(target.clerkId, BAN_SECONDS, r))}
+          >
+            Ban 1 day
+          </Button>
+          <Button size="xs" variant="outline" onClick={() => run(actions.unbanUser(target.clerkId))}>
+            Unban
+          </Button>
+          {ROLE_RANK[myRole] >= ROLE_RANK.admin && (
+            <select
+              value={targetRole}
+              onChange={(e) => run(actions.setMemberRole(target.clerkId, e.target.value))}
+              className="h-7 rounded border px-1"
+            >
+              {assignable.map((r) => (
+                <option key={r} value={r}>
+                  {r}
+                </option>
+              ))}
+            </select>
+          )}
+          {error && <span className="text-xs text-red-500">{error}</span>}
+        </div>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,54 @@
+// client/src/components/NotificationMenu.jsx
+import React, { useState } from "react";
+import { Bell, BellOff } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+import { NOTIFY_LEVELS, popupPermission, askPopupPermission } from "@/lib/notify";
+import { errorText } from "@/lib/errors";
+
+/**
+ * Notification level of the open room or conversation (kept on the server, so it
+ * follows us to other devices), plus the browser's permission for desktop popups.
+ */
+export default function NotificationMenu({ level, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState("");
+  const [permission, setPermission] = useState(popupPermission);
+
+  const choose = async (value) => {
+    const res = await onChange(value);
+    setError(res?.status === "ok" ? "" : errorText(res, "failed"));
+    if (res?.status === "ok") setOpen(false);
+  };
+
+  return (
+    <span className="relative">
+      <Button size="icon" variant="ghost" onClick={() => setOpen((v) => !v)} aria-label="Notifications">
+        {level === "mute" ? <BellOff className="w-4 h-4" /> : <Bell className="w-4 h-4" />}
+      </Button>
+      {open && (
+        <div className="absolute right-0 z-10 mt-1 w-48 flex flex-col gap-1 p-2 bg-white border rounded shadow text-sm">
+          {NOTIFY_LEVELS.map((l) => (
+            <Button
+              key={l.value}
+              size="xs"
+              variant={l.value === level ? "default" : "outline"}
+              onClick={() => choose(l.value)}
+            >
+              {l.label}
+            </Button>
+          ))}
+          {permission === "default" && (
+            <Button size="xs" variant="link" onClick={() => askPopupPermission().then(setPermission)}>
+              Enable desktop popups
+            </Button>
+          )}
+          {permission === "denied" && (
+            <span className="text-xs text-gray-500">Desktop popups are blocked in the browser settings.</span>
+          )}
+          {error && <span className="text-xs text-red-500">{error}</span>}
+        </div>
+      )}
+    </span>
+  );
+}
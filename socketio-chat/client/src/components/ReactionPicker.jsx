@@ -0,0 +1,55 @@
+// client/src/components/ReactionPicker.jsx
+import React, { useState } from "react";
+import { SmilePlus } from "lucide-react";
+
+import { QUICK_REACTIONS } from "@/lib/reactions";
+
+/**
+ * Emoji picker next to a message: the quick picks, or any other emoji typed in.
+ * Picking one you already reacted with takes it back (the server toggles).
+ */
+export default function ReactionPicker({ onPick }) {
+  const [open, setOpen] = useState(false);
+  const [other, setOther] = useState("");
+
+  const pick = (emoji) => {
+    setOpen(false);
+    setOther("");
+    onPick(emoji);
+  };
+
+  return (
+    <span className="relative">
+      <button onClick={() => setOpen((v) => !v)} aria-label="Add reaction">
+        <SmilePlus className="w-3 h-3" />
+      </button>
+      {open && (
+        <div className="absolute z-10 bottom-full mb-1 w-52 p-2 bg-white border rounded shadow">
+          <div className="grid grid-cols-8 gap-1">
+            {QUICK_REACTIONS.map((emoji) => (
+              <button
+                key={emoji}
+                onClick={() => pick(emoji)}
+                className="text-base leading-6 rounded hover:bg-gray-100"
+                aria-label={`React with ${emoji}`}
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+          <input
+            value={other}
+            maxLength={32}
+            placeholder="Other emoji…"
+            onChange={(e) => setOther(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && other.trim()) pick(other.trim());
+              if (e.key === "Escape") setOpen(false);
+            }}
+            className="mt-2 h-7 w-full rounded border px-2 text-sm text-gray-900"
+          />
+        </div>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,88 @@
+// client/src/components/RoomList.jsx
+import React, { useState } from "react";
+import { Plus, Lock, Mail, Archive } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { errorText } from "@/lib/errors";
+import { unreadLabel } from "@/lib/unread";
+
+const VISIBILITY_ICONS = { private: Lock, "invite-only": Mail };
+
+/**
+ * Channel list driven by the server's rooms, with an inline "new room" form.
+ * `onCreate` resolves with the server's ack so errors can be shown in place.
+ */
+export default function RoomList({ rooms, currentRoom, unread, onSelect, onCreate }) {
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState("");
+  const [visibility, setVisibility] = useState("public");
+  const [error, setError] = useState("");
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    const res = await onCreate({ name: name.trim(), visibility });
+    if (res?.status !== "ok") return setError(errorText(res, "could not create room"));
+    setName("");
+    setVisibility("public");
+    setError("");
+    setCreating(false);
+  };
+
+  return (
+    <>
+      <div className="flex justify-between items-center">
+        <span className="font-bold text-lg">Channels</span>
+        <Button size="icon" variant="ghost" onClick={() => setCreating((v) => !v)} aria-label="New room">
+          <Plus className="w-4 h-4" />
+        </Button>
+      </div>
+
+      {creating && (
+        <form onSubmit={handleCreate} className="flex flex-col gap-2">
+          <Input placeholder="Room name" value={name} onChange={(e) => setName(e.target.value)} autoFocus />
+          <select
+            value={visibility}
+            onChange={(e) => setVisibility(e.target.value)}
+            className="h-9 rounded-md border px-2 text-sm"
+          >
+            <option value="public">Public</option>
+            <option value="invite-only">Invite only</option>
+            <option value="private">Private</option>
+          </select>
+          {error && <span className="text-xs text-red-500">{error}</span>}
+          <Button type="submit" size="sm">
+            Create
+          </Button>
+        </form>
+      )}
+
+      <ul className="space-y-2 mt-2">
+        {rooms.map((r) => {
+          const Icon = r.archived ? Archive : VISIBILITY_ICONS[r.visibility];
+          return (
+            <li key={r.slug}>
+              <Button
+                variant={currentRoom === r.slug ? "default" : "outline"}
+                className={`w-full justify-between text-left rounded-lg hover:bg-gray-100 transition ${
+                  r.archived ? "opacity-60" : ""
+                }`}
+                onClick={() => onSelect(r.slug)}
+                title={r.topic || undefined}
+              >
+                <span className="flex items-center gap-1 truncate">
+                  #{r.name}
+                  {Icon && <Icon className="w-3 h-3" />}
+                </span>
+                {unread[r.slug] > 0 && (
+                  <span className="bg-red-500 text-white text-xs px-2 rounded-full">{unreadLabel(unread[r.slug])}</span>
+                )}
+              </Button>
+            </li>
+          );
+        })}
+      </ul>
+    </>
+  );
+}
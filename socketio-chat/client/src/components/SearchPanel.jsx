@@ -0,0 +1,164 @@
+// client/src/components/SearchPanel.jsx
+import React, { useState } from "react";
+import { X, Search, Paperclip } from "lucide-react";
+
+import { Card } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { isConversationKey } from "@/lib/conversations";
+import { errorText } from "@/lib/errors";
+
+const SCOPES = { all: undefined, rooms: false, private: true }; // => isPrivate filter
+
+// Snippet text with the server's [start, end) highlight ranges wrapped in <mark>
+function Highlighted({ text, highlights }) {
+  const parts = [];
+  let at = 0;
+  highlights.forEach(([start, end]) => {
+    if (start > at) parts.push(text.slice(at, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    at = end;
+  });
+  parts.push(text.slice(at));
+  return <span className="whitespace-pre-line">{parts}</span>;
+}
+
+/**
+ * Message search with room, sender, date, attachment and private/public filters.
+ * `onSearch` resolves with the server's ack; clicking a hit calls `onJump`.
+ */
+export default function SearchPanel({ rooms, users, onSearch, onJump, onClose }) {
+  const [query, setQuery] = useState("");
+  const [room, setRoom] = useState("");
+  const [senderId, setSenderId] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [hasAttachment, setHasAttachment] = useState(false);
+  const [scope, setScope] = useState("all");
+  const [page, setPage] = useState(null); // { results, hasMore, nextBefore, filters }
+  const [error, setError] = useState("");
+
+  const run = async (filters, previous = []) => {
+    const res = await onSearch(filters);
+    if (res?.status !== "ok") return setError(errorText(res, "search failed"));
+    setError("");
+    setPage({ results: [...previous, ...res.results], hasMore: res.hasMore, nextBefore: res.nextBefore, filters });
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    run({
+      query: query.trim(),
+      room: room || undefined,
+      senderId: senderId || undefined,
+      // date inputs are local days; `to` covers the whole day
+      from: from ? new Date(`${from}T00:00`).toISOString() : undefined,
+      to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+      hasAttachment: hasAttachment || undefined,
+      isPrivate: SCOPES[scope],
+    });
+  };
+
+  const loadMore = () => run({ ...page.filters, before: page.nextBefore }, page.results);
+
+  const roomName = (slug) => rooms.find((r) => r.slug === slug)?.name || slug;
+
+  return (
+    <Card className="w-96 flex flex-col h-full rounded-none border-l bg-white">
+      <div className="flex items-center justify-between px-4 py-2 border-b">
+        <span className="font-semibold">Search</span>
+        <Button size="icon" variant="ghost" onClick={onClose} aria-label="Close search">
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <form onSubmit={handleSearch} className="flex flex-col gap-2 p-3 border-b text-sm">
+        <div className="flex gap-2">
+          <Input
+            placeholder='Search messages ("exact phrase")'
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            autoFocus
+          />
+          <Button type="submit" size="icon" aria-label="Search">
+            <Search className="w-4 h-4" />
+          </Button>
+        </div>
+        <div className="flex gap-2">
+          <select value={room} onChange={(e) => setRoom(e.target.value)} className="h-8 flex-1 rounded-md border px-2">
+            <option value="">All rooms</option>
+            {rooms.map((r) => (
+              <option key={r.slug} value={r.slug}>
+                #{r.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={senderId}
+            onChange={(e) => setSenderId(e.target.value)}
+            className="h-8 flex-1 rounded-md border px-2"
+          >
+            <option value="">Anyone</option>
+            {users
+              .filter((u) => u.clerkId)
+              .map((u) => (
+                <option key={u.socketId} value={u.clerkId}>
+                  {u.username}
+                </option>
+              ))}
+          </select>
+        </div>
+        <div className="flex gap-2 items-center">
+          <Input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="h-8" aria-label="From" />
+          <span>–</span>
+          <Input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="h-8" aria-label="To" />
+        </div>
+        <div className="flex gap-2 items-center">
+          <select value={scope} onChange={(e) => setScope(e.target.value)} className="h-8 rounded-md border px-2">
+            <option value="all">Rooms and private</option>
+            <option value="rooms">Rooms only</option>
+            <option value="private">Private only</option>
+          </select>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={hasAttachment} onChange={(e) => setHasAttachment(e.target.checked)} />
+            Has attachment
+          </label>
+        </div>
+        {error && <span className="text-xs text-red-500">{error}</span>}
+      </form>
+
+      <ScrollArea className="flex-1 p-3 overflow-y-auto">
+        {page && !page.results.length && <p className="text-sm text-gray-500">No messages found.</p>}
+        <ul className="space-y-2">
+          {page?.results.map(({ message: m, snippet }) => (
+            <li key={m._id}>
+              <button
+                onClick={() => onJump(m)}
+                // private messages from before conversations existed cannot be opened
+                disabled={m.isPrivate && !isConversationKey(m.room)}
+                className="w-full text-left p-2 rounded-md border hover:bg-gray-50 disabled:cursor-default text-sm"
+              >
+                <div className="flex justify-between text-xs text-gray-500">
+                  <span>
+                    <strong className="text-gray-800">{m.sender}</strong>{" "}
+                    {m.isPrivate ? (m.to ? "· direct message" : "· group message") : `in #${roomName(m.room)}`}
+                    {m.threadId && " · thread"}
+                  </span>
+                  <span>{new Date(m.timestamp).toLocaleString()}</span>
+                </div>
+                {m.meta?.attachment && <Paperclip className="inline w-3 h-3 mr-1" />}
+                <Highlighted {...snippet} />
+              </button>
+            </li>
+          ))}
+        </ul>
+        {page?.hasMore && (
+          <Button size="sm" variant="ghost" className="w-full mt-2" onClick={loadMore}>
+            More results
+          </Button>
+        )}
+      </ScrollArea>
+    </Card>
+  );
+}
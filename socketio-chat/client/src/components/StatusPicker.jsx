@@ -0,0 +1,62 @@
+// client/src/components/StatusPicker.jsx
+import React, { useEffect, useState } from "react";
+
+import { Input } from "@/components/ui/input";
+import { PRESENCE_STATES, CHOSEN_STATES } from "@/lib/presence";
+import { errorText } from "@/lib/errors";
+
+// Coloured dot for a presence state
+export function PresenceDot({ state }) {
+  const { label, dot } = PRESENCE_STATES[state] || PRESENCE_STATES.offline;
+  return <span className={`inline-block w-2 h-2 rounded-full shrink-0 ${dot}`} title={label} />;
+}
+
+/**
+ * Our own presence: the chosen state and a short status text (saved on Enter or
+ * blur). `presence` is our entry from the server; `onChange` resolves with its ack.
+ */
+export default function StatusPicker({ presence, onChange }) {
+  const [text, setText] = useState(presence?.statusText || "");
+  const [error, setError] = useState("");
+
+  // follow changes made from another tab
+  useEffect(() => setText(presence?.statusText || ""), [presence?.statusText]);
+
+  const save = async (change) => {
+    const res = await onChange(change);
+    setError(res?.status === "ok" ? "" : errorText(res, "could not update status"));
+  };
+
+  // idle is shown but not chosen: the picker keeps "online" selected
+  const chosen = CHOSEN_STATES.includes(presence?.state) ? presence.state : "online";
+
+  return (
+    <div className="flex flex-col gap-1 text-sm">
+      <div className="flex items-center gap-2">
+        <PresenceDot state={presence?.state} />
+        <select
+          value={chosen}
+          onChange={(e) => save({ status: e.target.value })}
+          className="h-8 flex-1 rounded-md border px-2"
+          aria-label="Your status"
+        >
+          {CHOSEN_STATES.map((state) => (
+            <option key={state} value={state}>
+              {PRESENCE_STATES[state].label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <Input
+        placeholder="What's your status?"
+        value={text}
+        maxLength={80}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+        onBlur={() => text !== (presence?.statusText || "") && save({ statusText: text })}
+        className="h-8"
+      />
+      {error && <span className="text-xs text-red-500">{error}</span>}
+    </div>
+  );
+}
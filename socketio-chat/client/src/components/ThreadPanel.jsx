@@ -0,0 +1,63 @@
+// client/src/components/ThreadPanel.jsx
+import React, { useState } from "react";
+import { X } from "lucide-react";
+
+import { Card } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { MAX_MESSAGE_LENGTH } from "@/socket/socket";
+
+/**
+ * Side panel for one thread: the root message, its replies (older pages on demand)
+ * and a composer that posts into the thread. Messages are drawn by the caller's
+ * `renderMessage` so they look the same as in the room.
+ */
+export default function ThreadPanel({ thread, renderMessage, onClose, onLoadOlder, onSend, disabled }) {
+  const [draft, setDraft] = useState("");
+
+  const handleSend = () => {
+    if (!draft.trim()) return;
+    onSend(draft.trim());
+    setDraft("");
+  };
+
+  return (
+    <Card className="w-96 flex flex-col h-full rounded-none border-l bg-white">
+      <div className="flex items-center justify-between px-4 py-2 border-b">
+        <span className="font-semibold">Thread</span>
+        <Button size="icon" variant="ghost" onClick={onClose} aria-label="Close thread">
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <ScrollArea className="flex-1 p-4 overflow-y-auto">
+        {renderMessage(thread.root, { inThread: true })}
+        <div className="text-xs text-gray-400 border-b pb-1 mb-2">
+          {thread.root.replyCount || 0} {thread.root.replyCount === 1 ? "reply" : "replies"}
+        </div>
+        {thread.hasMore && thread.nextBefore && (
+          <Button size="sm" variant="ghost" className="w-full mb-2" onClick={onLoadOlder}>
+            Load older replies
+          </Button>
+        )}
+        {thread.messages.map((m) => renderMessage(m, { inThread: true }))}
+      </ScrollArea>
+
+      <div className="flex gap-2 p-2 border-t">
+        <Input
+          placeholder="Reply in thread..."
+          value={draft}
+          maxLength={MAX_MESSAGE_LENGTH}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleSend()}
+          disabled={disabled}
+          className="flex-1 rounded-full"
+        />
+        <Button onClick={handleSend} disabled={disabled} className="rounded-full">
+          Reply
+        </Button>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,14 @@
+// client/src/lib/conversations.js
+// Mirrors the server's conversation keys (controllers/conversationController.js)
+export const isConversationKey = (key) => typeof key === "string" && /^(dm|group):/.test(key);
+
+export const isGroup = (conversation) => conversation?.kind === "group";
+
+// A group's title, else who the conversation is with, from one participant's point of view
+export const conversationTitle = (conversation, myId) =>
+  conversation?.title ||
+  conversation?.participants
+    .filter((p) => p.userId !== myId)
+    .map((p) => p.username)
+    .join(", ") ||
+  "Direct message";
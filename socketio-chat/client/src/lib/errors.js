@@ -0,0 +1,3 @@
+// Text to show for a failed ack { status: "error", code, message } (or our own { reason } for timeouts)
+export const errorText = (res, fallback = "something went wrong") =>
+  res?.message || res?.reason?.replaceAll("_", " ") || fallback;
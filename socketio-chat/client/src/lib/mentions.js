@@ -0,0 +1,48 @@
+// client/src/lib/mentions.js
+// Mirrors the server's parsing (controllers/mentionController.js)
+export const BROADCAST_MENTIONS = [
+  { name: "here", hint: "everyone reading now" },
+  { name: "room", hint: "all members" },
+];
+
+const MAX_SUGGESTIONS = 8;
+
+// The "@name" being typed just before the caret: { start, query }, or null
+export const mentionQuery = (text, caret) => {
+  const match = /(^|[^\w@.-])@([\w.-]{0,32})$/.exec(text.slice(0, caret));
+  if (!match) return null;
+  return { start: match.index + match[1].length, query: match[2].toLowerCase() };
+};
+
+// Online people (not us) and @here / @room whose name starts with the query
+export const mentionSuggestions = (query, users, myId) =>
+  [
+    ...users.filter((u) => u.userId !== myId).map((u) => ({ name: u.username, hint: u.statusText || "" })),
+    ...BROADCAST_MENTIONS,
+  ]
+    .filter((s, i, all) => s.name.toLowerCase().startsWith(query) && all.findIndex((o) => o.name === s.name) === i)
+    .slice(0, MAX_SUGGESTIONS);
+
+// Replace the "@query" at `start` with the picked name; resolves to { text, caret }
+export const insertMention = (text, { start, query }, name) => {
+  const before = `${text.slice(0, start)}@${name} `;
+  return { text: before + text.slice(start + 1 + query.length).replace(/^ /, ""), caret: before.length };
+};
+
+// Does the message mention us, by name or through @here / @room
+export const mentionsMe = (msg, myId) =>
+  msg.senderId !== myId && (msg.mentions || []).some((m) => m.kind !== "user" || m.userId === myId);
+
+// The text in plain and mention pieces, from the message's stored entities
+export const splitMentions = (text, mentions = []) => {
+  const parts = [];
+  let at = 0;
+  for (const m of [...mentions].sort((a, b) => a.offset - b.offset)) {
+    if (m.offset < at) continue; // one "@name" that several users answer to
+    if (m.offset > at) parts.push({ text: text.slice(at, m.offset) });
+    parts.push({ text: text.slice(m.offset, m.offset + m.length), mention: m });
+    at = m.offset + m.length;
+  }
+  if (at < text.length) parts.push({ text: text.slice(at) });
+  return parts;
+};
@@ -0,0 +1,91 @@
+// client/src/lib/notify.js
+// Browser side of `notification` events: desktop popups, a chime and the tab badge
+import { unreadLabel } from "@/lib/unread";
+
+// Mirrors the server's levels (controllers/notificationController.js)
+export const NOTIFY_LEVELS = [
+  { value: "all", label: "All messages" },
+  { value: "mentions", label: "Mentions only" },
+  { value: "mute", label: "Mute" },
+];
+
+// "Alice mentioned you in #general", "Bob mentioned @here in Plans", "Carol in #random"
+export const describeNotification = ({ type, mention, sender }, where) => {
+  if (type !== "mention") return `${sender} in ${where}`;
+  return `${sender} mentioned ${mention === "user" ? "you" : `@${mention}`} in ${where}`;
+};
+
+/** Web Notifications: "default" until the user answers the browser's prompt */
+export const popupPermission = () => (typeof Notification === "undefined" ? "unsupported" : Notification.permission);
+
+export const askPopupPermission = () =>
+  popupPermission() === "default" ? Notification.requestPermission() : Promise.resolve(popupPermission());
+
+// One popup per message (`tag`); clicking it brings the tab back and runs onClick
+export const showPopup = ({ title, body, tag, onClick }) => {
+  if (popupPermission() !== "granted") return;
+  const popup = new Notification(title, { body, tag, icon: "/vite.svg" });
+  popup.onclick = () => {
+    window.focus();
+    onClick?.();
+    popup.close();
+  };
+};
+
+/** Sound: two short notes, synthesised so there is no audio file to ship */
+let audio = null;
+
+export const playChime = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  audio ??= new AudioContext();
+  // browsers start it suspended until the page has had a click or key press
+  if (audio.state === "suspended") audio.resume();
+  const start = audio.currentTime;
+  [880, 1320].forEach((frequency, i) => {
+    const at = start + i * 0.12;
+    const tone = audio.createOscillator();
+    const volume = audio.createGain();
+    tone.frequency.value = frequency;
+    volume.gain.setValueAtTime(0.0001, at);
+    volume.gain.exponentialRampToValueAtTime(0.15, at + 0.02);
+    volume.gain.exponentialRampToValueAtTime(0.0001, at + 0.25);
+    tone.connect(volume).connect(audio.destination);
+    tone.start(at);
+    tone.stop(at + 0.3);
+  });
+};
+
+/** Tab badge: "(3) title" plus a red dot on the favicon */
+const baseTitle = document.title;
+const favicon = document.querySelector('link[rel="icon"]');
+const baseIcon = favicon?.href;
+let dottedIcon = null; // data URL, drawn once
+let wantDot = false;
+
+const drawDottedIcon = () =>
+  new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = canvas.height = 32;
+      const draw = canvas.getContext("2d");
+      draw.drawImage(image, 0, 0, 32, 32);
+      draw.fillStyle = "#ef4444";
+      draw.beginPath();
+      draw.arc(24, 8, 8, 0, 2 * Math.PI);
+      draw.fill();
+      resolve(canvas.toDataURL("image/png"));
+    };
+    image.onerror = () => resolve(null);
+    image.src = baseIcon;
+  });
+
+export const setTabBadge = async (count) => {
+  document.title = count ? `(${unreadLabel(count)}) ${baseTitle}` : baseTitle;
+  wantDot = count > 0;
+  if (!favicon) return;
+  if (wantDot) dottedIcon ??= await drawDottedIcon();
+  // another call may have changed its mind while the icon was drawing
+  favicon.href = wantDot && dottedIcon ? dottedIcon : baseIcon;
+};
@@ -0,0 +1,22 @@
+// client/src/lib/presence.js
+// Mirrors the server's presence states (socket/presence.js)
+export const PRESENCE_STATES = {
+  online: { label: "Online", dot: "bg-green-500" },
+  away: { label: "Away", dot: "bg-yellow-400" },
+  idle: { label: "Idle", dot: "bg-yellow-200 border border-yellow-400" },
+  dnd: { label: "Do not disturb", dot: "bg-red-500" },
+  offline: { label: "Offline", dot: "bg-gray-300" },
+};
+
+// The states a user can pick; idle and offline are worked out by the server
+export const CHOSEN_STATES = ["online", "away", "dnd"];
+
+// "just now", "5 min ago", "3 h ago", else the date
+export const formatLastSeen = (date) => {
+  if (!date) return "";
+  const minutes = Math.round((Date.now() - new Date(date)) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return new Date(date).toLocaleDateString();
+};
@@ -0,0 +1,21 @@
+// client/src/lib/reactions.js
+// Quick picks for the reaction picker; the server takes any emoji up to 32 characters
+export const QUICK_REACTIONS = ["👍", "👎", "😂", "❤️", "🎉", "😮", "😢", "🙏", "🔥", "👀", "✅", "🚀", "💯", "👏", "🤔", "😅"];
+
+export const reactedByMe = (reaction, myId) => reaction.users.some((u) => u.userId === myId);
+
+// "You reacted with 👍", "alice, bob and 3 others reacted with 🎉" (you first)
+export const whoReacted = ({ emoji, users }, myId, shown = 3) => {
+  const names = [
+    ...users.filter((u) => u.userId === myId).map(() => "You"),
+    ...users.filter((u) => u.userId !== myId).map((u) => u.username),
+  ];
+  const others = names.length - shown;
+  const listed =
+    others > 0
+      ? `${names.slice(0, shown).join(", ")} and ${others} ${others === 1 ? "other" : "others"}`
+      : names.length > 1
+      ? `${names.slice(0, -1).join(", ")} and ${names.at(-1)}`
+      : names[0];
+  return `${listed} reacted with ${emoji}`;
+};
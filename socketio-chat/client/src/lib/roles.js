@@ -0,0 +1,11 @@
+// client/src/lib/roles.js
+// Mirrors the server's room roles (controllers/roomController.js)
+export const ROLE_RANK = { member: 0, moderator: 1, admin: 2, owner: 3 };
+
+// Role of a user in a room view from the server; site admins (session.isAdmin) are admins everywhere
+export const roleIn = (room, userId, isAdmin = false) => {
+  if (!room) return "member";
+  if (room.owner === userId) return "owner";
+  if (isAdmin) return "admin";
+  return room.members?.find((m) => m.userId === userId)?.role || "member";
+};
@@ -0,0 +1,3 @@
+// client/src/lib/unread.js
+// The server stops counting at 100 (controllers/readController.js)
+export const unreadLabel = (count) => (count > 99 ? "99+" : String(count));
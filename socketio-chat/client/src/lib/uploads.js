@@ -0,0 +1,34 @@
+import EVENTS from "@shared/events.json";
+import { socket } from "@/socket/socket";
+import { errorText } from "@/lib/errors";
+
+const API_URL = import.meta.env.VITE_SOCKET_URL || "http://localhost:5000";
+const TOKEN_TIMEOUT = 10000;
+
+// Upload paths come back relative ("/uploads/..."); they are served by the API server
+export const assetUrl = (path) => (path?.startsWith("/") ? `${API_URL}${path}` : path);
+
+export const formatBytes = (n = 0) =>
+  n < 1024 ? `${n} B` : n < 1024 ** 2 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1024 ** 2).toFixed(1)} MB`;
+
+// The server only takes uploads from someone it knows: a short-lived token for whoever this socket is
+async function uploadToken() {
+  if (!socket.connected) throw new Error("not connected");
+  const res = await socket
+    .timeout(TOKEN_TIMEOUT)
+    .emitWithAck(EVENTS.GET_UPLOAD_TOKEN, {})
+    .catch(() => ({ message: "the server did not answer" }));
+  if (res?.status !== "ok") throw new Error(errorText(res, "upload failed"));
+  return res.token;
+}
+
+/** POST a single file to /api/uploads; resolves to the attachment metadata for `meta.attachment` */
+export async function uploadFile(file) {
+  const body = new FormData();
+  body.append("file", file);
+  const headers = { Authorization: `Bearer ${await uploadToken()}` };
+  const res = await fetch(`${API_URL}/api/uploads`, { method: "POST", body, headers });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `upload failed (${res.status})`);
+  return data;
+}
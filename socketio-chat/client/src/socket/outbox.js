@@ -0,0 +1,37 @@
+// client/src/socket/outbox.js
+// Unacknowledged sends, persisted in localStorage so they survive offline periods and
+// reloads. Each entry is replayed with the same clientId until the server acks it;
+// the server treats a repeated clientId as the same message.
+
+const STORAGE_KEY = "chat.outbox.v1";
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const read = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    return entries.filter((e) => Date.now() - e.createdAt < MAX_AGE_MS);
+  } catch {
+    return [];
+  }
+};
+
+const write = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // storage full or disabled: sends still work, they just won't survive a reload
+  }
+};
+
+export const outbox = {
+  /** @returns {{ clientId, event, payload, message, createdAt }[]} oldest first */
+  all: read,
+
+  add(entry) {
+    write([...read().filter((e) => e.clientId !== entry.clientId), { ...entry, createdAt: Date.now() }]);
+  },
+
+  remove(clientId) {
+    write(read().filter((e) => e.clientId !== clientId));
+  },
+};
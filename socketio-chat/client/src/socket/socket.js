@@ -1,152 +1,986 @@
 // client/src/socket/socket.js
 import { io } from "socket.io-client";
-import { useEffect, useState, useRef } from "react";
+import { useCallback, useEffect, useState, useRef } from "react";
+import EVENTS from "@shared/events.json";
+import { outbox } from "./outbox";
+import { isConversationKey, conversationTitle } from "@/lib/conversations";
+import { errorText } from "@/lib/errors";
+import { describeNotification, showPopup, playChime, setTabBadge } from "@/lib/notify";
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || "http://localhost:5000";
 
 export const socket = io(SOCKET_URL, {
   autoConnect: false,
   reconnection: true,
-  reconnectionAttempts: 5,
+  // keep trying: queued sends in the outbox go out as soon as we are back
+  reconnectionAttempts: Infinity,
   reconnectionDelay: 1000,
+  reconnectionDelayMax: 10000,
+  // "websocket" when the server nodes run without sticky sessions (see SOCKET_TRANSPORTS)
+  ...(import.meta.env.VITE_SOCKET_TRANSPORTS && { transports: import.meta.env.VITE_SOCKET_TRANSPORTS.split(",") }),
 });
 
+export const MAX_MESSAGE_LENGTH = 4000; // longer messages fail the server's payload check
+
+const ACK_TIMEOUT = 10000;
+const CATCH_UP_PAGE_SIZE = 100;
+const CATCH_UP_MAX_PAGES = 5; // further behind than this: reload the newest page instead
+const THREAD_PAGE_SIZE = 30;
+const CONTEXT_PAGE_SIZE = 15; // messages kept on each side of a search hit
+const TYPING_REPEAT_MS = 3000; // keep-alive for `typing`; the server forgets a typist after 6s without one
+const TYPING_QUIET_MS = 4000; // no keystrokes for this long counts as having stopped
+const IDLE_AFTER_MS = 5 * 60 * 1000; // no input for this long (or a hidden tab) reports this tab idle
+const READ_SYNC_MS = 1000; // how long the newest message has to stay on screen before it counts as read
+
+/** ---------------------------
+ * MESSAGE STATUS
+ * queued (offline / no ack yet) | sending -> sent (acked) -> delivered -> read;
+ * failed when the server rejected the send
+ * --------------------------- */
+const STATUS_RANK = { failed: 0, queued: 1, sending: 1, sent: 2, delivered: 3, read: 4 };
+
+const tempId = () =>
+  `tmp-${globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`}`;
+
+const sameMessage = (a, b) =>
+  (a._id && b._id && String(a._id) === String(b._id)) || (a.clientId && a.clientId === b.clientId);
+
+const higherStatus = (a, b) => ((STATUS_RANK[b] ?? -1) > (STATUS_RANK[a] ?? -1) ? b : a);
+
+// Status of a server copy as seen by its sender
+const withStatus = (msg, myId) => {
+  if (msg.status || msg.senderId !== myId) return msg;
+  const status = msg.readBy?.length ? "read" : msg.deliveredTo?.length ? "delivered" : "sent";
+  return { ...msg, status };
+};
+
+// Update the local copy of one of our own sends; never inserts
+const patchByClientId = (list, clientId, patch) =>
+  list.map((m) => (m.clientId === clientId ? { ...m, ...patch, status: higherStatus(m.status, patch.status) } : m));
+
+// Insert, or merge into the copy with the same _id / clientId without lowering its status
+const upsertMessage = (list, msg) => {
+  const idx = list.findIndex((m) => sameMessage(m, msg));
+  if (idx === -1) return [...list, msg];
+  const next = [...list];
+  next[idx] = { ...list[idx], ...msg, status: higherStatus(list[idx].status, msg.status) };
+  return next;
+};
+
+// Apply a server update (edit, tombstone) to a message we already show; never inserts
+const replaceMessage = (list, msg) => list.map((m) => (sameMessage(m, msg) ? { ...m, ...msg, status: m.status } : m));
+
+// Same shape as the server's replyPreview, for the optimistic copy of a reply
+const quoteOf = (msg) => ({
+  _id: msg._id,
+  sender: msg.sender,
+  senderId: msg.senderId,
+  message: (msg.message || "").slice(0, 140),
+  hasAttachment: Boolean(msg.meta?.attachment),
+  deleted: Boolean(msg.deletedAt),
+});
+
+// After an edit or delete, the quotes and thread summaries copied from that message
+const refreshQuotes = (list, msg) => {
+  const quote = quoteOf(msg);
+  return list.map((m) =>
+    m.replyPreview?._id === msg._id || m.lastReply?._id === msg._id
+      ? {
+          ...m,
+          ...(m.replyPreview?._id === msg._id && { replyPreview: quote }),
+          ...(m.lastReply?._id === msg._id && { lastReply: quote }),
+        }
+      : m
+  );
+};
+
+// Put a reaction summary from the server on the message it belongs to
+const withReactions = (list, { messageId, reactions }) =>
+  list.map((m) => (m._id === messageId ? { ...m, reactions } : m));
+
+const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+// Merge a batch of server messages, dropping duplicates and keeping the list chronological
+const mergeMessages = (list, batch) => batch.reduce(upsertMessage, list).sort(byTime);
+
+/** ---------------------------
+ * OUTBOX
+ * --------------------------- */
+const inFlight = new Set(); // clientIds emitted on the current socket and awaiting an ack
+const retryAt = new Map(); // clientId -> when the server said it may be sent again
+// Answers that only mean "not now": the entry stays queued and is sent again after `retryAfter`
+const RETRYABLE = new Set(["rate_limited", "slow_mode"]);
+
+// The server lets a burst of 10 sends through, then 1/s; stay a little under that
+// so draining a long outbox after a reconnect does not get refused (and strike)
+const SEND_BURST = 8;
+const SEND_PER_SECOND = 1;
+let sendTokens = SEND_BURST;
+let tokensAt = Date.now();
+
+// 0 when a send may go out now (and counts it), else the ms until one may
+const takeSendSlot = (now) => {
+  sendTokens = Math.min(SEND_BURST, sendTokens + ((now - tokensAt) / 1000) * SEND_PER_SECOND);
+  tokensAt = now;
+  if (sendTokens < 1) return Math.ceil(((1 - sendTokens) / SEND_PER_SECOND) * 1000);
+  sendTokens -= 1;
+  return 0;
+};
+
+let pumpTimer = null;
+let pumpSetMessages = null;
+
+// Send what is in the outbox, oldest first and paced. An entry waiting out a
+// `retryAfter` holds back the ones after it, so messages keep their order.
+const pumpOutbox = (setMessages = pumpSetMessages) => {
+  pumpSetMessages = setMessages;
+  clearTimeout(pumpTimer);
+  pumpTimer = null;
+  if (!socket.connected || !setMessages) return;
+
+  const now = Date.now();
+  for (const entry of outbox.all()) {
+    if (inFlight.has(entry.clientId)) continue;
+    const wait = Math.max((retryAt.get(entry.clientId) ?? 0) - now, 0) || takeSendSlot(now);
+    if (wait) {
+      pumpTimer = setTimeout(pumpOutbox, wait);
+      return;
+    }
+    deliver(entry, setMessages);
+  }
+};
+
+// Emit one outbox entry. It leaves the outbox once the server accepts or rejects it;
+// without an answer it stays queued for the next flush (same clientId, deduplicated
+// server-side), and when told to wait it stays queued until `retryAfter` has passed.
+const deliver = (entry, setMessages) => {
+  inFlight.add(entry.clientId);
+
+  socket.timeout(ACK_TIMEOUT).emit(entry.event, entry.payload, (err, res) => {
+    inFlight.delete(entry.clientId);
+    if (err) {
+      setMessages((prev) => patchByClientId(prev, entry.clientId, { status: "queued" }));
+      return;
+    }
+    if (RETRYABLE.has(res?.code)) {
+      retryAt.set(entry.clientId, Date.now() + (res.retryAfter || 1) * 1000);
+      setMessages((prev) => patchByClientId(prev, entry.clientId, { status: "queued" }));
+      pumpOutbox(setMessages);
+      return;
+    }
+    retryAt.delete(entry.clientId);
+    outbox.remove(entry.clientId);
+    if (res?.status !== "ok") {
+      // code: muted, banned, room_archived, invalid_payload, ...
+      const failed = { status: "failed", error: errorText(res) };
+      setMessages((prev) => prev.map((m) => (m.clientId === entry.clientId ? { ...m, ...failed } : m)));
+      return;
+    }
+    setMessages((prev) =>
+      patchByClientId(prev, entry.clientId, { _id: res.id, timestamp: res.timestamp, status: "sent" })
+    );
+  });
+};
+
+/** ---------------------------
+ * ROOM LIST
+ * --------------------------- */
+// Emit and wait for the ack; a missing answer resolves like a server error
+const request = (event, payload) =>
+  new Promise((resolve) => {
+    socket.timeout(ACK_TIMEOUT).emit(event, payload, (err, res) => {
+      resolve(err ? { status: "error", code: "timeout", reason: "timeout", message: "the server did not answer" } : res);
+    });
+  });
+
+/** ---------------------------
+ * MODERATION
+ * --------------------------- */
+const forHowLong = (until) => (until ? ` until ${new Date(until).toLocaleString()}` : "");
+
+// System-message text for a room_moderation record
+const describeModeration = (r) => {
+  const reason = r.reason ? ` (${r.reason})` : "";
+  switch (r.action) {
+    case "kick":
+      return `${r.actorName} removed ${r.targetName} from the room${forHowLong(r.until)}${reason}.`;
+    case "ban":
+      return `${r.actorName} banned ${r.targetName}${forHowLong(r.until)}${reason}.`;
+    case "unban":
+      return `${r.actorName} lifted the ban on ${r.targetName}.`;
+    case "mute":
+      return `${r.actorName} muted ${r.targetName}${forHowLong(r.until)}${reason}.`;
+    case "unmute":
+      return `${r.actorName} unmuted ${r.targetName}.`;
+    case "slow_mode":
+      return r.seconds
+        ? `${r.actorName} enabled slow mode: one message every ${r.seconds}s.`
+        : `${r.actorName} turned slow mode off.`;
+    case "set_role":
+      return `${r.actorName} made ${r.targetName} ${r.role === "member" ? "a regular member" : `a ${r.role}`}.`;
+    default:
+      return `${r.actorName}: ${r.action}`;
+  }
+};
+
+const upsertRoom = (list, room) => {
+  const next = list.filter((r) => r.slug !== room.slug);
+  return [...next, room].sort((a, b) => a.slug.localeCompare(b.slug));
+};
+
+// One entry per user: a presence_update replaces it, offline ones stay for their "last seen"
+const upsertPerson = (list, person) => [...list.filter((p) => p.userId !== person.userId), person];
+
+// Most recently active first, like the server's list_conversations
+const byActivity = (a, b) => new Date(b.lastMessageAt || b.createdAt) - new Date(a.lastMessageAt || a.createdAt);
+
+const upsertConversation = (list, conversation) =>
+  [...list.filter((c) => c.key !== conversation.key), conversation].sort(byActivity);
+
+// A new private message bumps its conversation to the top with a fresh preview
+const touchConversation = (list, msg) => {
+  const conversation = list.find((c) => c.key === msg.room);
+  if (!conversation) return list;
+  const lastMessage = { _id: msg._id, sender: msg.sender, senderId: msg.senderId, message: msg.message };
+  return upsertConversation(list, { ...conversation, lastMessage, lastMessageAt: msg.timestamp });
+};
+
 export const useSocket = (userId) => {
   const [isConnected, setIsConnected] = useState(socket.connected);
+  const [me, setMe] = useState(null); // { userId, username, socketId } from the server
   const [messages, setMessages] = useState([]);
-  const [users, setUsers] = useState([]);
-  const [typingUsers, setTypingUsers] = useState([]);
+  const [people, setPeople] = useState([]); // presence per user, see shared/README.md
+  const [typists, setTypists] = useState({}); // room => [{ userId, username }] from user_typing
   const [currentRoom, setCurrentRoom] = useState("global");
-  const [unread, setUnread] = useState({});
-  const typingTimeouts = useRef({});
+  const [unread, setUnread] = useState({}); // room => count, from the server's read cursors plus live messages
+  const readStates = useRef({}); // room => { lastReadId, firstUnreadId, unread } (see shared/README.md, Unread)
+  const lastMarked = useRef({}); // room => messageId last sent with mark_read
+  // where the "new messages" divider goes in the room we opened: { room, firstUnreadId, unread }
+  const [newMarker, setNewMarker] = useState(null);
+  const [rooms, setRooms] = useState([]); // server room list, see shared/README.md
+  const [roomError, setRoomError] = useState(null);
+  const [rateLimit, setRateLimit] = useState(null); // { event, action, until } while the server refuses us
+  const [serverError, setServerError] = useState(null); // last `error` event { event, code, message }
+  const [conversations, setConversations] = useState([]); // direct and group messages, see shared/README.md
+  // open thread: { root, messages, hasMore, nextBefore }; replies never enter `messages`
+  const [thread, setThread] = useState(null);
+  const [threadUnread, setThreadUnread] = useState({}); // threadId => replies since last opened
+  const openThreadId = useRef(null);
+  const [focus, setFocus] = useState(null); // { messageId, hasNewer } after jumping to a search hit
+  const [mention, setMention] = useState(null); // latest `notification` about a mention of us elsewhere
+  // notification levels, see shared/README.md (Notifications); rooms missing from `prefs` use the default
+  const [notifyPrefs, setNotifyPrefs] = useState({ defaults: { room: "mentions", conversation: "all" }, prefs: {} });
+  const [missed, setMissed] = useState(0); // notifications that came while the tab was hidden
+  const typingSent = useRef(null); // { room, at } of our last `typing: true`
+  const typingQuiet = useRef(null);
   const pageSize = 20;
-  const [page, setPage] = useState(0);
+  const [nextBefore, setNextBefore] = useState(null);
   const [hasMore, setHasMore] = useState(true);
+  const wantConnection = useRef(false);
+  const hasJoined = useRef(false);
+  const lastSeen = useRef({}); // room => _id of the newest server message we hold
+  const resetIdle = useRef(null);
+  const rateLimitTimer = useRef(null);
 
   /** ---------------------------
    * SOCKET CONNECTION
    * --------------------------- */
   const connect = () => {
     if (!userId) return;
+    wantConnection.current = true;
     socket.auth = { userId }; // send userId to server
     socket.connect();
   };
 
-  const disconnect = () => socket.disconnect();
+  const disconnect = () => {
+    wantConnection.current = false;
+    socket.disconnect();
+  };
+
+  /** ---------------------------
+   * PRESENCE
+   * --------------------------- */
+  const users = people.filter((p) => p.state !== "offline");
+  const recentlySeen = people
+    .filter((p) => p.state === "offline")
+    .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+
+  // Our chosen state ("online", "away", "dnd") and/or status text; resolves with the ack
+  const setPresence = ({ status, statusText }) => request(EVENTS.SET_PRESENCE, { status, statusText });
+
+  // Idle detection for this tab; the server only shows us idle once every tab of ours is
+  useEffect(() => {
+    let idle = false;
+    let timer = null;
+    const report = (next) => {
+      if (next === idle) return;
+      idle = next;
+      if (socket.connected) socket.emit(EVENTS.SET_IDLE, { idle });
+    };
+    const handleActivity = () => {
+      clearTimeout(timer);
+      if (document.hidden) return report(true);
+      report(false);
+      timer = setTimeout(() => report(true), IDLE_AFTER_MS);
+    };
+    // every new connection starts out active on the server (called from the connect handler)
+    resetIdle.current = () => {
+      idle = false;
+      handleActivity();
+    };
+    const activity = ["pointerdown", "pointermove", "keydown", "focus"];
+    activity.forEach((type) => window.addEventListener(type, handleActivity));
+    document.addEventListener("visibilitychange", handleActivity);
+    handleActivity();
+    return () => {
+      clearTimeout(timer);
+      activity.forEach((type) => window.removeEventListener(type, handleActivity));
+      document.removeEventListener("visibilitychange", handleActivity);
+      resetIdle.current = null;
+    };
+  }, []);
 
   /** ---------------------------
    * ROOMS + MESSAGING
    * --------------------------- */
-  const joinRoom = (room) => {
-    setCurrentRoom(room);
-    setPage(0);
+  // Run the same list update over the main timeline and the open thread (root included)
+  const patchLists = useCallback((update) => {
+    setMessages(update);
+    setThread((t) => t && { ...t, root: update([t.root])[0], messages: update(t.messages) });
+  }, []);
+
+  // Empty the timeline before loading a room's newest page; sends still waiting
+  // in the outbox stay visible in their room
+  const resetTimeline = (room) => {
+    setMessages(
+      outbox
+        .all()
+        .filter((e) => !e.payload.threadId && e.message.room === room)
+        .map((e) => ({ ...e.message, status: "queued" }))
+    );
+    setNextBefore(null);
     setHasMore(true);
-    socket.emit("join_room", room);
-    loadMessages(room, 0);
+    setFocus(null);
+    delete lastSeen.current[room];
+  };
+
+  // `around` (a message of that room) opens the room at that message instead of its newest page.
+  // Conversation keys open a direct or group conversation the same way; there is nothing to join.
+  const joinRoom = (room, { around } = {}) => {
+    setTyping(false);
+    setCurrentRoom(room);
+    closeThread();
+    resetTimeline(room);
+    setRoomError(null);
+    hasJoined.current = true;
+    const state = readStates.current[room];
+    setNewMarker(state?.unread && state.firstUnreadId ? { room, ...state } : null);
     setUnread((prev) => ({ ...prev, [room]: 0 }));
+    const load = () => (around ? loadAround(around) : loadMessages(room));
+    if (isConversationKey(room)) return load();
+    // history is only readable once the server has let us in
+    request(EVENTS.JOIN_ROOM, { room }).then((res) => {
+      if (res?.status !== "ok") return setRoomError(res?.reason || "join_failed");
+      setRooms((prev) => upsertRoom(prev, res.room));
+      load();
+    });
   };
 
-  const sendMessage = (payload) => {
-    if (!payload.message?.trim()) return;
-    const msg = {
-      ...payload,
-      room: currentRoom,
-      timestamp: new Date().toISOString(),
-      senderId: userId,
-      status: "sent",
+  const refreshRooms = () =>
+    request(EVENTS.LIST_ROOMS, {}).then((res) => {
+      if (res?.status !== "ok") return res;
+      setRooms(res.rooms);
+      res.rooms.forEach((r) => applyReadState({ room: r.slug, ...r }, { listed: true }));
+      return res;
+    });
+
+  /** ---------------------------
+   * UNREAD
+   * --------------------------- */
+  // The server's read state of a room or conversation; the one we are looking at stays at 0.
+  // `listed` (from the room / conversation lists): the room we opened before they came gets its divider now
+  const applyReadState = ({ room, lastReadId, firstUnreadId, unread: count }, { listed = false } = {}) => {
+    readStates.current[room] = { lastReadId, firstUnreadId, unread: count };
+    setUnread((prev) => ({ ...prev, [room]: room === currentRoom ? 0 : count }));
+    if (listed && room === currentRoom && count && firstUnreadId) {
+      setNewMarker((m) => (m?.room === room ? m : { room, lastReadId, firstUnreadId, unread: count }));
+    }
+  };
+
+  // A message from someone else in a room we are not looking at
+  const countUnread = (msg) => {
+    const state = readStates.current[msg.room] || { lastReadId: null, firstUnreadId: null, unread: 0 };
+    readStates.current[msg.room] = { ...state, firstUnreadId: state.firstUnreadId || msg._id, unread: state.unread + 1 };
+    setUnread((prev) => ({ ...prev, [msg.room]: (prev[msg.room] || 0) + 1 }));
+  };
+
+  // The divider is above the first unread message; open the room around it when it is not loaded
+  const jumpToFirstUnread = () => {
+    const messageId = newMarker?.room === currentRoom && newMarker.firstUnreadId;
+    if (!messageId) return;
+    if (messages.some((m) => m._id === messageId)) setFocus((f) => ({ messageId, hasNewer: Boolean(f?.hasNewer) }));
+    else loadAround({ _id: messageId });
+  };
+
+  // Move our read cursor to the newest stored message on screen once it has been visible for a moment
+  useEffect(() => {
+    const newest = messages.findLast((m) => m._id && m.room === currentRoom)?._id;
+    const sync = () => {
+      if (!newest || document.visibilityState !== "visible" || lastMarked.current[currentRoom] === newest) return;
+      lastMarked.current[currentRoom] = newest;
+      socket.emit(EVENTS.MARK_READ, { room: currentRoom, messageId: newest });
+    };
+    const timer = setTimeout(sync, READ_SYNC_MS);
+    document.addEventListener("visibilitychange", sync);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", sync);
     };
-    setMessages((prev) => [...prev, msg]);
-    socket.emit("send_message", msg);
+  }, [messages, currentRoom]);
+
+  /** ---------------------------
+   * DIRECT MESSAGES
+   * --------------------------- */
+  const refreshConversations = () =>
+    request(EVENTS.LIST_CONVERSATIONS, {}).then((res) => {
+      if (res?.status !== "ok") return res;
+      setConversations(res.conversations);
+      res.conversations.forEach((c) => applyReadState({ room: c.key, ...c }, { listed: true }));
+      return res;
+    });
+
+  // Find or start the conversation with a user (by user id) and switch to it
+  const openConversation = async (otherUserId) => {
+    const res = await request(EVENTS.OPEN_CONVERSATION, { userId: otherUserId });
+    if (res?.status !== "ok") return res;
+    setConversations((prev) => upsertConversation(prev, res.conversation));
+    joinRoom(res.conversation.key);
+    return res;
+  };
+
+  // Group conversations; each resolves with the server's answer ({ status, conversation } or { status, reason })
+  const conversationRequest = (event, payload) =>
+    request(event, payload).then((res) => {
+      if (res?.status === "ok") setConversations((prev) => upsertConversation(prev, res.conversation));
+      return res;
+    });
+
+  const createGroup = async ({ title, userIds }) => {
+    const res = await conversationRequest(EVENTS.CREATE_CONVERSATION, { title, userIds });
+    if (res?.status === "ok") joinRoom(res.conversation.key);
+    return res;
+  };
+
+  const renameConversation = (conversation, title) =>
+    conversationRequest(EVENTS.RENAME_CONVERSATION, { conversation, title });
+
+  const addParticipants = (conversation, userIds) =>
+    conversationRequest(EVENTS.ADD_PARTICIPANTS, { conversation, userIds });
+
+  const removeParticipant = (conversation, userId) =>
+    conversationRequest(EVENTS.REMOVE_PARTICIPANT, { conversation, userId });
+
+  const leaveConversation = async (conversation) => {
+    const res = await request(EVENTS.LEAVE_CONVERSATION, { conversation });
+    if (res?.status !== "ok") return res;
+    setConversations((prev) => prev.filter((c) => c.key !== conversation));
+    if (conversation === currentRoom) joinRoom("global");
+    return res;
   };
 
-  const sendPrivateMessage = (toSocketId, message) => {
-    if (!message?.trim()) return;
-    const msg = {
-      to: toSocketId,
-      message,
+  // Each resolves with the server's answer ({ status, room } or { status, reason })
+  const roomRequest = (event, payload) =>
+    request(event, payload).then((res) => {
+      if (res?.status === "ok") setRooms((prev) => upsertRoom(prev, res.room));
+      return res;
+    });
+
+  const createRoom = async ({ name, topic, visibility }) => {
+    const res = await roomRequest(EVENTS.CREATE_ROOM, { name, topic, visibility });
+    if (res?.status === "ok") joinRoom(res.room.slug);
+    return res;
+  };
+
+  const updateRoom = (room, { name, topic }) => roomRequest(EVENTS.UPDATE_ROOM, { room, name, topic });
+
+  const archiveRoom = (room) => roomRequest(EVENTS.ARCHIVE_ROOM, { room });
+
+  const inviteToRoom = (room, invitee) => roomRequest(EVENTS.INVITE_TO_ROOM, { room, userId: invitee });
+
+  // Moderation of the current room; resolves with the ack like the room requests
+  const moderate = (event, payload) => request(event, { room: currentRoom, ...payload });
+  const kickUser = (target, reason) => moderate(EVENTS.KICK_USER, { userId: target, reason });
+  const banUser = (target, durationSeconds, reason) =>
+    moderate(EVENTS.BAN_USER, { userId: target, durationSeconds, reason });
+  const unbanUser = (target) => moderate(EVENTS.UNBAN_USER, { userId: target });
+  const muteUser = (target, durationSeconds, reason) =>
+    moderate(EVENTS.MUTE_USER, { userId: target, durationSeconds, reason });
+  const unmuteUser = (target) => moderate(EVENTS.UNMUTE_USER, { userId: target });
+  const setSlowMode = (seconds) => moderate(EVENTS.SET_SLOW_MODE, { seconds });
+  const setMemberRole = (target, role) => moderate(EVENTS.SET_MEMBER_ROLE, { userId: target, role });
+
+  const leaveRoom = async (room) => {
+    const res = await request(EVENTS.LEAVE_ROOM, { room });
+    if (res?.status !== "ok") return res;
+    // a private room disappears from view once we are no longer in it
+    setRooms((prev) =>
+      res.room.visibility === "private" ? prev.filter((r) => r.slug !== room) : upsertRoom(prev, res.room)
+    );
+    if (room === currentRoom) joinRoom("global");
+    return res;
+  };
+
+  /** ---------------------------
+   * THREADS
+   * --------------------------- */
+  const loadThread = (threadId, before = null) => {
+    request(EVENTS.GET_THREAD_PAGE, { threadId, before, pageSize: THREAD_PAGE_SIZE }).then((res) => {
+      if (res?.status !== "ok" || openThreadId.current !== threadId) return;
+      setThread((t) => {
+        const loaded = res.messages.map((m) => withStatus(m, myId));
+        return {
+          root: withStatus(res.root, myId),
+          messages: mergeMessages(t?.messages || [], loaded),
+          hasMore: res.hasMore,
+          nextBefore: res.nextBefore,
+        };
+      });
+    });
+  };
+
+  const openThread = (root) => {
+    const threadId = root._id;
+    openThreadId.current = threadId;
+    const queued = outbox
+      .all()
+      .filter((e) => e.payload.threadId === threadId)
+      .map((e) => ({ ...e.message, status: "queued" }));
+    setThread({ root, messages: queued, hasMore: true, nextBefore: null });
+    setThreadUnread((prev) => ({ ...prev, [threadId]: 0 }));
+    loadThread(threadId);
+  };
+
+  const closeThread = () => {
+    openThreadId.current = null;
+    setThread(null);
+  };
+
+  const loadOlderThread = () => {
+    if (thread?.hasMore && thread.nextBefore) loadThread(thread.root._id, thread.nextBefore);
+  };
+
+  /** ---------------------------
+   * SEARCH
+   * --------------------------- */
+  // { query, room?, senderId?, from?, to?, hasAttachment?, isPrivate?, before? } => { status, results, ... }
+  const searchMessages = (filters) => request(EVENTS.SEARCH_MESSAGES, filters);
+
+  // Replace the timeline with the messages around `msg`; replies open in their thread
+  const loadAround = (msg) => {
+    request(EVENTS.GET_MESSAGE_CONTEXT, { messageId: msg._id, pageSize: CONTEXT_PAGE_SIZE }).then((res) => {
+      if (res?.status !== "ok") return setRoomError(res?.reason || "message_not_found");
+      setMessages(res.messages.map((m) => withStatus(m, myId)));
+      setHasMore(res.hasMore);
+      setNextBefore(res.nextBefore);
+      // with newer messages missing, live ones would leave a gap: hold them until "back to latest"
+      if (res.hasNewer) delete lastSeen.current[res.room];
+      else lastSeen.current[res.room] = res.messages.at(-1)._id;
+      setFocus({ messageId: res.messageId, hasNewer: res.hasNewer });
+      if (res.threadId) openThread(res.messages.find((m) => m._id === res.messageId));
+    });
+  };
+
+  // Old private messages addressed to a socket have no conversation to open
+  const jumpToMessage = (msg) => {
+    if (msg.isPrivate && !isConversationKey(msg.room)) return;
+    if (msg.room !== currentRoom) joinRoom(msg.room, { around: msg });
+    else loadAround(msg);
+  };
+
+  // Open the message a mention notification points at
+  const openMention = () => {
+    if (!mention) return;
+    jumpToMessage({ _id: mention.messageId, room: mention.room, isPrivate: mention.isPrivate });
+    setMention(null);
+  };
+
+  /** ---------------------------
+   * NOTIFICATIONS
+   * --------------------------- */
+  const refreshNotifyPrefs = () =>
+    request(EVENTS.LIST_NOTIFICATION_PREFS, {}).then((res) => {
+      if (res?.status === "ok") setNotifyPrefs({ defaults: res.defaults, prefs: res.prefs });
+      return res;
+    });
+
+  // "all", "mentions" or "mute"
+  const notifyLevelOf = (room) =>
+    notifyPrefs.prefs[room] || notifyPrefs.defaults[isConversationKey(room) ? "conversation" : "room"];
+
+  const applyNotifyPref = ({ room, level }) =>
+    setNotifyPrefs((prev) => ({ ...prev, prefs: { ...prev.prefs, [room]: level } }));
+
+  // resolves with the ack; our other tabs hear about it as notification_pref
+  const setNotifyLevel = (room, level) =>
+    request(EVENTS.SET_NOTIFICATION_PREF, { room, level }).then((res) => {
+      if (res?.status === "ok") applyNotifyPref(res.pref);
+      return res;
+    });
+
+  const placeOf = (room) =>
+    isConversationKey(room)
+      ? conversationTitle(conversations.find((c) => c.key === room), myId)
+      : `#${rooms.find((r) => r.slug === room)?.name || room}`;
+
+  // The server only sends what our levels ask for. A mention elsewhere gets the banner; while the
+  // tab is hidden everything also counts on the tab badge, with a popup and a chime unless we are "dnd"
+  const handleNotification = (notification) => {
+    const { type, room, threadId, messageId, isPrivate } = notification;
+    const inView = room === currentRoom && !threadId && !document.hidden;
+    if (type === "mention" && !inView) setMention(notification);
+    if (!document.hidden) return;
+    setMissed((count) => count + 1);
+    if (people.find((p) => p.userId === myId)?.state === "dnd") return;
+    showPopup({
+      title: describeNotification(notification, placeOf(room)),
+      body: notification.preview || "📎 attachment",
+      tag: messageId,
+      onClick: () => {
+        jumpToMessage({ _id: messageId, room, isPrivate });
+        setMention((m) => (m?.messageId === messageId ? null : m));
+      },
+    });
+    playChime();
+  };
+
+  useEffect(() => {
+    setTabBadge(missed);
+  }, [missed]);
+
+  // back on the tab: whatever came in is in front of us now
+  useEffect(() => {
+    const clear = () => !document.hidden && setMissed(0);
+    document.addEventListener("visibilitychange", clear);
+    return () => document.removeEventListener("visibilitychange", clear);
+  }, []);
+
+  const showLatest = () => {
+    resetTimeline(currentRoom);
+    loadMessages(currentRoom);
+  };
+
+  /** ---------------------------
+   * RECONNECT CATCH-UP
+   * --------------------------- */
+  const myId = me?.userId ?? userId;
+
+  // Receipts for a message from someone else that just reached us
+  const acknowledge = (msg, inView) => {
+    if (msg.senderId === myId) return;
+    socket.emit(EVENTS.MESSAGE_DELIVERED, { messageId: msg._id });
+    if (inView && document.visibilityState === "visible") markRead(msg._id);
+  };
+
+  // Pull what a room missed while we were away, page by page
+  const catchUp = (room, after, pagesLeft = CATCH_UP_MAX_PAGES) => {
+    socket.emit(EVENTS.GET_MESSAGES_SINCE, { room, after, pageSize: CATCH_UP_PAGE_SIZE }, (res) => {
+      if (res?.status !== "ok") return joinRoom(room); // cursor gone: start over
+      if (res.messages.length) {
+        lastSeen.current[room] = res.messages.at(-1)._id;
+        setMessages((prev) => mergeMessages(prev, res.messages.map((m) => withStatus(m, myId))));
+        res.messages.forEach((m) => acknowledge(m, true));
+      }
+      if (!res.hasMore) return;
+      if (pagesLeft > 1) catchUp(room, res.nextAfter, pagesLeft - 1);
+      else joinRoom(room);
+    });
+  };
+
+  // First connect joins the room; a recovered session needs nothing (Socket.IO replayed
+  // rooms and events); any other reconnect re-joins and fetches the gap.
+  const handleConnected = () => {
+    if (!hasJoined.current) return joinRoom(currentRoom);
+    if (socket.recovered) return;
+    if (!isConversationKey(currentRoom)) socket.emit(EVENTS.JOIN_ROOM, { room: currentRoom });
+    const after = lastSeen.current[currentRoom];
+    if (after) catchUp(currentRoom, after);
+    else if (focus?.hasNewer) showLatest();
+    else loadMessages(currentRoom);
+    // catch-up only covers the main timeline
+    if (openThreadId.current) loadThread(openThreadId.current);
+  };
+
+  // socket listeners are bound once per room/identity; this lets them reach the current render's helpers
+  const latest = useRef({});
+  latest.current = {
+    acknowledge,
+    handleConnected,
+    refreshRooms,
+    refreshConversations,
+    joinRoom,
+    focus,
+    applyReadState,
+    countUnread,
+    refreshNotifyPrefs,
+    applyNotifyPref,
+    handleNotification,
+  };
+
+  // Show the message right away under a temp id, queue it, and send it if we can
+  const sendOptimistic = (event, payload, extra = {}) => {
+    const clientId = tempId();
+    const message = {
+      ...payload,
+      ...extra,
+      clientId,
+      id: clientId,
+      sender: me?.username,
+      senderId: me?.userId ?? userId,
       timestamp: new Date().toISOString(),
-      senderId: userId,
-      status: "sent",
+      status: socket.connected ? "sending" : "queued",
     };
-    setMessages((prev) => [...prev, msg]);
-    socket.emit("private_message", msg);
+    const entry = { clientId, event, payload: { ...payload, clientId }, message };
+
+    if (payload.threadId) {
+      setThread((t) => (t?.root._id === payload.threadId ? { ...t, messages: [...t.messages, message] } : t));
+    } else {
+      setMessages((prev) => [...prev, message]);
+    }
+    outbox.add(entry);
+    pumpOutbox(patchLists);
   };
 
+  // `replyTo` (optional) quotes a message; `replyPreview` only dresses the optimistic copy
+  const sendMessage = (payload) => {
+    if (!payload.message?.trim() && !payload.meta?.attachment) return;
+    const { replyTo } = payload;
+    sendOptimistic(
+      EVENTS.SEND_MESSAGE,
+      { message: payload.message, meta: payload.meta, room: currentRoom, ...(replyTo && { replyTo: replyTo._id }) },
+      replyTo ? { replyPreview: quoteOf(replyTo) } : {}
+    );
+    // posting from an older stretch of history: go back to the present to see it
+    if (focus?.hasNewer) showLatest();
+  };
+
+  const sendThreadReply = (message, meta, replyTo) => {
+    if (!thread || (!message?.trim() && !meta?.attachment)) return;
+    sendOptimistic(
+      EVENTS.SEND_MESSAGE,
+      {
+        message,
+        meta,
+        room: currentRoom,
+        threadId: thread.root._id,
+        ...(replyTo && { replyTo: replyTo._id }),
+      },
+      replyTo ? { replyPreview: quoteOf(replyTo) } : {}
+    );
+  };
+
+  // Into an existing conversation (its key); openConversation starts one
+  const sendPrivateMessage = (conversation, message, meta, replyTo) => {
+    if (!message?.trim() && !meta?.attachment) return;
+    sendOptimistic(
+      EVENTS.PRIVATE_MESSAGE,
+      { conversation, message, meta, ...(replyTo && { replyTo: replyTo._id }) },
+      { isPrivate: true, room: conversation, ...(replyTo && { replyPreview: quoteOf(replyTo) }) }
+    );
+  };
+
+  // Call on every keystroke: `typing` goes out at most every TYPING_REPEAT_MS, and a stop
+  // when the draft is cleared, we go quiet or we switch rooms
   const setTyping = (isTyping) => {
-    socket.emit("typing", { isTyping, room: currentRoom });
+    const sent = typingSent.current;
+    clearTimeout(typingQuiet.current);
+    if (sent && (!isTyping || sent.room !== currentRoom)) {
+      socket.emit(EVENTS.TYPING, { room: sent.room, isTyping: false });
+      typingSent.current = null;
+    }
+    if (!isTyping) return;
+    if (!typingSent.current || Date.now() - typingSent.current.at >= TYPING_REPEAT_MS) {
+      socket.emit(EVENTS.TYPING, { room: currentRoom, isTyping: true });
+      typingSent.current = { room: currentRoom, at: Date.now() };
+    }
+    typingQuiet.current = setTimeout(() => setTyping(false), TYPING_QUIET_MS);
   };
 
+  // Other people typing in the room we are looking at
+  const typingUsers = (typists[currentRoom] || []).filter((t) => t.userId !== myId).map((t) => t.username);
+
   const markRead = (messageId) => {
     if (!messageId) return;
-    socket.emit("message_read", { messageId });
+    socket.emit(EVENTS.MESSAGE_READ, { messageId });
   };
 
-  const addReaction = (messageId, type) => {
-    if (!messageId) return;
-    socket.emit("add_reaction", { messageId, type });
+  // Our `emoji` on a message, added or taken back; the ack's summary applies right away, a refusal
+  // (muted, room_archived, ...) shows like the failures of events sent without an ack
+  const toggleReaction = (messageId, emoji) =>
+    request(EVENTS.TOGGLE_REACTION, { messageId, emoji }).then((res) => {
+      if (res?.status === "ok") patchLists((prev) => withReactions(prev, res));
+      else setServerError({ event: EVENTS.TOGGLE_REACTION, code: res?.code, message: errorText(res) });
+      return res;
+    });
+
+  // Resolve with the ack; the broadcast updates every copy, ours included
+  const editMessage = (messageId, message) => request(EVENTS.EDIT_MESSAGE, { messageId, message });
+  const deleteMessage = (messageId) => request(EVENTS.DELETE_MESSAGE, { messageId });
+
+  // `before` is the cursor returned by the previous page; omit it for the newest page
+  const loadMessages = (room, before = null) => {
+    socket.emit(EVENTS.GET_MESSAGES_PAGE, { room, before, pageSize });
   };
 
-  const loadMessages = (room, pg) => {
-    socket.emit("get_messages_page", { room, page: pg, pageSize });
+  const loadOlder = () => {
+    if (!hasMore || !nextBefore) return;
+    loadMessages(currentRoom, nextBefore);
   };
 
   /** ---------------------------
    * EVENT HANDLERS
    * --------------------------- */
   useEffect(() => {
-    const handleNewMessage = (msg) => {
-      setMessages((prev) => [...prev, msg]);
-
-      if (msg.senderId !== userId && msg.room !== currentRoom) {
-        setUnread((prev) => ({ ...prev, [msg.room]: (prev[msg.room] || 0) + 1 }));
+    // Thread replies go to the open thread, or count as unread for their thread
+    const handleThreadReply = (msg) => {
+      const open = openThreadId.current === msg.threadId;
+      if (open) {
+        const reply = withStatus(msg, myId);
+        setThread((t) => t && { ...t, messages: upsertMessage(t.messages, reply) });
+      } else if (msg.senderId !== myId) {
+        setThreadUnread((prev) => ({ ...prev, [msg.threadId]: (prev[msg.threadId] || 0) + 1 }));
       }
+      latest.current.acknowledge(msg, open);
     };
 
-    const handleTyping = ({ socketId, username, isTyping }) => {
-      setTypingUsers((prev) => {
-        if (isTyping) {
-          if (!prev.includes(username)) return [...prev, username];
-          return prev;
-        } else return prev.filter((u) => u !== username);
-      });
-
-      if (isTyping) {
-        clearTimeout(typingTimeouts.current[socketId]);
-        typingTimeouts.current[socketId] = setTimeout(() => {
-          setTypingUsers((prev) => prev.filter((u) => u !== username));
-        }, 3000);
+    const handleNewMessage = (msg) => {
+      if (msg.threadId) return handleThreadReply(msg);
+      const inView = msg.room === currentRoom;
+      const held = latest.current.focus?.hasNewer;
+      if (inView && !held) {
+        setMessages((prev) => upsertMessage(prev, withStatus(msg, myId)));
+        if (msg._id) lastSeen.current[msg.room] = msg._id;
+        setFocus((f) => (f?.hasNewer ? f : null));
       }
+      latest.current.acknowledge(msg, inView && !held);
+      if (!inView && msg.senderId !== myId) latest.current.countUnread(msg);
     };
 
+    // the server sends a room's whole list and expires typists itself
+    const handleTyping = ({ room, typists: list }) => setTypists((prev) => ({ ...prev, [room]: list }));
+
+    // Receipts only move a message forward (a late "delivered" never undoes "read")
     const handleStatusUpdate = ({ messageId, status }) => {
-      setMessages((prev) =>
+      patchLists((prev) =>
         prev.map((m) =>
-          m._id === messageId || m.id === messageId ? { ...m, status } : m
+          m._id === messageId || m.id === messageId ? { ...m, status: higherStatus(m.status, status) } : m
         )
       );
     };
 
-    socket.on("connect", () => setIsConnected(true));
-    socket.on("disconnect", () => setIsConnected(false));
+    const handleConnect = () => {
+      setIsConnected(true);
+      pumpOutbox(patchLists);
+      latest.current.refreshRooms();
+      latest.current.refreshConversations();
+      latest.current.refreshNotifyPrefs();
+      latest.current.handleConnected();
+      resetIdle.current?.();
+    };
 
-    socket.on("receive_message", handleNewMessage);
-    socket.on("private_message", (msg) => handleNewMessage({ ...msg, isPrivate: true }));
+    // the browser knows before the socket does; skip the remaining backoff
+    const handleOnline = () => {
+      if (wantConnection.current && !socket.connected) socket.connect();
+    };
+    window.addEventListener("online", handleOnline);
 
-    socket.on("messages_page", ({ messages: msgs, page: pg }) => {
-      if (!msgs.length) setHasMore(false);
-      setMessages((prev) => [...msgs, ...prev]);
-      setPage(pg);
+    socket.on(EVENTS.CONNECT, handleConnect);
+    socket.on(EVENTS.SESSION, setMe);
+    socket.on(EVENTS.DISCONNECT, () => {
+      setIsConnected(false);
+      // the server drops whatever this socket was typing, and we miss the updates until we are back
+      setTypists({});
+      typingSent.current = null;
     });
 
-    socket.on("message_delivered", ({ messageId }) =>
+    socket.on(EVENTS.RECEIVE_MESSAGE, handleNewMessage);
+    socket.on(EVENTS.PRIVATE_MESSAGE, (msg) => {
+      handleNewMessage({ ...msg, isPrivate: true });
+      setConversations((prev) => touchConversation(prev, msg));
+    });
+    // also sent to whoever was just removed from a group, who then loses it
+    socket.on(EVENTS.CONVERSATION_UPDATED, (conversation) => {
+      if (conversation.participants.some((p) => p.userId === myId)) {
+        setConversations((prev) => upsertConversation(prev, conversation));
+        return;
+      }
+      setConversations((prev) => prev.filter((c) => c.key !== conversation.key));
+      if (conversation.key === currentRoom) latest.current.joinRoom("global");
+    });
+
+    socket.on(EVENTS.MESSAGES_PAGE, ({ room, messages: msgs, hasMore: more, nextBefore: cursor }) => {
+      if (room !== currentRoom) return;
+      setHasMore(more);
+      setNextBefore(cursor);
+      if (!lastSeen.current[room] && msgs.length) lastSeen.current[room] = msgs.at(-1)._id;
+      setMessages((prev) => {
+        const known = new Set(prev.map((m) => m._id).filter(Boolean));
+        const older = msgs.filter((m) => !known.has(m._id)).map((m) => withStatus(m, myId));
+        return [...older, ...prev];
+      });
+    });
+
+    socket.on(EVENTS.MESSAGE_DELIVERED, ({ messageId }) =>
       handleStatusUpdate({ messageId, status: "delivered" })
     );
-    socket.on("message_read", ({ messageId }) =>
+    socket.on(EVENTS.MESSAGE_READ, ({ messageId }) =>
       handleStatusUpdate({ messageId, status: "read" })
     );
 
-    socket.on("user_list", setUsers);
-    socket.on("user_joined", (u) => {
+    socket.on(EVENTS.ROOM_UPDATED, (room) => setRooms((prev) => upsertRoom(prev, room)));
+
+    socket.on(EVENTS.NOTIFICATION, (notification) => latest.current.handleNotification(notification));
+    // a level changed, here or on another device of ours
+    socket.on(EVENTS.NOTIFICATION_PREF, (pref) => latest.current.applyNotifyPref(pref));
+
+    // our cursor moved, here or on another device of ours
+    socket.on(EVENTS.READ_CURSOR, (state) => latest.current.applyReadState(state));
+
+    socket.on(EVENTS.ROOM_MODERATION, (record) => {
+      if (record.room === currentRoom) {
+        setMessages((prev) => [
+          ...prev,
+          { id: `mod-${record._id}`, system: true, message: describeModeration(record), timestamp: record.createdAt },
+        ]);
+      }
+      // removed from the room we are looking at: the server already unsubscribed us
+      if (record.targetId === myId && ["kick", "ban"].includes(record.action) && record.room === currentRoom) {
+        setRoomError(record.action === "ban" ? "banned" : "removed by a moderator");
+      }
+    });
+
+    const handleMessageChanged = (msg) => {
+      patchLists((prev) => refreshQuotes(replaceMessage(prev, msg), msg));
+      setConversations((prev) =>
+        prev.map((c) => (c.lastMessage?._id === msg._id ? { ...c, lastMessage: { ...c.lastMessage, ...quoteOf(msg) } } : c))
+      );
+    };
+
+    // reply count and last-reply preview of a root, wherever it is shown
+    socket.on(EVENTS.THREAD_UPDATED, ({ threadId, replyCount, lastReply }) =>
+      patchLists((prev) => prev.map((m) => (m._id === threadId ? { ...m, replyCount, lastReply } : m)))
+    );
+    socket.on(EVENTS.MESSAGE_EDITED, handleMessageChanged);
+    socket.on(EVENTS.MESSAGE_DELETED, handleMessageChanged);
+
+    // a snapshot of who is online when we connect; people we saw go offline keep their entry
+    socket.on(EVENTS.USER_LIST, (online) =>
+      setPeople((prev) => [
+        ...online,
+        ...prev.filter((p) => p.state === "offline" && !online.some((u) => u.userId === p.userId)),
+      ])
+    );
+    socket.on(EVENTS.PRESENCE_UPDATE, (person) => setPeople((prev) => upsertPerson(prev, person)));
+    socket.on(EVENTS.USER_JOINED, (u) => {
       setMessages((prev) => [
         ...prev,
         {
@@ -157,7 +991,7 @@ export const useSocket = (userId) => {
         },
       ]);
     });
-    socket.on("user_left", (u) => {
+    socket.on(EVENTS.USER_LEFT, (u) => {
       setMessages((prev) => [
         ...prev,
         {
@@ -168,39 +1002,102 @@ export const useSocket = (userId) => {
         },
       ]);
     });
-    socket.on("user_typing", handleTyping);
+    socket.on(EVENTS.USER_TYPING, handleTyping);
 
-    socket.on("reaction_added", ({ messageId, type, userId }) => {
-      setMessages((prev) =>
-        prev.map((m) =>
-          m._id === messageId || m.id === messageId
-            ? { ...m, reactions: [...(m.reactions || []), { userId, type }] }
-            : m
-        )
-      );
+    // Shown until retryAfter runs out. Socket.IO retries neither a server-side disconnect
+    // nor a refused handshake, so after those we reconnect ourselves
+    const handleRateLimited = ({ event, action, retryAfter }) => {
+      const ms = retryAfter * 1000;
+      setRateLimit({ event, action, until: Date.now() + ms });
+      clearTimeout(rateLimitTimer.current);
+      rateLimitTimer.current = setTimeout(() => {
+        setRateLimit(null);
+        if (action === "disconnect" && wantConnection.current && !socket.connected) socket.connect();
+      }, ms);
+    };
+    socket.on(EVENTS.RATE_LIMITED, handleRateLimited);
+    // failures of events sent without an ack (typing, receipts, reactions, ...)
+    socket.on(EVENTS.ERROR, setServerError);
+    socket.on(EVENTS.CONNECT_ERROR, (err) => {
+      if (err.data?.code === "rate_limited") handleRateLimited({ action: "disconnect", retryAfter: err.data.retryAfter });
     });
 
-    return () => socket.off();
-  }, [currentRoom, userId]);
+    // the whole summary of one message, after someone's change (ours included)
+    socket.on(EVENTS.REACTION_UPDATED, (update) => patchLists((prev) => withReactions(prev, update)));
+
+    return () => {
+      socket.off();
+      window.removeEventListener("online", handleOnline);
+    };
+  }, [currentRoom, myId, patchLists]);
 
   return {
     socket,
     isConnected,
+    me,
     messages,
     users,
+    recentlySeen,
+    setPresence,
     typingUsers,
     currentRoom,
     unread,
+    newMarker,
+    jumpToFirstUnread,
+    rooms,
+    roomError,
+    rateLimit,
+    serverError,
+    clearServerError: () => setServerError(null),
     connect,
     disconnect,
     joinRoom,
+    refreshRooms,
+    conversations,
+    refreshConversations,
+    openConversation,
+    createGroup,
+    renameConversation,
+    addParticipants,
+    removeParticipant,
+    leaveConversation,
+    createRoom,
+    updateRoom,
+    archiveRoom,
+    inviteToRoom,
+    leaveRoom,
+    kickUser,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser,
+    setSlowMode,
+    setMemberRole,
     sendMessage,
     sendPrivateMessage,
     setTyping,
     markRead,
-    addReaction,
+    toggleReaction,
+    editMessage,
+    deleteMessage,
+    thread,
+    threadUnread,
+    openThread,
+    closeThread,
+    loadOlderThread,
+    sendThreadReply,
+    searchMessages,
+    jumpToMessage,
+    mention,
+    openMention,
+    dismissMention: () => setMention(null),
+    placeOf,
+    notifyLevelOf,
+    setNotifyLevel,
+    focus,
+    showLatest,
     loadMessages,
-    page,
+    loadOlder,
     hasMore,
     userId,
   };
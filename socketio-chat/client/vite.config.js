@@ -2,6 +2,9 @@ import { defineConfig } from 'vite'
 import tailwindcss from '@tailwindcss/vite'
 import react from '@vitejs/plugin-react' 
 import path from 'path'
+import { fileURLToPath } from 'url'
+
+const shared = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../shared");
 
 // https://vite.dev/config/
 export default defineConfig({
@@ -9,6 +12,13 @@ export default defineConfig({
   resolve: {
     alias: {
       "@": "/src",
+      // socket event contract shared with the server
+      "@shared": shared,
+    },
+  },
+  server: {
+    fs: {
+      allow: [".", shared],
     },
   },
 });
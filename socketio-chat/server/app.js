@@ -0,0 +1,124 @@
+// server/app.js
+const express = require('express');
+const http = require('http');
+const cors = require('cors');
+const path = require('path');
+
+const {
+  listMessages,
+  listRecentMessages,
+  listThreadMessages,
+  searchMessagesRoute,
+} = require('./controllers/messageController');
+const { register, login, refresh, logout } = require('./controllers/authController');
+const { uploadFile } = require('./controllers/uploadController');
+const rooms = require('./controllers/roomController');
+const conversations = require('./controllers/conversationController');
+const reads = require('./controllers/readController');
+const notifications = require('./controllers/notificationController');
+const { buildProviders, createHttpAuthMiddleware } = require('./auth');
+const { createUploadTokenProvider } = require('./auth/providers/upload');
+const { createRateLimiter, createHttpRateLimit } = require('./rateLimit');
+const { initSocket } = require('./socket');
+const { createCluster } = require('./cluster');
+const { getStore } = require('./storage');
+const config = require('./config');
+
+/**
+ * The REST routes and the Socket.io server on one http server, not listening yet.
+ * server.js starts it with the defaults; tests pass their own `auth`, `limiter`
+ * (null: no limits) or `cluster`. REST controllers use the process-wide store
+ * (STORAGE), so `store` should be that one.
+ */
+function createApp({
+  store = getStore(),
+  cluster = createCluster(),
+  auth = config.auth,
+  // One limiter for sockets and REST, so a penalty earned on one applies on both (RATE_LIMIT=off: none)
+  limiter = config.rateLimit.enabled ? createRateLimiter(config.rateLimit) : null,
+} = {}) {
+  const app = express();
+  const server = http.createServer(app);
+  const providers = buildProviders(auth);
+  const requireAuth = createHttpAuthMiddleware({ providers });
+  const optionalAuth = createHttpAuthMiddleware({ providers, required: false });
+  // uploads also take the short-lived tokens sockets get from `get_upload_token`
+  const requireUploader = createHttpAuthMiddleware({ providers: [...providers, createUploadTokenProvider()] });
+  const limit = limiter ? createHttpRateLimit(limiter) : () => (req, res, next) => next();
+
+  app.use(cors());
+  app.use(express.json());
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // ---- Routes ----
+
+  // Every API call counts per IP; the groups below also count per user once authenticated
+  app.use('/api', limit());
+
+  // Local accounts: short-lived access tokens + rotating refresh tokens
+  app.use('/api/auth', limit('http:auth'));
+  app.post('/api/auth/register', register);
+  app.post('/api/auth/login', login);
+  app.post('/api/auth/refresh', refresh);
+  app.post('/api/auth/logout', logout);
+
+  // Latest 50 messages of a room, newest first
+  app.get('/api/messages/recent', optionalAuth, listRecentMessages);
+
+  // Cursor-paginated history: ?room=&before=<id|timestamp>&limit=
+  app.get('/api/messages', optionalAuth, listMessages);
+
+  // One thread: its root and a page of replies (?before=&limit=)
+  app.get('/api/threads/:threadId', optionalAuth, listThreadMessages);
+
+  // Full-text search over what the caller may read: ?q=&room=&senderId=&from=&to=&hasAttachment=&isPrivate=&before=&limit=
+  app.get('/api/search', optionalAuth, limit('http:search'), searchMessagesRoute);
+
+  // Rooms: listed ones for everybody, private ones for their members (Bearer token)
+  app.get('/api/rooms', optionalAuth, rooms.listRoomsRoute);
+  app.post('/api/rooms', requireAuth, rooms.createRoomRoute);
+  app.patch('/api/rooms/:slug', requireAuth, rooms.updateRoomRoute);
+  app.post('/api/rooms/:slug/archive', requireAuth, rooms.archiveRoomRoute);
+  app.post('/api/rooms/:slug/invites', requireAuth, rooms.inviteRoute);
+  app.post('/api/rooms/:slug/join', requireAuth, rooms.joinRoomRoute);
+  app.post('/api/rooms/:slug/leave', requireAuth, rooms.leaveRoomRoute);
+
+  // Your direct and group conversations, most recent first; history via /api/messages?room=<key>
+  app.get('/api/conversations', requireAuth, conversations.listConversationsRoute);
+  app.post('/api/conversations', requireAuth, conversations.createGroupRoute);
+  app.patch('/api/conversations/:key', requireAuth, conversations.renameRoute);
+  app.post('/api/conversations/:key/participants', requireAuth, conversations.addParticipantsRoute);
+  app.delete('/api/conversations/:key/participants/:userId', requireAuth, conversations.removeParticipantRoute);
+  app.post('/api/conversations/:key/leave', requireAuth, conversations.leaveRoute);
+
+  // Read cursors and unread counts of your rooms and conversations; PUT moves one forward
+  app.get('/api/reads', requireAuth, reads.listReadStatesRoute);
+  app.put('/api/reads/:room', requireAuth, reads.markReadRoute);
+
+  // Per-room notification levels (all / mentions / mute); PUT changes one
+  app.get('/api/notifications/prefs', requireAuth, notifications.listPreferencesRoute);
+  app.put('/api/notifications/prefs/:room', requireAuth, notifications.setPreferenceRoute);
+
+  // File/image upload (multipart field "file", Bearer access or upload token); served back from /uploads
+  app.post('/api/uploads', requireUploader, limit('http:upload'), uploadFile);
+
+  // List users
+  app.get('/api/users', async (req, res) => {
+    try {
+      res.json(await store.users.list());
+    } catch (err) {
+      console.error('Error fetching users:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // ---- Socket.io ----
+  // Handler modules live in socket/handlers; the event contract in ../shared/events.json
+  // REST routes reach connected clients through app.locals.io
+  const io = initSocket(server, { context: { store }, auth, limiter, cluster });
+  app.locals.io = io;
+
+  return { app, server, io };
+}
+
+module.exports = { createApp };
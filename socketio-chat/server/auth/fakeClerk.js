@@ -0,0 +1,62 @@
+// server/auth/fakeClerk.js
+// Offline stand-in for the slice of the Clerk SDK the clerk provider uses.
+// Tokens are "fake.<base64url json>" and only verify for users the fake knows about.
+
+function createFakeClerk({ users = [] } = {}) {
+  const byId = new Map(users.map((u) => [u.id, u]));
+
+  const encode = (payload) => `fake.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+
+  function decode(token) {
+    const [prefix, body] = String(token).split('.');
+    if (prefix !== 'fake' || !body) throw new Error('malformed token');
+    try {
+      return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch {
+      throw new Error('malformed token');
+    }
+  }
+
+  return {
+    addUser(user) {
+      byId.set(user.id, user);
+      return user;
+    },
+
+    // ttlSeconds <= 0 produces an already-expired token
+    issueToken(userId, { ttlSeconds = 3600 } = {}) {
+      return encode({ sub: userId, exp: Math.floor(Date.now() / 1000) + ttlSeconds });
+    },
+
+    sessions: {
+      async verifyToken(token) {
+        const payload = decode(token);
+        if (!payload.exp || payload.exp * 1000 <= Date.now()) throw new Error('token expired');
+        if (!byId.has(payload.sub)) throw new Error('unknown user');
+        return { userId: payload.sub, sub: payload.sub };
+      },
+    },
+
+    users: {
+      async getUser(id) {
+        const user = byId.get(id);
+        if (!user) throw new Error('user not found');
+        return user;
+      },
+    },
+  };
+}
+
+// CLERK_FAKE_USERS="user_1:Alice,user_2:Bob"
+function parseFakeUsers(spec = '') {
+  return spec
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [id, ...name] = pair.split(':');
+      return { id, username: name.join(':') || id };
+    });
+}
+
+module.exports = { createFakeClerk, parseFakeUsers };
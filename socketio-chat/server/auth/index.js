@@ -0,0 +1,100 @@
+// server/auth/index.js
+const { log } = require('../utils/logger');
+const { createJwtProvider } = require('./providers/jwt');
+const { createClerkProvider } = require('./providers/clerk');
+const { createGuestProvider } = require('./providers/guest');
+const { createFakeClerk, parseFakeUsers } = require('./fakeClerk');
+
+/**
+ * A provider is { name, authenticate(socket) } where authenticate resolves to
+ * { clerkId, username, guest? } when it recognises the handshake, or null.
+ */
+const factories = {
+  jwt: () => createJwtProvider(),
+  guest: () => createGuestProvider(),
+  clerk: (auth) => {
+    if (auth.clerkFake) {
+      log('auth: using fake Clerk');
+      return createClerkProvider({ client: createFakeClerk({ users: parseFakeUsers(auth.clerkFakeUsers) }) });
+    }
+    if (!auth.clerkSecret) {
+      log('auth: Clerk not configured — clerk provider disabled');
+      return null;
+    }
+    const { Clerk } = require('@clerk/clerk-sdk-node');
+    return createClerkProvider({ client: new Clerk({ secretKey: auth.clerkSecret }) });
+  },
+};
+
+function buildProviders(auth) {
+  return auth.providers
+    .map((name) => {
+      const factory = factories[name];
+      if (!factory) throw new Error(`Unknown auth provider "${name}"`);
+      return factory(auth);
+    })
+    .filter(Boolean);
+}
+
+function unauthorized(reason) {
+  const err = new Error('Unauthorized');
+  err.data = { code: 'unauthorized', reason };
+  return err;
+}
+
+/**
+ * Socket.io middleware trying each provider in order. A presented token that no
+ * provider accepts is always rejected; a socket with no credentials at all is let
+ * through anonymously unless `strict` is set.
+ */
+function createAuthMiddleware({ providers, strict = false }) {
+  return async (socket, next) => {
+    for (const provider of providers) {
+      try {
+        const user = await provider.authenticate(socket);
+        if (user) {
+          socket.user = { ...user, provider: provider.name };
+          return next();
+        }
+      } catch (err) {
+        log(`auth: provider ${provider.name} failed:`, err.message || err);
+      }
+    }
+
+    if (socket.handshake.auth?.token) return next(unauthorized('invalid token'));
+    if (strict) return next(unauthorized('authentication required'));
+    return next();
+  };
+}
+
+/**
+ * Express counterpart: reads `Authorization: Bearer <token>` and runs it through
+ * the same providers (the guest provider is skipped, REST has no anonymous identity).
+ * Sets req.user; answers 401 when `required` and nobody was recognised.
+ */
+function createHttpAuthMiddleware({ providers, required = true }) {
+  const usable = providers.filter((p) => p.name !== 'guest');
+  return async (req, res, next) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+      // Providers read the handshake shape, so present the token the same way
+      const handshake = { id: null, handshake: { auth: { token } } };
+      for (const provider of usable) {
+        try {
+          const user = await provider.authenticate(handshake);
+          if (user) {
+            req.user = { ...user, provider: provider.name };
+            return next();
+          }
+        } catch (err) {
+          log(`auth: provider ${provider.name} failed:`, err.message || err);
+        }
+      }
+      return res.status(401).json({ error: 'invalid token' });
+    }
+    if (required) return res.status(401).json({ error: 'authentication required' });
+    return next();
+  };
+}
+
+module.exports = { buildProviders, createAuthMiddleware, createHttpAuthMiddleware };
@@ -0,0 +1,39 @@
+// server/auth/providers/clerk.js
+const { log } = require('../../utils/logger');
+
+/**
+ * Clerk session tokens. `client` only needs `sessions.verifyToken` and `users.getUser`,
+ * so the real SDK and the fake from ../fakeClerk are interchangeable.
+ */
+function createClerkProvider({ client }) {
+  return {
+    name: 'clerk',
+    async authenticate(socket) {
+      const token = socket.handshake.auth?.token;
+      if (!token) return null;
+
+      let verified;
+      try {
+        verified = await client.sessions.verifyToken(token);
+      } catch (err) {
+        log('Clerk token verify failed:', err.message || err);
+        return null;
+      }
+
+      const userId = verified.userId || verified.sub || verified.subject;
+      if (!userId) return null;
+
+      let username = userId;
+      try {
+        const user = await client.users.getUser(userId);
+        username = user.fullName || user.username || user.primaryEmailAddress?.emailAddress || userId;
+      } catch {
+        // profile lookup is best-effort; the session itself is valid
+      }
+
+      return { clerkId: userId, username };
+    },
+  };
+}
+
+module.exports = { createClerkProvider };
@@ -0,0 +1,21 @@
+// server/auth/providers/guest.js
+
+const MAX_NAME_LENGTH = 32;
+
+// Anyone without a token gets a throwaway identity tied to this socket
+function createGuestProvider() {
+  return {
+    name: 'guest',
+    async authenticate(socket) {
+      if (socket.handshake.auth?.token) return null;
+      const requested = String(socket.handshake.auth?.username || '').trim().slice(0, MAX_NAME_LENGTH);
+      return {
+        clerkId: `guest:${socket.id}`,
+        username: requested || `Anon-${socket.id.slice(0, 5)}`,
+        guest: true,
+      };
+    },
+  };
+}
+
+module.exports = { createGuestProvider };
@@ -0,0 +1,18 @@
+// server/auth/providers/jwt.js
+const { verifyToken } = require('../../controllers/authController');
+
+// Access tokens issued by /api/auth/login and /api/auth/refresh
+function createJwtProvider() {
+  return {
+    name: 'jwt',
+    async authenticate(socket) {
+      const token = socket.handshake.auth?.token;
+      if (!token) return null;
+      const payload = verifyToken(token);
+      if (!payload?.sub) return null;
+      return { clerkId: payload.sub, username: payload.username || payload.sub };
+    },
+  };
+}
+
+module.exports = { createJwtProvider };
@@ -0,0 +1,18 @@
+// server/auth/providers/upload.js
+const { verifyUploadToken } = require('../../controllers/uploadController');
+
+// Upload tokens from `get_upload_token`; only the upload route accepts this provider
+function createUploadTokenProvider() {
+  return {
+    name: 'upload',
+    async authenticate(socket) {
+      const token = socket.handshake.auth?.token;
+      if (!token) return null;
+      const payload = verifyUploadToken(token);
+      if (!payload?.sub) return null;
+      return { clerkId: payload.sub, username: payload.username || payload.sub };
+    },
+  };
+}
+
+module.exports = { createUploadTokenProvider };
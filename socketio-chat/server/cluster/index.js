@@ -0,0 +1,91 @@
+// server/cluster/index.js
+const crypto = require('crypto');
+const config = require('../config');
+const { log } = require('../utils/logger');
+const { createMemoryState } = require('./memoryState');
+const { createRedisState } = require('./redisState');
+const { createLocalBus, createLocalAdapter } = require('./localAdapter');
+
+const HEARTBEAT_MS = 10 * 1000; // how often a node tells the others it is alive
+const NODE_TIMEOUT_MS = 3 * HEARTBEAT_MS; // quiet for this long: the node and its sockets are gone
+
+/**
+ * What one server node shares with the others:
+ *
+ *   nodeId   random id of this process
+ *   adapter  Socket.IO adapter relaying broadcasts and room changes between nodes
+ *            (undefined: Socket.IO's in-memory default)
+ *   state    hashes every node reads and writes: presence, typing, slow mode
+ *            (hget, hgetall, hset, hdel — see memoryState.js)
+ *   ready    resolves once the backing services are connected
+ *   close()
+ *
+ * Modes: "single" keeps everything in this process; "local" runs several nodes in
+ * one process that share `bus` and `state` (tests); "redis" uses
+ * @socket.io/redis-adapter and Redis hashes at `redisUrl`.
+ */
+function createCluster({ mode = config.cluster.mode, redisUrl = config.cluster.redisUrl, bus, state } = {}) {
+  const nodeId = crypto.randomBytes(8).toString('hex');
+  const done = async () => {};
+
+  if (mode === 'single') {
+    return { nodeId, mode, adapter: undefined, state: state || createMemoryState(), ready: Promise.resolve(), close: done };
+  }
+
+  if (mode === 'local') {
+    if (!bus || !state) throw new Error('cluster mode "local" needs a shared bus and state');
+    return { nodeId, mode, adapter: createLocalAdapter(bus), state, ready: Promise.resolve(), close: done };
+  }
+
+  if (mode === 'redis') {
+    // loaded here so single-node setups never touch Redis
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const pub = createClient({ url: redisUrl });
+    const sub = pub.duplicate();
+    for (const client of [pub, sub]) client.on('error', (err) => log('redis error:', err.message));
+    const ready = Promise.all([pub.connect(), sub.connect()]);
+    return {
+      nodeId,
+      mode,
+      adapter: createAdapter(pub, sub),
+      state: createRedisState(pub),
+      ready,
+      close: async () => {
+        await Promise.all([pub.quit(), sub.quit()]);
+      },
+    };
+  }
+
+  throw new Error(`Unknown cluster mode "${mode}"`);
+}
+
+/**
+ * Keep this node's heartbeat in `state` and call `onDead(nodeId)` once for every
+ * node that stopped beating (whichever node notices first handles it), so what it
+ * left in the shared state can be cleaned up. Returns a function that stops.
+ */
+function watchNodes(cluster, onDead, { every = HEARTBEAT_MS, timeout = NODE_TIMEOUT_MS } = {}) {
+  const { state, nodeId } = cluster;
+
+  async function sweep() {
+    const now = Date.now();
+    await state.hset('nodes', nodeId, now);
+    for (const [id, lastBeat] of Object.entries(await state.hgetall('nodes'))) {
+      if (id === nodeId || now - lastBeat < timeout) continue;
+      const { removed } = await state.hdel('nodes', id);
+      if (removed) await onDead(id);
+    }
+  }
+
+  const run = () => sweep().catch((err) => log('cluster heartbeat error:', err));
+  const timer = setInterval(run, every);
+  timer.unref?.();
+  cluster.ready.then(run);
+  return () => {
+    clearInterval(timer);
+    state.hdel('nodes', nodeId).catch(() => {});
+  };
+}
+
+module.exports = { createCluster, watchNodes, createLocalBus, createMemoryState, HEARTBEAT_MS, NODE_TIMEOUT_MS };
@@ -0,0 +1,53 @@
+// server/cluster/localAdapter.js
+const { EventEmitter } = require('events');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+/**
+ * In-process stand-in for the Redis adapter: Socket.IO servers that share one bus
+ * relay broadcasts, room changes and fetchSockets() to each other exactly like
+ * separate nodes would. Used to run several nodes in one process (tests, demos).
+ */
+function createLocalBus() {
+  const bus = new EventEmitter();
+  bus.setMaxListeners(0);
+  return bus;
+}
+
+// Messages are copied on the way, as they would be serialized between processes
+const copy = (value) => structuredClone(value);
+
+class LocalAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, opts = {}) {
+    super(nsp, opts);
+    this.bus = bus;
+    this.onBusMessage = (message) => this.onMessage(copy(message));
+    this.onBusResponse = (response) => this.onResponse(copy(response));
+    bus.on(`message:${nsp.name}`, this.onBusMessage);
+    bus.on(`response:${this.uid}`, this.onBusResponse);
+    this.init();
+  }
+
+  async doPublish(message) {
+    this.bus.emit(`message:${this.nsp.name}`, message);
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    this.bus.emit(`response:${requesterUid}`, response);
+  }
+
+  close() {
+    this.bus.off(`message:${this.nsp.name}`, this.onBusMessage);
+    this.bus.off(`response:${this.uid}`, this.onBusResponse);
+    super.close();
+  }
+}
+
+// For the `adapter` server option (Socket.IO calls it with `new`): every namespace joins `bus`
+function createLocalAdapter(bus, opts) {
+  return function localAdapter(nsp) {
+    return new LocalAdapter(nsp, bus, opts);
+  };
+}
+
+module.exports = { createLocalBus, createLocalAdapter };
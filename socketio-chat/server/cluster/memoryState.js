@@ -0,0 +1,45 @@
+// server/cluster/memoryState.js
+
+/**
+ * Shared state kept in this process: right for a single node, and for several
+ * nodes started in one process (they are handed the same object). Values go
+ * through JSON like they do in Redis, so callers never share live objects.
+ */
+function createMemoryState() {
+  const hashes = new Map(); // key => Map<field, json>
+
+  const hash = (key) => hashes.get(key) || new Map();
+
+  return {
+    kind: 'memory',
+
+    async hget(key, field) {
+      const json = hash(key).get(field);
+      return json === undefined ? null : JSON.parse(json);
+    },
+
+    async hgetall(key) {
+      return Object.fromEntries([...hash(key)].map(([field, json]) => [field, JSON.parse(json)]));
+    },
+
+    // Resolves with the number of fields the hash has afterwards
+    async hset(key, field, value) {
+      const h = hash(key);
+      h.set(field, JSON.stringify(value));
+      hashes.set(key, h);
+      return h.size;
+    },
+
+    // { removed, left }: whether the field was there, and how many fields remain
+    async hdel(key, field) {
+      const h = hash(key);
+      const removed = h.delete(field);
+      if (!h.size) hashes.delete(key);
+      return { removed, left: h.size };
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryState };
@@ -0,0 +1,40 @@
+// server/cluster/redisState.js
+
+/**
+ * Shared state in Redis hashes, for nodes in separate processes. Same interface as
+ * memoryState.js; `client` is a connected (or connecting) node-redis v4 client and
+ * every key is put under `prefix`.
+ */
+function createRedisState(client, { prefix = 'chat:' } = {}) {
+  const k = (key) => prefix + key;
+  const parse = (json) => (json === null || json === undefined ? null : JSON.parse(json));
+
+  return {
+    kind: 'redis',
+
+    async hget(key, field) {
+      return parse(await client.hGet(k(key), field));
+    },
+
+    async hgetall(key) {
+      const raw = await client.hGetAll(k(key));
+      return Object.fromEntries(Object.entries(raw).map(([field, json]) => [field, parse(json)]));
+    },
+
+    async hset(key, field, value) {
+      const [, size] = await client.multi().hSet(k(key), field, JSON.stringify(value)).hLen(k(key)).exec();
+      return Number(size);
+    },
+
+    async hdel(key, field) {
+      const [removed, left] = await client.multi().hDel(k(key), field).hLen(k(key)).exec();
+      return { removed: Number(removed) > 0, left: Number(left) };
+    },
+
+    async close() {
+      await client.quit();
+    },
+  };
+}
+
+module.exports = { createRedisState };
@@ -1,7 +1,47 @@
 const dotenv = require('dotenv');
 dotenv.config();
 
+const list = (value) => value.split(',').map((s) => s.trim()).filter(Boolean);
+
 module.exports = {
   port: process.env.PORT || 5000,
   clientUrl: process.env.CLIENT_URL || 'http://localhost:5173',
+  // "mongo" (default) or "memory" — see storage/index.js
+  storage: process.env.STORAGE || 'mongo',
+  mongoUri: process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/myChatApp',
+  socket: {
+    // how long a dropped connection can be resumed with its rooms and missed packets
+    recoveryMs: Number(process.env.SOCKET_RECOVERY_MS) || 2 * 60 * 1000,
+    // e.g. "websocket": without long-polling a load balancer needs no sticky sessions
+    transports: process.env.SOCKET_TRANSPORTS ? list(process.env.SOCKET_TRANSPORTS) : undefined,
+  },
+  cluster: {
+    // "single" (default): one node; "redis": any number of nodes sharing REDIS_URL — see cluster/index.js
+    mode: process.env.CLUSTER_MODE || 'single',
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+  },
+  uploads: {
+    maxBytes: Number(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024,
+  },
+  moderation: {
+    // user ids (e.g. local:alice) that act as admin in every room, seeded ones included
+    admins: list(process.env.CHAT_ADMINS || ''),
+    // how long a kicked user can neither rejoin nor post in the room
+    kickCooldownSeconds: Number(process.env.KICK_COOLDOWN_SECONDS) || 5 * 60,
+  },
+  rateLimit: {
+    // RATE_LIMIT=off turns the socket and HTTP limits off (load tests, scripted clients)
+    enabled: process.env.RATE_LIMIT !== 'off',
+    // an IP address gets this many times a single user's allowance (see rateLimit/index.js)
+    ipFactor: Number(process.env.RATE_LIMIT_IP_FACTOR) || 3,
+  },
+  auth: {
+    // tried in order on every handshake: jwt, clerk, guest
+    providers: list(process.env.AUTH_PROVIDERS || 'jwt,clerk'),
+    // reject sockets that no provider authenticated
+    strict: process.env.AUTH_STRICT === 'true',
+    clerkSecret: process.env.CLERK_SECRET_KEY || process.env.CLERK_SECRET || null,
+    clerkFake: process.env.CLERK_FAKE === 'true',
+    clerkFakeUsers: process.env.CLERK_FAKE_USERS || '',
+  },
 };
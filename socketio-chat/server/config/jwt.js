@@ -1,7 +1,15 @@
 const dotenv = require("dotenv");
 dotenv.config();
 
+const jwtSecret = process.env.JWT_SECRET || "dev_secret_change_me";
+
 module.exports = {
-  jwtSecret: process.env.JWT_SECRET || "dev_secret_change_me",
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || "7d",
+  jwtSecret,
+  // access tokens are short-lived; clients renew them through /api/auth/refresh
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || "15m",
+  refreshSecret: process.env.JWT_REFRESH_SECRET || `${jwtSecret}:refresh`,
+  refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "30d",
+  // one-off tokens for POST /api/uploads, handed to whoever holds a socket (guests included)
+  uploadSecret: process.env.JWT_UPLOAD_SECRET || `${jwtSecret}:upload`,
+  uploadExpiresIn: "5m",
 };
@@ -1,23 +1,147 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { getStore } = require('../storage');
 const { log } = require('../utils/logger');
-const secret = process.env.JWT_SECRET || 'dev_secret_change_me';
-const expiresIn = process.env.JWT_EXPIRES_IN || '7d';
-
-function login(req, res) {
-  const { username } = req.body;
-  if (!username || !username.trim()) return res.status(400).json({ error: 'username required' });
-  const payload = { username };
-  const token = jwt.sign(payload, secret, { expiresIn });
-  log('login:', username);
-  return res.json({ token, username });
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { jwtSecret, jwtExpiresIn, refreshSecret, refreshExpiresIn } = require('../config/jwt');
+
+const USERNAME_RE = /^[\w.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// JSON bodies can hold anything: only non-empty strings count as credentials
+const isText = (value) => typeof value === 'string' && value.length > 0;
+
+const localId = (username) => `local:${username.trim().toLowerCase()}`;
+const hashJti = (jti) => crypto.createHash('sha256').update(jti).digest('hex');
+
+function signAccessToken(user) {
+  return jwt.sign({ sub: user.clerkId, username: user.username }, jwtSecret, { expiresIn: jwtExpiresIn });
+}
+
+// Issue an access token plus a new refresh token, remembering only the refresh token's hashed jti
+async function issueTokens(user) {
+  const jti = crypto.randomBytes(16).toString('hex');
+  const refreshToken = jwt.sign({ sub: user.clerkId }, refreshSecret, { expiresIn: refreshExpiresIn, jwtid: jti });
+  const { exp } = jwt.decode(refreshToken);
+  await getStore().users.addRefreshToken(user.clerkId, { tokenHash: hashJti(jti), expiresAt: new Date(exp * 1000) });
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+    expiresIn: jwtExpiresIn,
+    userId: user.clerkId,
+    username: user.username,
+  };
+}
+
+// POST /api/auth/register { username, password }
+async function register(req, res) {
+  const { username, password } = req.body || {};
+  if (!isText(username) || !USERNAME_RE.test(username.trim())) {
+    return res.status(400).json({ error: 'username must be 3-32 letters, digits, ".", "-" or "_"' });
+  }
+  if (!isText(password) || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const { users } = getStore();
+    const clerkId = localId(username);
+    if (await users.exists(clerkId)) return res.status(409).json({ error: 'username taken' });
+
+    const user = await users.createAccount({
+      clerkId,
+      username: username.trim(),
+      passwordHash: await hashPassword(password),
+    });
+    log('register:', user.username);
+    return res.status(201).json(await issueTokens(user));
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'username taken' });
+    log('register error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// POST /api/auth/login { username, password }
+async function login(req, res) {
+  const { username, password } = req.body || {};
+  if (!isText(username) || !username.trim() || !isText(password)) {
+    return res.status(400).json({ error: 'username and password required' });
+  }
+
+  try {
+    const user = await getStore().users.findCredentials(localId(username));
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'invalid credentials' });
+    }
+    log('login:', user.username);
+    return res.json(await issueTokens(user));
+  } catch (err) {
+    log('login error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// POST /api/auth/refresh { refreshToken } — rotates: the presented token is spent either way
+async function refresh(req, res) {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) return res.status(400).json({ error: 'refreshToken required' });
+
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, refreshSecret);
+  } catch (err) {
+    return res.status(401).json({ error: 'invalid refresh token' });
+  }
+
+  try {
+    const { users } = getStore();
+    const user = await users.findCredentials(payload.sub);
+    if (!user) return res.status(401).json({ error: 'invalid refresh token' });
+
+    // Spending the token is one atomic update, so two requests with it cannot both rotate
+    if (!(await users.removeRefreshToken(user.clerkId, hashJti(payload.jti)))) {
+      // A validly signed token we no longer hold was already rotated: assume it leaked
+      await users.setRefreshTokens(user.clerkId, []);
+      log('refresh token reuse detected, sessions revoked for', user.username);
+      return res.status(401).json({ error: 'refresh token reused' });
+    }
+    return res.json(await issueTokens(user));
+  } catch (err) {
+    log('refresh error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// POST /api/auth/logout { refreshToken }
+async function logout(req, res) {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) return res.status(400).json({ error: 'refreshToken required' });
+
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, refreshSecret, { ignoreExpiration: true });
+  } catch (err) {
+    return res.status(204).end();
+  }
+
+  try {
+    await getStore().users.removeRefreshToken(payload.sub, hashJti(payload.jti));
+    return res.status(204).end();
+  } catch (err) {
+    log('logout error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
 }
 
+// Access tokens only: refresh tokens are signed with a different secret and fail here
 function verifyToken(token) {
   try {
-    return jwt.verify(token, secret);
+    return jwt.verify(token, jwtSecret);
   } catch (err) {
     return null;
   }
 }
 
-module.exports = { login, verifyToken };
+module.exports = { register, login, refresh, logout, verifyToken };
@@ -0,0 +1,248 @@
+// server/controllers/conversationController.js
+const crypto = require('crypto');
+const EVENTS = require('../socket/events');
+const { getStore } = require('../storage');
+const { appError, sendError } = require('../utils/errors');
+
+const MIN_GROUP_SIZE = 3; // you and at least two others; fewer is a direct conversation
+const MAX_GROUP_SIZE = 20;
+const MAX_TITLE_LENGTH = 48;
+
+// Message.room of private conversations; anything else is a Room slug (or a legacy "pm:" thread)
+const isConversationKey = (key) => typeof key === 'string' && /^(dm|group):/.test(key);
+
+// One key per pair of users, whoever starts it; hashed because user ids may contain ':'
+function directKey(a, b) {
+  const pair = [a, b].sort().join('\n');
+  return `dm:${crypto.createHash('sha256').update(pair).digest('hex').slice(0, 32)}`;
+}
+
+const isParticipant = (conversation, userId) => conversation.participants.some((p) => p.userId === userId);
+
+// The conversation a private message belongs to; null for room and legacy "pm:" messages
+async function conversationOf(msg, store = getStore()) {
+  return msg?.isPrivate && isConversationKey(msg.room) ? store.conversations.findByKey(msg.room) : null;
+}
+
+function cleanTitle(title) {
+  const value = typeof title === 'string' ? title.trim() : '';
+  if (value.length > MAX_TITLE_LENGTH) {
+    throw appError(400, 'invalid_title', `title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  return value;
+}
+
+// Known users for the given ids (deduplicated, without `exceptId`) as new participants
+async function participantsFor(userIds, exceptId, store) {
+  if (!Array.isArray(userIds)) throw appError(400, 'user_ids_required');
+  const ids = [...new Set(userIds.filter((id) => typeof id === 'string' && id && id !== exceptId))];
+  const users = await Promise.all(ids.map((id) => store.users.findById(id)));
+  if (users.some((u) => !u)) throw appError(404, 'user_not_found');
+  return users.map((u) => ({ userId: u.clerkId, username: u.username, joinedAt: new Date() }));
+}
+
+// What clients get to see of a conversation
+function toConversationView(conversation) {
+  return {
+    key: conversation.key,
+    kind: conversation.kind,
+    title: conversation.title || '',
+    createdBy: conversation.createdBy,
+    participants: conversation.participants.map(({ userId, username }) => ({ userId, username })),
+    lastMessage: conversation.lastMessage,
+    lastMessageAt: conversation.lastMessageAt,
+    createdAt: conversation.createdAt,
+  };
+}
+
+/**
+ * The direct conversation between `actor` ({ userId, username }) and `userId`,
+ * created on first use. Resolves to { conversation, created }.
+ */
+async function openDirectConversation({ userId } = {}, actor, store = getStore()) {
+  if (typeof userId !== 'string' || !userId) throw appError(400, 'user_id_required');
+  if (userId === actor.userId) throw appError(400, 'cannot_message_self');
+  const other = await store.users.findById(userId);
+  if (!other) throw appError(404, 'user_not_found');
+
+  return store.conversations.findOrCreate({
+    key: directKey(actor.userId, userId),
+    kind: 'direct',
+    createdBy: actor.userId,
+    participants: [
+      { userId: actor.userId, username: actor.username, joinedAt: new Date() },
+      { userId, username: other.username, joinedAt: new Date() },
+    ],
+  });
+}
+
+/**
+ * A group conversation of `actor` ({ userId, username }) and `userIds`, with an
+ * optional title; MIN_GROUP_SIZE to MAX_GROUP_SIZE people in total.
+ */
+async function createGroupConversation({ title, userIds } = {}, actor, store = getStore()) {
+  const others = await participantsFor(userIds, actor.userId, store);
+  const size = others.length + 1;
+  if (size < MIN_GROUP_SIZE || size > MAX_GROUP_SIZE) {
+    throw appError(400, 'invalid_group_size', `a group has ${MIN_GROUP_SIZE}-${MAX_GROUP_SIZE} people`);
+  }
+  const { conversation } = await store.conversations.findOrCreate({
+    key: `group:${crypto.randomBytes(12).toString('hex')}`,
+    kind: 'group',
+    title: cleanTitle(title),
+    createdBy: actor.userId,
+    participants: [{ userId: actor.userId, username: actor.username, joinedAt: new Date() }, ...others],
+  });
+  return conversation;
+}
+
+// A group the user takes part in; direct conversations have a fixed pair of participants
+async function findGroup(key, userId, store) {
+  const conversation = await findConversation(key, userId, store);
+  if (conversation.kind !== 'group') throw appError(400, 'not_a_group');
+  return conversation;
+}
+
+// Any participant may add people, up to MAX_GROUP_SIZE
+async function addParticipants(key, userIds, actorId, store = getStore()) {
+  const group = await findGroup(key, actorId, store);
+  const added = (await participantsFor(userIds, actorId, store)).filter((p) => !isParticipant(group, p.userId));
+  if (!added.length) return group;
+  if (group.participants.length + added.length > MAX_GROUP_SIZE) throw appError(400, 'invalid_group_size');
+  return store.conversations.addParticipants(key, added);
+}
+
+// Only whoever started the group removes others; everyone can leave
+async function removeParticipant(key, userId, actorId, store = getStore()) {
+  const group = await findGroup(key, actorId, store);
+  if (userId === actorId) throw appError(400, 'use_leave');
+  if (group.createdBy !== actorId) throw appError(403, 'not_group_creator');
+  if (!isParticipant(group, userId)) throw appError(404, 'not_a_participant');
+  return store.conversations.removeParticipant(key, userId);
+}
+
+async function leaveConversation(key, actorId, store = getStore()) {
+  await findGroup(key, actorId, store);
+  return store.conversations.removeParticipant(key, actorId);
+}
+
+async function renameConversation(key, title, actorId, store = getStore()) {
+  await findGroup(key, actorId, store);
+  return store.conversations.update(key, { title: cleanTitle(title) });
+}
+
+// A conversation the user takes part in; anybody else gets a 404
+async function findConversation(key, userId, store = getStore()) {
+  const conversation = isConversationKey(key) ? await store.conversations.findByKey(key) : null;
+  if (!conversation || !userId || !isParticipant(conversation, userId)) throw appError(404, 'conversation_not_found');
+  return conversation;
+}
+
+// "My conversations": the ones with messages, plus empty ones the user opened
+async function listConversations(userId, store = getStore()) {
+  const conversations = await store.conversations.listFor(userId);
+  return conversations.filter((c) => c.lastMessageAt || c.createdBy === userId).map(toConversationView);
+}
+
+/**
+ * Tell a conversation's participants it changed; `formerIds` (people just removed
+ * or gone) get it too, so their clients can drop it.
+ */
+function announceConversation(io, conversation, formerIds = []) {
+  if (!io || !conversation) return;
+  const audience = [...conversation.participants.map((p) => p.userId), ...formerIds].map((id) => `user:${id}`);
+  if (audience.length) io.to(audience).emit(EVENTS.CONVERSATION_UPDATED, toConversationView(conversation));
+}
+
+/* ---- REST ---- */
+
+const actorOf = (req) => ({ userId: req.user.clerkId, username: req.user.username });
+
+// GET /api/conversations
+async function listConversationsRoute(req, res) {
+  try {
+    res.json(await listConversations(req.user.clerkId));
+  } catch (err) {
+    sendError(res, err, 'list conversations');
+  }
+}
+
+// POST /api/conversations { title?, userIds }
+async function createGroupRoute(req, res) {
+  try {
+    const conversation = await createGroupConversation(req.body || {}, actorOf(req));
+    announceConversation(req.app.locals.io, conversation);
+    res.status(201).json(toConversationView(conversation));
+  } catch (err) {
+    sendError(res, err, 'create conversation');
+  }
+}
+
+// PATCH /api/conversations/:key { title }
+async function renameRoute(req, res) {
+  try {
+    const updated = await renameConversation(req.params.key, req.body?.title, req.user.clerkId);
+    announceConversation(req.app.locals.io, updated);
+    res.json(toConversationView(updated));
+  } catch (err) {
+    sendError(res, err, 'rename conversation');
+  }
+}
+
+// POST /api/conversations/:key/participants { userIds }
+async function addParticipantsRoute(req, res) {
+  try {
+    const updated = await addParticipants(req.params.key, req.body?.userIds, req.user.clerkId);
+    announceConversation(req.app.locals.io, updated);
+    res.json(toConversationView(updated));
+  } catch (err) {
+    sendError(res, err, 'add participants');
+  }
+}
+
+// DELETE /api/conversations/:key/participants/:userId
+async function removeParticipantRoute(req, res) {
+  try {
+    const updated = await removeParticipant(req.params.key, req.params.userId, req.user.clerkId);
+    announceConversation(req.app.locals.io, updated, [req.params.userId]);
+    res.json(toConversationView(updated));
+  } catch (err) {
+    sendError(res, err, 'remove participant');
+  }
+}
+
+// POST /api/conversations/:key/leave
+async function leaveRoute(req, res) {
+  try {
+    const updated = await leaveConversation(req.params.key, req.user.clerkId);
+    announceConversation(req.app.locals.io, updated, [req.user.clerkId]);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'leave conversation');
+  }
+}
+
+module.exports = {
+  isConversationKey,
+  isParticipant,
+  conversationOf,
+  directKey,
+  toConversationView,
+  openDirectConversation,
+  createGroupConversation,
+  addParticipants,
+  removeParticipant,
+  leaveConversation,
+  renameConversation,
+  findConversation,
+  listConversations,
+  announceConversation,
+  listConversationsRoute,
+  createGroupRoute,
+  renameRoute,
+  addParticipantsRoute,
+  removeParticipantRoute,
+  leaveRoute,
+  MIN_GROUP_SIZE,
+  MAX_GROUP_SIZE,
+};
@@ -0,0 +1,74 @@
+// server/controllers/mentionController.js
+const { getStore } = require('../storage');
+const { canRead } = require('./roomController');
+const { isParticipant } = require('./conversationController');
+
+// "@name" at the start or after something that is not part of a word or an address (so not "bob@example.com")
+const MENTION_RE = /(^|[^\w@.-])@([\w.-]{1,32})/g;
+const BROADCASTS = ['here', 'room'];
+const MAX_MENTIONS = 50;
+
+/**
+ * The "@name" tokens of a text, in order: { name, offset, length }, offset and
+ * length covering the "@". Trailing dots and dashes are punctuation ("@bob.").
+ */
+function findMentions(text = '') {
+  const found = [];
+  for (const match of text.matchAll(MENTION_RE)) {
+    const name = match[2].replace(/[.-]+$/, '');
+    if (!name) continue;
+    found.push({ name, offset: match.index + match[1].length, length: name.length + 1 });
+    if (found.length === MAX_MENTIONS) break;
+  }
+  return found;
+}
+
+/**
+ * Mention entities for a new or edited message, as stored on Message.mentions:
+ * `@here` and `@room` as they are, `@name` for every user of that name (case
+ * does not matter) who can read the timeline — members and, for public rooms,
+ * anyone; participants of a conversation. Names nobody answers to stay plain text.
+ * The timeline is { room } (the Room document) or { conversation }.
+ */
+async function resolveMentions(text, { room, conversation }, store = getStore()) {
+  const found = findMentions(text);
+  if (!found.length) return [];
+
+  const names = [...new Set(found.map((f) => f.name.toLowerCase()).filter((n) => !BROADCASTS.includes(n)))];
+  const users = names.length ? await store.users.findByUsernames(names) : [];
+  const readers = users.filter((u) => (conversation ? isParticipant(conversation, u.clerkId) : canRead(room, u.clerkId)));
+
+  return found.flatMap(({ name, offset, length }) => {
+    const lower = name.toLowerCase();
+    if (BROADCASTS.includes(lower)) return [{ kind: lower, userId: null, username: null, offset, length }];
+    return readers
+      .filter((u) => u.username.toLowerCase() === lower)
+      .map((u) => ({ kind: 'user', userId: u.clerkId, username: u.username, offset, length }));
+  });
+}
+
+/**
+ * Who a message's mentions reach, userId => "user" | "here" | "room" (a personal
+ * mention wins): `@here` is everyone with a socket in the room or conversation
+ * right now, `@room` its members (plus whoever is in a public room right now) or
+ * all participants. Never the sender.
+ */
+async function mentionRecipients(io, msg, { room, conversation }) {
+  const recipients = new Map();
+  const add = (userIds, kind) => {
+    for (const id of userIds) if (id && !recipients.has(id)) recipients.set(id, kind);
+  };
+  const kinds = new Set(msg.mentions.map((m) => m.kind));
+
+  add(msg.mentions.filter((m) => m.kind === 'user').map((m) => m.userId), 'user');
+  if (kinds.has('here') || kinds.has('room')) {
+    const audience = conversation ? conversation.participants.map((p) => `user:${p.userId}`) : msg.room;
+    const present = (await io.in(audience).fetchSockets()).map((s) => s.data.userId);
+    add(present, kinds.has('here') ? 'here' : 'room');
+    if (kinds.has('room')) add((conversation ? conversation.participants : room.members).map((m) => m.userId), 'room');
+  }
+  recipients.delete(msg.senderId);
+  return recipients;
+}
+
+module.exports = { findMentions, resolveMentions, mentionRecipients };
@@ -0,0 +1,418 @@
+// server/controllers/messageController.js
+const { getStore } = require('../storage');
+const { log } = require('../utils/logger');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, isMessageId, clampPageSize } = require('../storage/cursor');
+const { parseTerms, searchableText } = require('../storage/search');
+const { roomAccess, canRead, hasRole } = require('./roomController');
+const { isConversationKey, isParticipant, findConversation } = require('./conversationController');
+const { appError } = require('../utils/errors');
+const { resolveMentions } = require('./mentionController');
+
+// Legacy socket-addressed private threads: no Room or Conversation behind them, filtered per message
+const isLegacyPmKey = (room) => String(room).startsWith('pm:');
+
+/**
+ * Whether `userId` may page through a timeline: rooms follow their Room's rules,
+ * conversations need the user among the participants.
+ */
+async function canReadTimeline(room, userId, store = getStore()) {
+  if (isConversationKey(room)) {
+    const conversation = userId ? await store.conversations.findByKey(room) : null;
+    return Boolean(conversation && isParticipant(conversation, userId));
+  }
+  if (isLegacyPmKey(room)) return true;
+  return (await roomAccess(room, userId, store)).canRead;
+}
+
+// Members-only rooms and conversations need the caller to be signed in (optional auth sets req.user)
+async function canReadRoom(req, room) {
+  return canReadTimeline(room, req.user?.clerkId);
+}
+
+/**
+ * Reactions as clients see them, per message: [{ emoji, count, users: [{ userId, username }] }],
+ * emoji in the order they were first used. `reactions` are stored ones, oldest first.
+ */
+function summarizeReactions(reactions) {
+  const byEmoji = new Map();
+  for (const { emoji, userId, username } of reactions) {
+    if (!byEmoji.has(emoji)) byEmoji.set(emoji, { emoji, count: 0, users: [] });
+    const entry = byEmoji.get(emoji);
+    entry.count += 1;
+    entry.users.push({ userId, username });
+  }
+  return [...byEmoji.values()];
+}
+
+// Messages with their `reactions` summary filled in (one query for the whole list)
+async function withReactions(messages, store = getStore()) {
+  if (!messages.length) return messages;
+  const stored = await store.reactions.listFor(messages.map((m) => m._id));
+  const byMessage = new Map();
+  for (const r of stored) {
+    if (!byMessage.has(r.messageId)) byMessage.set(r.messageId, []);
+    byMessage.get(r.messageId).push(r);
+  }
+  return messages.map((m) => ({ ...m, reactions: summarizeReactions(byMessage.get(String(m._id)) || []) }));
+}
+
+// A page's messages with their reactions
+const pageWithReactions = async (page, store) => ({ ...page, messages: await withReactions(page.messages, store) });
+
+/**
+ * One page of a room's history, newest page first, messages oldest-first inside the page.
+ * Private messages are only included when one of `viewerIds` sent or received them.
+ * `before` is a message id or a timestamp; a bad cursor throws with err.status = 400.
+ */
+async function getMessagesPage({ room = 'global', before, limit, viewerIds = [] } = {}, store = getStore()) {
+  const page = await store.messages.page({ room, before, limit, viewerIds });
+  return { room, ...(await pageWithReactions(page, store)) };
+}
+
+// Messages newer than `after` (id or timestamp), oldest first, for catching up after a reconnect
+async function getMessagesSince({ room = 'global', after, limit, viewerIds = [] } = {}, store = getStore()) {
+  const page = await store.messages.since({ room, after, limit, viewerIds });
+  return { room, ...(await pageWithReactions(page, store)) };
+}
+
+// Conversation messages are for the conversation's current participants, legacy ones for sender and recipient
+async function canSeeMessage(msg, viewerIds, store) {
+  if (!msg.isPrivate) return true;
+  const ids = viewerIds.filter(Boolean);
+  if (isConversationKey(msg.room)) {
+    const conversation = await store.conversations.findByKey(msg.room);
+    return Boolean(conversation) && ids.some((id) => isParticipant(conversation, id));
+  }
+  return ids.some((id) => id === msg.senderId || id === msg.to);
+}
+
+// A live (not deleted) message the viewer can see
+async function findVisibleMessage(messageId, viewerIds, store) {
+  const msg = isMessageId(messageId) ? await store.messages.findById(messageId) : null;
+  if (!msg || !(await canSeeMessage(msg, viewerIds, store))) throw appError(404, 'message_not_found');
+  if (msg.deletedAt) throw appError(409, 'message_deleted');
+  return msg;
+}
+
+const PREVIEW_LENGTH = 140;
+
+// Snapshot shown for quoted replies and as a thread's last reply
+const previewOf = (msg) => ({
+  _id: String(msg._id),
+  sender: msg.sender,
+  senderId: msg.senderId,
+  message: (msg.message || '').slice(0, PREVIEW_LENGTH),
+  hasAttachment: Boolean(msg.meta?.attachment),
+  deleted: Boolean(msg.deletedAt),
+});
+
+// Quotes of `msg`, its thread's last reply and its conversation's last message are
+// copies of its preview: bring them in line after an edit or delete
+async function refreshPreviews(msg, store) {
+  const preview = previewOf(msg);
+  await store.messages.refreshPreviews(preview);
+  if (msg.isPrivate && isConversationKey(msg.room)) await store.conversations.refreshPreview(msg.room, preview);
+}
+
+/**
+ * Reply fields for a new message: `replyTo` quotes a visible message of the same
+ * room or private conversation; `threadId` files it under a thread root (rooms
+ * only). Quoting a thread reply keeps the answer in that thread, and a reply used
+ * as `threadId` resolves to its root, so threads stay one level deep.
+ */
+async function replyFields({ replyTo, threadId } = {}, { room, isPrivate, viewerIds }, store = getStore()) {
+  const fields = {};
+  let rootId = isPrivate ? null : threadId || null;
+
+  if (replyTo) {
+    const quoted = await findVisibleMessage(replyTo, viewerIds, store);
+    if (quoted.isPrivate !== isPrivate || quoted.room !== room) {
+      throw appError(400, 'reply_outside_conversation');
+    }
+    fields.replyTo = String(quoted._id);
+    fields.replyPreview = previewOf(quoted);
+    if (!isPrivate && !rootId && quoted.threadId) rootId = quoted.threadId;
+  }
+
+  if (rootId) {
+    const target = isMessageId(rootId) ? await store.messages.findById(rootId) : null;
+    if (!target || target.isPrivate || target.room !== room) throw appError(404, 'thread_not_found');
+    fields.threadId = target.threadId || String(target._id);
+  }
+  return fields;
+}
+
+/**
+ * One page of a thread: its root and replies (oldest-first inside the page), with
+ * the same `before` cursor as room history. Deleted roots still open as tombstones.
+ */
+async function getThreadPage({ threadId, before, limit } = {}, { userId, viewerIds = [userId] }, store = getStore()) {
+  const root = isMessageId(threadId) ? await store.messages.findById(threadId) : null;
+  if (!root || root.isPrivate || root.threadId) throw appError(404, 'thread_not_found');
+  if (!(await roomAccess(root.room, userId, store)).canRead) throw appError(404, 'thread_not_found');
+
+  const page = await store.messages.page({ room: root.room, threadId: String(root._id), before, limit, viewerIds });
+  const [withRoot, ...messages] = await withReactions([root, ...page.messages], store);
+  return { threadId: String(root._id), room: root.room, ...page, root: withRoot, messages };
+}
+
+/**
+ * The main timeline around one message: up to `limit` messages before and after it,
+ * oldest first, so a client can jump to a search hit. Thread replies open at their
+ * root. `hasMore` / `nextBefore` continue like a history page; `hasNewer` says the
+ * window stops short of the latest message.
+ */
+async function getMessageContext({ messageId, limit } = {}, { userId, viewerIds = [userId] }, store = getStore()) {
+  const hit = await findVisibleMessage(messageId, viewerIds, store);
+  if (!hit.isPrivate && !(await roomAccess(hit.room, userId, store)).canRead) throw appError(404, 'message_not_found');
+
+  const target = hit.threadId ? await store.messages.findById(hit.threadId) : hit;
+  if (!target) throw appError(404, 'message_not_found');
+  const anchor = String(target._id);
+  const span = clampPageSize(limit);
+  const { room } = target;
+  const [older, newer] = await Promise.all([
+    store.messages.page({ room, before: anchor, limit: span, viewerIds }),
+    store.messages.since({ room, after: anchor, limit: span, viewerIds }),
+  ]);
+  return {
+    room,
+    messageId: anchor,
+    threadId: hit.threadId || null,
+    messages: await withReactions([...older.messages, target, ...newer.messages], store),
+    hasMore: older.hasMore,
+    nextBefore: older.nextBefore,
+    hasNewer: newer.hasMore,
+  };
+}
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40; // context kept before the first hit
+
+/**
+ * A window of the text around the first hit, with `highlights` as [start, end)
+ * offsets into `text` for every occurrence of a term (merged when they overlap).
+ */
+function snippetOf(source, terms) {
+  const lower = source.toLowerCase();
+  const first = Math.min(...terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0), Infinity);
+  let start = first === Infinity || first < SNIPPET_LEAD ? 0 : first - SNIPPET_LEAD;
+  const end = Math.min(source.length, start + SNIPPET_LENGTH);
+  if (end - start < SNIPPET_LENGTH) start = Math.max(0, end - SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const window = source.slice(start, end);
+  const ranges = [];
+  for (const term of terms) {
+    for (let i = window.toLowerCase().indexOf(term); i >= 0; i = window.toLowerCase().indexOf(term, i + 1)) {
+      ranges.push([i + prefix.length, i + prefix.length + term.length]);
+    }
+  }
+  const highlights = ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, r) => {
+      const last = merged[merged.length - 1];
+      if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+      else merged.push(r);
+      return merged;
+    }, []);
+  return { text: `${prefix}${window}${end < source.length ? '…' : ''}`, highlights };
+}
+
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) throw appError(400, 'invalid_date');
+  return date;
+};
+
+// Query-string booleans ("true" / "false") as well as real ones; anything else is "no filter"
+const parseFlag = (value) => (value === true || value === 'true' ? true : value === false || value === 'false' ? false : undefined);
+
+/**
+ * Search messages the user may read: rooms they can read, conversations they are in
+ * and legacy private messages they sent or received, newest first, deleted ones left out. Filters: `room`,
+ * `senderId`, `from` / `to` (dates), `hasAttachment` and `isPrivate`. Every term of
+ * `query` must match (text or attachment name); quotes keep a phrase together.
+ * Each result is { message, snippet: { text, highlights } }.
+ */
+async function searchMessages(
+  { query, room, senderId, from, to, hasAttachment, isPrivate, before, limit } = {},
+  { userId, viewerIds = [userId] },
+  store = getStore()
+) {
+  const terms = parseTerms(query);
+  const filters = {
+    senderId: typeof senderId === 'string' && senderId ? senderId : undefined,
+    from: parseDate(from),
+    to: parseDate(to),
+    hasAttachment: parseFlag(hasAttachment),
+  };
+  const scope = parseFlag(isPrivate);
+  if (!terms.length && Object.values(filters).every((v) => v === undefined)) throw appError(400, 'query_required');
+
+  // Timelines searched as a whole; legacy private messages are matched on viewerIds instead
+  let rooms = [];
+  if (room) {
+    if (isConversationKey(room)) await findConversation(room, userId, store);
+    else if (!isLegacyPmKey(room) && !(await roomAccess(room, userId, store)).canRead) {
+      throw appError(404, 'room_not_found');
+    }
+    if (!isLegacyPmKey(room)) rooms = [room];
+  } else {
+    const listed = scope === true ? [] : await store.rooms.list({ userId, includeArchived: true });
+    const joined = scope === false ? [] : await store.conversations.listFor(userId);
+    rooms = [...listed.filter((r) => canRead(r, userId)).map((r) => r.slug), ...joined.map((c) => c.key)];
+  }
+  if (scope !== undefined) rooms = rooms.filter((key) => isConversationKey(key) === scope);
+
+  const page = await store.messages.search({
+    ...filters,
+    terms,
+    rooms,
+    viewerIds: scope === false ? [] : viewerIds,
+    room: room || undefined,
+    before,
+    limit,
+  });
+  const results = page.messages.map((message) => {
+    const text = terms.some((t) => (message.message || '').toLowerCase().includes(t))
+      ? message.message
+      : searchableText(message);
+    return { message, snippet: snippetOf(text, terms) };
+  });
+  return { query: query || '', terms, results, hasMore: page.hasMore, nextBefore: page.nextBefore };
+}
+
+/**
+ * Edit your own message. The previous text is kept in `edits`; room messages follow
+ * the same rules as posting (muted, banned, archived). Resolves to
+ * { message, changed }; the same text again changes nothing. Previews copied from
+ * the message (quotes, thread summary, conversation list) get the new text.
+ */
+async function editMessage({ messageId, message } = {}, { userId, viewerIds = [userId] }, store = getStore()) {
+  const msg = await findVisibleMessage(messageId, viewerIds, store);
+  if (msg.senderId !== userId) throw appError(403, 'not_author');
+  let target = null;
+  if (!msg.isPrivate) {
+    const access = await roomAccess(msg.room, userId, store);
+    if (!access.canPost) throw appError(403, access.reason);
+    target = { room: access.room };
+  } else if (isConversationKey(msg.room)) {
+    target = { conversation: await store.conversations.findByKey(msg.room) };
+  }
+
+  const text = typeof message === 'string' ? message.trim() : '';
+  if (!text && !msg.meta?.attachment) throw appError(400, 'empty_message');
+  if (text === msg.message) return { message: msg, changed: false };
+
+  // Mentions follow the new text; only new messages notify
+  const mentions = target ? await resolveMentions(text, target, store) : [];
+  const updated = await store.messages.edit(msg._id, { message: text, mentions });
+  if (!updated) throw appError(409, 'edit_conflict');
+  await refreshPreviews(updated, store);
+  const [edited] = await withReactions([updated], store);
+  return { message: edited, changed: true };
+}
+
+/**
+ * Soft-delete a message: its author can, and so can moderators of the room it was
+ * posted in (private messages only by their author). The tombstone keeps its place
+ * in history with the content cleared, as do the previews copied from it. Resolves
+ * to { message, changed }.
+ */
+async function deleteMessage({ messageId } = {}, { userId, viewerIds = [userId] }, store = getStore()) {
+  const msg = await findVisibleMessage(messageId, viewerIds, store);
+  if (!msg.isPrivate) {
+    const access = await roomAccess(msg.room, userId, store);
+    if (!access.canRead) throw appError(403, access.reason);
+    if (access.room.archived) throw appError(409, 'room_archived');
+    if (msg.senderId !== userId && !hasRole(access.room, userId, 'moderator')) throw appError(403, 'not_author');
+  } else if (msg.senderId !== userId) {
+    throw appError(403, 'not_author');
+  }
+
+  const deleted = await store.messages.softDelete(msg._id, { deletedBy: userId });
+  if (!deleted) throw appError(409, 'message_deleted');
+  await refreshPreviews(deleted, store);
+  // a tombstone keeps no reactions, like it keeps no text
+  await store.reactions.removeForMessage(msg._id);
+  return { message: { ...deleted, reactions: [] }, changed: true };
+}
+
+// GET /api/threads/:threadId?before=<id|timestamp>&limit=20
+async function listThreadMessages(req, res) {
+  try {
+    const { before, limit } = req.query;
+    res.json(await getThreadPage({ threadId: req.params.threadId, before, limit }, { userId: req.user?.clerkId }));
+  } catch (err) {
+    if (err.status === 400 || err.status === 404) return res.status(err.status).json({ error: err.message });
+    log('Error fetching thread:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET /api/search?q=...&room=&senderId=&from=&to=&hasAttachment=&isPrivate=&before=&limit=
+async function searchMessagesRoute(req, res) {
+  try {
+    const { q, ...filters } = req.query;
+    res.json(await searchMessages({ ...filters, query: q }, { userId: req.user?.clerkId }));
+  } catch (err) {
+    if (err.status === 400 || err.status === 404) return res.status(err.status).json({ error: err.message, code: err.code });
+    log('Error searching messages:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET /api/messages?room=global&before=<id|timestamp>&limit=20  (or &after=... to page forward)
+async function listMessages(req, res) {
+  try {
+    const { room = 'global', before, after, limit } = req.query;
+    if (!(await canReadRoom(req, room))) return res.status(404).json({ error: 'room not found' });
+    const viewerIds = [req.user?.clerkId];
+    const page = after
+      ? await getMessagesSince({ room, after, limit, viewerIds })
+      : await getMessagesPage({ room, before, limit, viewerIds });
+    res.json(page);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    log('Error fetching message page:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET /api/messages/recent?room=global; private messages only when the caller sent or received them
+async function listRecentMessages(req, res) {
+  try {
+    const room = req.query.room || 'global';
+    if (!(await canReadRoom(req, room))) return res.status(404).json({ error: 'room not found' });
+    const viewerIds = [req.user?.clerkId];
+    res.json(await withReactions(await getStore().messages.recent({ room, limit: 50, viewerIds })));
+  } catch (err) {
+    log('Error fetching messages:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+module.exports = {
+  getMessagesPage,
+  getMessagesSince,
+  canReadTimeline,
+  findVisibleMessage,
+  summarizeReactions,
+  withReactions,
+  getThreadPage,
+  getMessageContext,
+  searchMessages,
+  snippetOf,
+  replyFields,
+  previewOf,
+  editMessage,
+  deleteMessage,
+  listMessages,
+  listRecentMessages,
+  listThreadMessages,
+  searchMessagesRoute,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+};
@@ -0,0 +1,155 @@
+// server/controllers/moderationController.js
+const config = require('../config');
+const { getStore } = require('../storage');
+const { log } = require('../utils/logger');
+const { appError } = require('../utils/errors');
+const { roleOf, findManagedRoom, ROLE_RANK } = require('./roomController');
+
+const MAX_REASON_LENGTH = 200;
+const MAX_SLOW_MODE_SECONDS = 6 * 60 * 60;
+const ASSIGNABLE_ROLES = ['admin', 'moderator', 'member'];
+
+const cleanReason = (reason) => (typeof reason === 'string' ? reason.trim().slice(0, MAX_REASON_LENGTH) : '');
+
+// `durationSeconds` omitted or 0 means "until lifted"
+function untilFrom(durationSeconds) {
+  if (durationSeconds === undefined || durationSeconds === null || durationSeconds === 0) return null;
+  const seconds = Number(durationSeconds);
+  if (!Number.isFinite(seconds) || seconds < 0) throw appError(400, 'invalid_duration');
+  return new Date(Date.now() + seconds * 1000);
+}
+
+/**
+ * Load the room and check the actor may act on the target: at least a moderator,
+ * and strictly above the target (nobody moderates the owner or their own peers).
+ */
+async function authorize(slug, actorId, targetId, store, minRole = 'moderator') {
+  if (typeof targetId !== 'string' || !targetId) throw appError(400, 'user_id_required');
+  if (targetId === actorId) throw appError(400, 'cannot_moderate_self');
+  const room = await findManagedRoom(slug, actorId, minRole, store);
+  if (ROLE_RANK[roleOf(room, targetId)] >= ROLE_RANK[roleOf(room, actorId)]) {
+    throw appError(403, 'insufficient_role');
+  }
+  return room;
+}
+
+async function record(store, entry) {
+  log(`moderation: ${entry.action} in ${entry.room} by ${entry.actorId}`, entry.targetId ? `on ${entry.targetId}` : '');
+  return store.moderation.record(entry);
+}
+
+/* ---- Actions; each resolves to { room, record } ---- */
+
+/**
+ * Removes the membership and keeps the user out for the kick cooldown: no
+ * rejoining and no posting until it ends, public rooms included.
+ */
+async function kickUser({ room: slug, userId, reason } = {}, actorId, store = getStore()) {
+  await authorize(slug, actorId, userId, store);
+  const until = untilFrom(config.moderation.kickCooldownSeconds);
+  const entry = { userId, until, by: actorId, reason: cleanReason(reason) };
+  await store.rooms.removeMember(slug, userId);
+  const room = await store.rooms.addSanction(slug, 'kicks', entry);
+  return {
+    room,
+    record: await record(store, { room: slug, action: 'kick', actorId, targetId: userId, reason: entry.reason, until }),
+  };
+}
+
+async function banUser({ room: slug, userId, reason, durationSeconds } = {}, actorId, store = getStore()) {
+  await authorize(slug, actorId, userId, store);
+  const until = untilFrom(durationSeconds);
+  const entry = { userId, until, by: actorId, reason: cleanReason(reason) };
+  await store.rooms.removeMember(slug, userId);
+  const room = await store.rooms.addSanction(slug, 'bans', entry);
+  return {
+    room,
+    record: await record(store, { room: slug, action: 'ban', actorId, targetId: userId, reason: entry.reason, until }),
+  };
+}
+
+async function unbanUser({ room: slug, userId } = {}, actorId, store = getStore()) {
+  await authorize(slug, actorId, userId, store);
+  const room = await store.rooms.removeSanction(slug, 'bans', userId);
+  return { room, record: await record(store, { room: slug, action: 'unban', actorId, targetId: userId }) };
+}
+
+async function muteUser({ room: slug, userId, reason, durationSeconds } = {}, actorId, store = getStore()) {
+  await authorize(slug, actorId, userId, store);
+  const until = untilFrom(durationSeconds);
+  const entry = { userId, until, by: actorId, reason: cleanReason(reason) };
+  const room = await store.rooms.addSanction(slug, 'mutes', entry);
+  return {
+    room,
+    record: await record(store, { room: slug, action: 'mute', actorId, targetId: userId, reason: entry.reason, until }),
+  };
+}
+
+async function unmuteUser({ room: slug, userId } = {}, actorId, store = getStore()) {
+  await authorize(slug, actorId, userId, store);
+  const room = await store.rooms.removeSanction(slug, 'mutes', userId);
+  return { room, record: await record(store, { room: slug, action: 'unmute', actorId, targetId: userId }) };
+}
+
+async function setSlowMode({ room: slug, seconds } = {}, actorId, store = getStore()) {
+  const value = Number(seconds) || 0;
+  if (value < 0 || value > MAX_SLOW_MODE_SECONDS) throw appError(400, 'invalid_duration');
+  await findManagedRoom(slug, actorId, 'moderator', store);
+  const room = await store.rooms.update(slug, { slowModeSeconds: Math.round(value) });
+  return {
+    room,
+    record: await record(store, { room: slug, action: 'slow_mode', actorId, seconds: room.slowModeSeconds }),
+  };
+}
+
+// Admins and owners promote or demote members below their own rank
+async function setMemberRole({ room: slug, userId, role } = {}, actorId, store = getStore()) {
+  if (!ASSIGNABLE_ROLES.includes(role)) throw appError(400, 'invalid_role');
+  const current = await authorize(slug, actorId, userId, store, 'admin');
+  if (ROLE_RANK[role] >= ROLE_RANK[roleOf(current, actorId)]) throw appError(403, 'insufficient_role');
+  const room = await store.rooms.setMemberRole(slug, userId, role);
+  if (!room) throw appError(404, 'not_a_member');
+  return { room, record: await record(store, { room: slug, action: 'set_role', actorId, targetId: userId, role }) };
+}
+
+async function listModerationLog({ room: slug, limit } = {}, actorId, store = getStore()) {
+  await findManagedRoom(slug, actorId, 'moderator', store).catch((err) => {
+    // archived rooms keep their log readable
+    if (err.code !== 'room_archived') throw err;
+  });
+  return store.moderation.list({ room: slug, limit: Math.min(Number(limit) || 50, 200) });
+}
+
+// Moderators and above are exempt
+const slowModeApplies = (room, userId) =>
+  Boolean(room.slowModeSeconds) && ROLE_RANK[roleOf(room, userId)] < ROLE_RANK.moderator;
+
+/**
+ * Slow mode gate for send_message. `clock` maps "room\nuserId" to the last accepted
+ * post through async get / set(key, at, ttlMs) (shared between nodes in cluster mode;
+ * an entry may be dropped once `ttlMs`, the room's interval, has passed). Resolves to
+ * the seconds left to wait, or 0. Only a saved post counts: recordPost, called
+ * once the message is stored, starts the next interval.
+ */
+async function slowModeWait(room, userId, clock, now = Date.now()) {
+  if (!slowModeApplies(room, userId)) return 0;
+  const elapsed = (now - ((await clock.get(`${room.slug}\n${userId}`)) || 0)) / 1000;
+  return elapsed < room.slowModeSeconds ? Math.ceil(room.slowModeSeconds - elapsed) : 0;
+}
+
+async function recordPost(room, userId, clock, now = Date.now()) {
+  if (slowModeApplies(room, userId)) await clock.set(`${room.slug}\n${userId}`, now, room.slowModeSeconds * 1000);
+}
+
+module.exports = {
+  kickUser,
+  banUser,
+  unbanUser,
+  muteUser,
+  unmuteUser,
+  setSlowMode,
+  setMemberRole,
+  listModerationLog,
+  slowModeWait,
+  recordPost,
+};
@@ -0,0 +1,123 @@
+// server/controllers/notificationController.js
+const EVENTS = require('../socket/events');
+const { getStore } = require('../storage');
+const { log } = require('../utils/logger');
+const { appError, sendError } = require('../utils/errors');
+const { canReadTimeline } = require('./messageController');
+const { isConversationKey } = require('./conversationController');
+const { mentionRecipients } = require('./mentionController');
+
+/**
+ * Notification levels, per user and timeline (room slug or conversation key):
+ *   all       every new main-timeline message, plus mentions (also in threads)
+ *   mentions  only messages that mention you, by name or with @here / @room
+ *   mute      nothing, mentions included
+ */
+const LEVELS = ['all', 'mentions', 'mute'];
+const DEFAULT_LEVELS = { room: 'mentions', conversation: 'all' };
+const PREVIEW_LENGTH = 140;
+
+const defaultLevel = (room) => (isConversationKey(room) ? DEFAULT_LEVELS.conversation : DEFAULT_LEVELS.room);
+
+// { defaults, prefs: { [room]: level } }; timelines missing from `prefs` use their default
+async function listPreferences(userId, store = getStore()) {
+  const prefs = await store.notificationPrefs.list(userId);
+  return { defaults: DEFAULT_LEVELS, prefs: Object.fromEntries(prefs.map((p) => [p.room, p.level])) };
+}
+
+// `set_notification_pref` { room, level } for a room you can read or a conversation you are in
+async function setPreference({ room, level } = {}, userId, store = getStore()) {
+  if (!LEVELS.includes(level)) throw appError(400, 'invalid_level', `level must be one of ${LEVELS.join(', ')}`);
+  if (!(await canReadTimeline(room, userId, store))) throw appError(404, 'not_a_member');
+  const pref = await store.notificationPrefs.set({ userId, room, level });
+  return { room: pref.room, level: pref.level };
+}
+
+// Every socket of the user (all devices) follows the change
+function announcePreference(io, userId, pref) {
+  if (!io || !pref) return;
+  io.to(`user:${userId}`).emit(EVENTS.NOTIFICATION_PREF, pref);
+}
+
+/**
+ * Who hears about a new message, as [{ userId, type, mention }]: mentioned users
+ * (`type: "mention"`, see mentionRecipients) unless they muted the timeline, and
+ * the members or participants at level `all` (`type: "message"`). Never the sender.
+ */
+async function notificationTargets(io, msg, { room, conversation }, store) {
+  const mentioned = await mentionRecipients(io, msg, { room, conversation });
+  const followers = msg.threadId ? [] : (conversation ? conversation.participants : room.members).map((m) => m.userId);
+  const candidates = [...new Set([...mentioned.keys(), ...followers])].filter((id) => id && id !== msg.senderId);
+  if (!candidates.length) return [];
+
+  const levels = new Map((await store.notificationPrefs.listForRoom(msg.room, candidates)).map((p) => [p.userId, p.level]));
+  return candidates.flatMap((userId) => {
+    const level = levels.get(userId) || defaultLevel(msg.room);
+    if (level === 'mute') return [];
+    if (mentioned.has(userId)) return [{ userId, type: 'mention', mention: mentioned.get(userId) }];
+    return level === 'all' ? [{ userId, type: 'message', mention: null }] : [];
+  });
+}
+
+/**
+ * Send `notification` { type, mention, messageId, room, threadId, isPrivate,
+ * sender, senderId, preview, timestamp } to every socket of each user who wants
+ * to hear about `msg`, whatever room they are looking at. Clients decide how loud
+ * (popup, sound, badge) from their own state. Failures are logged: the message
+ * itself already went out.
+ */
+async function notifyMessage(io, msg, target, store = getStore()) {
+  if (!io) return;
+  try {
+    const base = {
+      messageId: String(msg._id),
+      room: msg.room,
+      threadId: msg.threadId || null,
+      isPrivate: msg.isPrivate,
+      sender: msg.sender,
+      senderId: msg.senderId,
+      preview: (msg.message || '').slice(0, PREVIEW_LENGTH),
+      timestamp: msg.timestamp,
+    };
+    for (const { userId, type, mention } of await notificationTargets(io, msg, target, store)) {
+      io.to(`user:${userId}`).emit(EVENTS.NOTIFICATION, { type, mention, ...base });
+    }
+  } catch (err) {
+    log('notify error:', err);
+  }
+}
+
+/* ---- REST ---- */
+
+// GET /api/notifications/prefs → { defaults, prefs }
+async function listPreferencesRoute(req, res) {
+  try {
+    res.json(await listPreferences(req.user.clerkId));
+  } catch (err) {
+    sendError(res, err, 'list notification prefs');
+  }
+}
+
+// PUT /api/notifications/prefs/:room { level }; the user's sockets get `notification_pref`
+async function setPreferenceRoute(req, res) {
+  try {
+    const pref = await setPreference({ room: req.params.room, level: req.body?.level }, req.user.clerkId);
+    announcePreference(req.app.locals.io, req.user.clerkId, pref);
+    res.json(pref);
+  } catch (err) {
+    sendError(res, err, 'set notification pref');
+  }
+}
+
+module.exports = {
+  LEVELS,
+  DEFAULT_LEVELS,
+  defaultLevel,
+  listPreferences,
+  setPreference,
+  announcePreference,
+  notificationTargets,
+  notifyMessage,
+  listPreferencesRoute,
+  setPreferenceRoute,
+};
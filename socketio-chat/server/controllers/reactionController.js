@@ -0,0 +1,58 @@
+// server/controllers/reactionController.js
+const { getStore } = require('../storage');
+const { appError } = require('../utils/errors');
+const { findVisibleMessage, withReactions } = require('./messageController');
+const { roomAccess } = require('./roomController');
+
+const MAX_EMOJI_LENGTH = 32;
+const MAX_KINDS = 20; // different emoji on one message
+
+// An emoji (or short code like ":shipit:"): one token, no whitespace
+function cleanEmoji(emoji) {
+  const value = typeof emoji === 'string' ? emoji.trim() : '';
+  if (!value || value.length > MAX_EMOJI_LENGTH || /\s/.test(value)) {
+    throw appError(400, 'invalid_emoji', `emoji must be 1-${MAX_EMOJI_LENGTH} characters without spaces`);
+  }
+  return value;
+}
+
+/**
+ * `toggle_reaction` { messageId, emoji, on? }: the user's `emoji` on a message they
+ * can see, added or taken back. With `on` it is idempotent (`true` adds, `false`
+ * removes, repeating changes nothing); without it flips. Room messages follow the
+ * posting rules (`muted`, `banned`, `room_archived`, ...).
+ *
+ * Resolves to { message, changed, update } where `update` is what clients get:
+ *   { messageId, room, threadId, emoji, userId, username, on, reactions }
+ * with `reactions` the message's whole summary after the change.
+ */
+async function toggleReaction(
+  { messageId, emoji, on } = {},
+  { userId, username, viewerIds = [userId] },
+  store = getStore()
+) {
+  const msg = await findVisibleMessage(messageId, viewerIds, store);
+  if (!msg.isPrivate) {
+    const access = await roomAccess(msg.room, userId, store);
+    if (!access.canPost) throw appError(403, access.reason);
+  }
+
+  const key = { messageId: String(msg._id), userId, emoji: cleanEmoji(emoji) };
+  const wanted = typeof on === 'boolean' ? on : !(await store.reactions.exists(key));
+  if (wanted) {
+    const kinds = new Set((await store.reactions.listFor([key.messageId])).map((r) => r.emoji));
+    if (!kinds.has(key.emoji) && kinds.size >= MAX_KINDS) throw appError(409, 'too_many_reactions');
+  }
+  const changed = wanted
+    ? await store.reactions.add({ ...key, room: msg.room, username })
+    : await store.reactions.remove(key);
+
+  const [{ reactions }] = await withReactions([msg], store);
+  return {
+    message: msg,
+    changed,
+    update: { ...key, room: msg.room, threadId: msg.threadId || null, username, on: wanted, reactions },
+  };
+}
+
+module.exports = { MAX_KINDS, cleanEmoji, toggleReaction };
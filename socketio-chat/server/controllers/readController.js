@@ -0,0 +1,134 @@
+// server/controllers/readController.js
+const EVENTS = require('../socket/events');
+const { getStore } = require('../storage');
+const { isMessageId } = require('../storage/cursor');
+const { canReadTimeline } = require('./messageController');
+const { appError, sendError } = require('../utils/errors');
+
+// Counts stop here; clients show "99+"
+const UNREAD_CAP = 100;
+
+/**
+ * Read cursors: per user and timeline (room slug or conversation key), the newest
+ * main-timeline message they have read. Everything after it that others posted
+ * is unread — thread replies and deleted messages do not count. Without a cursor
+ * the count starts when the user joined the room or conversation, that moment
+ * included: the message that opens a direct conversation shares its timestamp.
+ *
+ * A timeline's read state, as clients get it:
+ *   { room, lastReadId, lastReadAt, unread, firstUnreadId }
+ */
+async function readState(room, userId, { cursor, since }, store) {
+  const { count, firstId } = await store.messages.unreadSince({
+    room,
+    ...(cursor ? { after: cursor.messageId } : { since }),
+    viewerIds: [userId],
+    excludeSenderId: userId,
+    limit: UNREAD_CAP,
+  });
+  return {
+    room,
+    lastReadId: cursor?.messageId || null,
+    lastReadAt: cursor?.readAt || null,
+    unread: count,
+    firstUnreadId: firstId,
+  };
+}
+
+// Read state of every room the user is a member of and every conversation they are in, by room
+async function listReadStates(userId, store = getStore()) {
+  if (!userId) return {};
+  const [rooms, conversations, cursors] = await Promise.all([
+    store.rooms.list({ userId }),
+    store.conversations.listFor(userId),
+    store.readCursors.list(userId),
+  ]);
+  const byRoom = new Map(cursors.map((c) => [c.room, c]));
+  const timelines = [
+    ...rooms.map((r) => ({ room: r.slug, member: r.members.find((m) => m.userId === userId) })),
+    ...conversations.map((c) => ({ room: c.key, member: c.participants.find((p) => p.userId === userId) })),
+  ].filter((t) => t.member);
+
+  const states = await Promise.all(
+    timelines.map(({ room, member }) => readState(room, userId, { cursor: byRoom.get(room), since: member.joinedAt }, store))
+  );
+  return Object.fromEntries(states.map((s) => [s.room, s]));
+}
+
+// Room or conversation views with their `unread`, `lastReadId` and `firstUnreadId` filled in
+function withReadStates(views, keyOf, states) {
+  return views.map((view) => {
+    const state = states[keyOf(view)];
+    return {
+      ...view,
+      unread: state?.unread || 0,
+      lastReadId: state?.lastReadId || null,
+      firstUnreadId: state?.firstUnreadId || null,
+    };
+  });
+}
+
+/**
+ * Move the user's cursor forward to `msg` (a stored main-timeline message) — on
+ * reading, and when they post. Resolves to the new read state, or null if the
+ * cursor already was at or past it.
+ */
+async function advanceReadCursor(userId, msg, store = getStore()) {
+  if (msg.threadId) return null;
+  const cursor = await store.readCursors.advance({ userId, room: msg.room, messageId: String(msg._id), at: msg.timestamp });
+  return cursor ? readState(msg.room, userId, { cursor }, store) : null;
+}
+
+/**
+ * `mark_read` { room, messageId }: everything up to that message is read. Resolves
+ * to { state, moved }; `moved` is false when the cursor already was further.
+ */
+async function markRead({ room, messageId } = {}, userId, store = getStore()) {
+  if (!(await canReadTimeline(room, userId, store))) throw appError(404, 'not_a_member');
+  const msg = isMessageId(messageId) ? await store.messages.findById(messageId) : null;
+  if (!msg || msg.room !== room || msg.threadId) throw appError(404, 'message_not_found');
+
+  const state = await advanceReadCursor(userId, msg, store);
+  if (state) return { state, moved: true };
+  const cursor = await store.readCursors.get(userId, room);
+  return { state: await readState(room, userId, { cursor }, store), moved: false };
+}
+
+// Every socket of the user (all devices) follows the cursor
+function announceReadState(io, userId, state) {
+  if (!io || !state) return;
+  io.to(`user:${userId}`).emit(EVENTS.READ_CURSOR, state);
+}
+
+/* ---- REST ---- */
+
+// GET /api/reads → { [room]: read state }
+async function listReadStatesRoute(req, res) {
+  try {
+    res.json(await listReadStates(req.user.clerkId));
+  } catch (err) {
+    sendError(res, err, 'list read states');
+  }
+}
+
+// PUT /api/reads/:room { messageId }; the user's other devices get `read_cursor`
+async function markReadRoute(req, res) {
+  try {
+    const { state, moved } = await markRead({ room: req.params.room, messageId: req.body?.messageId }, req.user.clerkId);
+    if (moved) announceReadState(req.app.locals.io, req.user.clerkId, state);
+    res.json(state);
+  } catch (err) {
+    sendError(res, err, 'mark read');
+  }
+}
+
+module.exports = {
+  UNREAD_CAP,
+  listReadStates,
+  withReadStates,
+  advanceReadCursor,
+  markRead,
+  announceReadState,
+  listReadStatesRoute,
+  markReadRoute,
+};
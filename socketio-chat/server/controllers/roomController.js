@@ -0,0 +1,341 @@
+// server/controllers/roomController.js
+const EVENTS = require('../socket/events');
+const { getStore } = require('../storage');
+const { log } = require('../utils/logger');
+const { appError, sendError } = require('../utils/errors');
+const config = require('../config');
+
+const VISIBILITIES = ['public', 'private', 'invite-only'];
+const SLUG_RE = /^[a-z0-9][a-z0-9_-]{1,31}$/;
+const MAX_NAME_LENGTH = 48;
+const MAX_TOPIC_LENGTH = 200;
+
+// Seeded on startup so a fresh database has somewhere to talk
+const DEFAULT_ROOMS = ['global', 'sports', 'tech', 'random'].map((slug) => ({
+  slug,
+  name: slug,
+  visibility: 'public',
+  owner: 'system',
+}));
+
+const slugify = (name) =>
+  name
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9_-]/g, '')
+    .slice(0, 32);
+
+const isMember = (room, userId) => room.members.some((m) => m.userId === userId);
+
+// Ban, mute or kick in force for this user (expired ones are ignored, not cleaned up)
+const activeSanction = (list = [], userId, now = new Date()) =>
+  list.find((s) => s.userId === userId && (!s.until || new Date(s.until) > now)) || null;
+
+const ROLE_RANK = { member: 0, moderator: 1, admin: 2, owner: 3 };
+
+/**
+ * owner > admin > moderator > member. CHAT_ADMINS are admins everywhere; people
+ * reading a public room without being members count as members.
+ */
+function roleOf(room, userId) {
+  if (room.owner === userId) return 'owner';
+  if (config.moderation.admins.includes(userId)) return 'admin';
+  return room.members.find((m) => m.userId === userId)?.role || 'member';
+}
+
+const hasRole = (room, userId, minRole) => ROLE_RANK[roleOf(room, userId)] >= ROLE_RANK[minRole];
+
+// Public rooms are open to everyone; the others only to their members. Banned is banned.
+const canRead = (room, userId) =>
+  !activeSanction(room.bans, userId) && (room.visibility === 'public' || isMember(room, userId));
+
+// What clients get to see of a room (invites stay server-side)
+function toRoomView(room) {
+  return {
+    slug: room.slug,
+    name: room.name,
+    topic: room.topic,
+    visibility: room.visibility,
+    owner: room.owner,
+    members: room.members.map((m) => ({ userId: m.userId, role: m.role || 'member' })),
+    slowModeSeconds: room.slowModeSeconds || 0,
+    archived: room.archived,
+    createdAt: room.createdAt,
+  };
+}
+
+function cleanName(name) {
+  const value = typeof name === 'string' ? name.trim() : '';
+  if (!value || value.length > MAX_NAME_LENGTH) {
+    throw appError(400, 'invalid_name', `name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  return value;
+}
+
+function cleanTopic(topic) {
+  const value = typeof topic === 'string' ? topic.trim() : '';
+  if (value.length > MAX_TOPIC_LENGTH) {
+    throw appError(400, 'invalid_topic', `topic must be at most ${MAX_TOPIC_LENGTH} characters`);
+  }
+  return value;
+}
+
+// Private rooms do not exist for people who are neither members nor invited
+async function findVisibleRoom(slug, userId, store) {
+  const room = typeof slug === 'string' ? await store.rooms.findBySlug(slug) : null;
+  if (!room) throw appError(404, 'room_not_found');
+  if (room.visibility === 'private' && !isMember(room, userId) && !room.invites.includes(userId)) {
+    throw appError(404, 'room_not_found');
+  }
+  return room;
+}
+
+// A live room the user holds at least `minRole` in
+async function findManagedRoom(slug, userId, minRole, store) {
+  const room = await findVisibleRoom(slug, userId, store);
+  if (!hasRole(room, userId, minRole)) {
+    throw appError(403, minRole === 'owner' ? 'not_room_owner' : 'insufficient_role');
+  }
+  if (room.archived) throw appError(409, 'room_archived');
+  return room;
+}
+
+/* ---- Room service, shared by the REST routes and the socket handlers ---- */
+
+async function seedDefaultRooms(store = getStore()) {
+  await store.rooms.ensureDefaults(DEFAULT_ROOMS);
+}
+
+async function listRooms(userId, { includeArchived = false } = {}, store = getStore()) {
+  const rooms = await store.rooms.list({ userId, includeArchived });
+  return rooms.map(toRoomView);
+}
+
+async function createRoom({ name, topic, visibility = 'public' } = {}, userId, store = getStore()) {
+  const displayName = cleanName(name);
+  const slug = slugify(displayName);
+  if (!SLUG_RE.test(slug)) {
+    throw appError(400, 'invalid_name', 'name needs at least two letters or digits');
+  }
+  if (!VISIBILITIES.includes(visibility)) {
+    throw appError(400, 'invalid_visibility', `visibility must be one of ${VISIBILITIES.join(', ')}`);
+  }
+
+  try {
+    const room = await store.rooms.create({
+      slug,
+      name: displayName,
+      topic: cleanTopic(topic),
+      visibility,
+      owner: userId,
+      members: [{ userId, role: 'owner', joinedAt: new Date() }],
+    });
+    log(`room created: ${slug} (${visibility}) by ${userId}`);
+    return room;
+  } catch (err) {
+    if (err.code === 11000) throw appError(409, 'room_exists', `room "${slug}" already exists`);
+    throw err;
+  }
+}
+
+// Rename and/or change the topic; the slug never changes so history stays attached
+async function updateRoom(slug, { name, topic } = {}, userId, store = getStore()) {
+  await findManagedRoom(slug, userId, 'admin', store);
+  const patch = {};
+  if (name !== undefined) patch.name = cleanName(name);
+  if (topic !== undefined) patch.topic = cleanTopic(topic);
+  return store.rooms.update(slug, patch);
+}
+
+async function archiveRoom(slug, userId, store = getStore()) {
+  await findManagedRoom(slug, userId, 'owner', store);
+  log(`room archived: ${slug}`);
+  return store.rooms.update(slug, { archived: true, archivedAt: new Date() });
+}
+
+async function inviteToRoom(slug, inviteeId, userId, store = getStore()) {
+  if (typeof inviteeId !== 'string' || !inviteeId) throw appError(400, 'user_id_required');
+  const room = await findManagedRoom(slug, userId, 'moderator', store);
+  if (isMember(room, inviteeId)) return room;
+  return store.rooms.addInvite(slug, inviteeId);
+}
+
+/**
+ * Become a member of a room (no-op if already one). Invite-only and private rooms
+ * need an invite, which joining consumes. Archived rooms can still be opened to
+ * read their history but take no new members. `remember: false` (guests and
+ * sockets with no identity at all) opens a public room without recording a
+ * membership that would outlive the identity.
+ */
+async function joinRoom(slug, userId, { remember = true } = {}, store = getStore()) {
+  const room = await findVisibleRoom(slug, userId, store);
+  const ban = activeSanction(room.bans, userId);
+  if (ban) throw appError(403, 'banned', ban.until ? `banned until ${new Date(ban.until).toISOString()}` : 'banned');
+  const kick = activeSanction(room.kicks, userId);
+  if (kick) throw appError(403, 'kicked', `kicked, you can rejoin after ${new Date(kick.until).toISOString()}`);
+  const passingThrough = !remember && room.visibility === 'public';
+  if (isMember(room, userId) || room.archived || passingThrough) {
+    if (!canRead(room, userId)) throw appError(403, 'invite_required');
+    return { room, joined: false };
+  }
+  if (room.visibility !== 'public' && !room.invites.includes(userId)) {
+    throw appError(403, 'invite_required');
+  }
+  const updated = (await store.rooms.addMember(slug, userId)) || room;
+  return { room: updated, joined: true };
+}
+
+async function leaveRoom(slug, userId, store = getStore()) {
+  const room = await findVisibleRoom(slug, userId, store);
+  if (!isMember(room, userId)) return room;
+  return store.rooms.removeMember(slug, userId);
+}
+
+// Why a user cannot post in a room they can see, or null if they can
+function postBlocker(room, userId) {
+  if (activeSanction(room.bans, userId)) return 'banned';
+  if (activeSanction(room.kicks, userId)) return 'kicked';
+  if (!canRead(room, userId)) return 'not_a_member';
+  if (room.archived) return 'room_archived';
+  if (activeSanction(room.mutes, userId)) return 'muted';
+  return null;
+}
+
+/**
+ * What a user may do in a room right now: read its history, post to it (and if
+ * not, `reason`), and their `role`. `room` is null when it does not exist (or is
+ * a private room they cannot see).
+ */
+async function roomAccess(slug, userId, store = getStore()) {
+  const room = await findVisibleRoom(slug, userId, store).catch(() => null);
+  if (!room) return { room: null, canRead: false, canPost: false, reason: 'room_not_found', role: null };
+  const reason = postBlocker(room, userId);
+  return { room, canRead: canRead(room, userId), canPost: !reason, reason, role: roleOf(room, userId) };
+}
+
+// Tell whoever can see the room that it changed (created, renamed, archived, membership)
+function announceRoom(io, room) {
+  if (!io || !room) return;
+  const view = toRoomView(room);
+  if (room.visibility === 'private') {
+    const audience = [...room.members.map((m) => m.userId), ...room.invites].map((id) => `user:${id}`);
+    if (audience.length) io.to(audience).emit(EVENTS.ROOM_UPDATED, view);
+  } else {
+    io.emit(EVENTS.ROOM_UPDATED, view);
+  }
+}
+
+// Take every socket of the user (all devices) out of the room's broadcasts
+function unsubscribeUser(io, slug, userId) {
+  if (io) io.in(`user:${userId}`).socketsLeave(slug);
+}
+
+/* ---- REST ---- */
+
+// GET /api/rooms?archived=true
+async function listRoomsRoute(req, res) {
+  try {
+    const includeArchived = req.query.archived === 'true';
+    res.json(await listRooms(req.user?.clerkId, { includeArchived }));
+  } catch (err) {
+    sendError(res, err, 'list rooms');
+  }
+}
+
+// POST /api/rooms { name, topic?, visibility? }
+async function createRoomRoute(req, res) {
+  try {
+    const room = await createRoom(req.body, req.user.clerkId);
+    announceRoom(req.app.locals.io, room);
+    res.status(201).json(toRoomView(room));
+  } catch (err) {
+    sendError(res, err, 'create room');
+  }
+}
+
+// PATCH /api/rooms/:slug { name?, topic? }
+async function updateRoomRoute(req, res) {
+  try {
+    const room = await updateRoom(req.params.slug, req.body, req.user.clerkId);
+    announceRoom(req.app.locals.io, room);
+    res.json(toRoomView(room));
+  } catch (err) {
+    sendError(res, err, 'update room');
+  }
+}
+
+// POST /api/rooms/:slug/archive
+async function archiveRoomRoute(req, res) {
+  try {
+    const room = await archiveRoom(req.params.slug, req.user.clerkId);
+    announceRoom(req.app.locals.io, room);
+    res.json(toRoomView(room));
+  } catch (err) {
+    sendError(res, err, 'archive room');
+  }
+}
+
+// POST /api/rooms/:slug/invites { userId }
+async function inviteRoute(req, res) {
+  try {
+    const room = await inviteToRoom(req.params.slug, req.body?.userId, req.user.clerkId);
+    announceRoom(req.app.locals.io, room);
+    res.json(toRoomView(room));
+  } catch (err) {
+    sendError(res, err, 'invite');
+  }
+}
+
+// POST /api/rooms/:slug/join
+async function joinRoomRoute(req, res) {
+  try {
+    const { room, joined } = await joinRoom(req.params.slug, req.user.clerkId);
+    if (joined) announceRoom(req.app.locals.io, room);
+    res.json(toRoomView(room));
+  } catch (err) {
+    sendError(res, err, 'join room');
+  }
+}
+
+// POST /api/rooms/:slug/leave
+async function leaveRoomRoute(req, res) {
+  try {
+    const room = await leaveRoom(req.params.slug, req.user.clerkId);
+    unsubscribeUser(req.app.locals.io, room.slug, req.user.clerkId);
+    announceRoom(req.app.locals.io, room);
+    res.json(toRoomView(room));
+  } catch (err) {
+    sendError(res, err, 'leave room');
+  }
+}
+
+module.exports = {
+  seedDefaultRooms,
+  listRooms,
+  createRoom,
+  updateRoom,
+  archiveRoom,
+  inviteToRoom,
+  joinRoom,
+  leaveRoom,
+  roomAccess,
+  canRead,
+  roleOf,
+  hasRole,
+  activeSanction,
+  findVisibleRoom,
+  findManagedRoom,
+  ROLE_RANK,
+  announceRoom,
+  unsubscribeUser,
+  toRoomView,
+  listRoomsRoute,
+  createRoomRoute,
+  updateRoomRoute,
+  archiveRoomRoute,
+  inviteRoute,
+  joinRoomRoute,
+  leaveRoomRoute,
+  DEFAULT_ROOMS,
+};
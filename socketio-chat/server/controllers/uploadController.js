@@ -0,0 +1,130 @@
+// server/controllers/uploadController.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const sharp = require('sharp');
+const config = require('../config');
+const { uploadSecret, uploadExpiresIn } = require('../config/jwt');
+const { log } = require('../utils/logger');
+
+// Served back through express.static('public') as /uploads/...
+const UPLOAD_DIR = path.join(__dirname, '..', 'public', 'uploads');
+const THUMB_DIR = path.join(UPLOAD_DIR, 'thumbs');
+const PUBLIC_PREFIX = '/uploads/';
+const THUMB_WIDTH = 320;
+
+const IMAGE_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+};
+const FILE_TYPES = {
+  'application/pdf': '.pdf',
+  'text/plain': '.txt',
+  'application/zip': '.zip',
+};
+const ALLOWED_TYPES = { ...IMAGE_TYPES, ...FILE_TYPES };
+
+fs.mkdirSync(THUMB_DIR, { recursive: true });
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    // never trust the client's filename on disk; the original is kept in the metadata
+    filename: (req, file, cb) => cb(null, crypto.randomBytes(16).toString('hex') + ALLOWED_TYPES[file.mimetype]),
+  }),
+  limits: { fileSize: config.uploads.maxBytes, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_TYPES[file.mimetype]) return cb(null, true);
+    const err = new Error(`file type ${file.mimetype} not allowed`);
+    err.status = 415;
+    cb(err);
+  },
+}).single('file');
+
+async function makeThumbnail(file) {
+  const thumbName = `${path.parse(file.filename).name}.webp`;
+  const info = await sharp(file.path).rotate().resize({ width: THUMB_WIDTH, withoutEnlargement: true }).webp().toFile(path.join(THUMB_DIR, thumbName));
+  const { width, height } = await sharp(file.path).metadata();
+  return { thumbnailUrl: `${PUBLIC_PREFIX}thumbs/${thumbName}`, width, height, thumbWidth: info.width, thumbHeight: info.height };
+}
+
+/**
+ * Upload tokens let a socket's identity, whatever provider it came from (or a guest
+ * one), upload over REST: signed with their own secret, so they pass nowhere else.
+ */
+function signUploadToken({ userId, username }) {
+  return jwt.sign({ sub: userId, username }, uploadSecret, { expiresIn: uploadExpiresIn });
+}
+
+function verifyUploadToken(token) {
+  try {
+    return jwt.verify(token, uploadSecret);
+  } catch (err) {
+    return null;
+  }
+}
+
+// POST /api/uploads (multipart, field "file", access or upload token) → attachment metadata for Message.meta.attachment
+function uploadFile(req, res) {
+  upload(req, res, async (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `file exceeds ${config.uploads.maxBytes} bytes` });
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      log('upload error:', err);
+      return res.status(400).json({ error: err.message || 'upload failed' });
+    }
+    if (!req.file) return res.status(400).json({ error: 'file required' });
+
+    const { file } = req;
+    const attachment = {
+      kind: IMAGE_TYPES[file.mimetype] ? 'image' : 'file',
+      url: PUBLIC_PREFIX + file.filename,
+      name: file.originalname,
+      size: file.size,
+      mimeType: file.mimetype,
+    };
+
+    if (attachment.kind === 'image') {
+      try {
+        Object.assign(attachment, await makeThumbnail(file));
+      } catch (thumbErr) {
+        // not a decodable image despite its content type
+        fs.unlink(file.path, () => {});
+        log('thumbnail error:', thumbErr.message || thumbErr);
+        return res.status(415).json({ error: 'invalid image' });
+      }
+    }
+
+    return res.status(201).json(attachment);
+  });
+}
+
+/**
+ * Keep only attachment metadata that points at our own uploads, so a client cannot
+ * smuggle arbitrary URLs or fields into Message.meta. Returns null when invalid.
+ */
+function sanitizeAttachment(attachment) {
+  if (!attachment || typeof attachment !== 'object') return null;
+  const { url, thumbnailUrl, name, size, mimeType } = attachment;
+  const ownUrl = (u) => typeof u === 'string' && u.startsWith(PUBLIC_PREFIX) && !u.includes('..');
+  if (!ownUrl(url) || !ALLOWED_TYPES[mimeType]) return null;
+
+  const clean = {
+    kind: IMAGE_TYPES[mimeType] ? 'image' : 'file',
+    url,
+    name: String(name || path.basename(url)).slice(0, 255),
+    size: Number(size) || 0,
+    mimeType,
+  };
+  if (ownUrl(thumbnailUrl)) clean.thumbnailUrl = thumbnailUrl;
+  for (const key of ['width', 'height', 'thumbWidth', 'thumbHeight']) {
+    if (Number.isFinite(attachment[key])) clean[key] = attachment[key];
+  }
+  return clean;
+}
+
+module.exports = { uploadFile, sanitizeAttachment, signUploadToken, verifyUploadToken, ALLOWED_TYPES };
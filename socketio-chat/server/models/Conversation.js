@@ -0,0 +1,30 @@
+// server/models/Conversation.js
+const mongoose = require("mongoose");
+
+const participantSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    username: { type: String, required: true }, // name when they joined, for listing without a user lookup
+    joinedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const conversationSchema = new mongoose.Schema(
+  {
+    // immutable key: Message.room of every message in the conversation
+    key: { type: String, required: true, unique: true },
+    kind: { type: String, enum: ["direct", "group"], default: "direct" },
+    title: { type: String, default: "" }, // groups only; direct conversations are named after the other person
+    participants: { type: [participantSchema], default: [] },
+    createdBy: { type: String, required: true },
+    lastMessage: { type: Object, default: null }, // preview, same shape as Message.replyPreview
+    lastMessageAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// "My conversations", most recently active first
+conversationSchema.index({ "participants.userId": 1, lastMessageAt: -1 });
+
+module.exports = mongoose.models.Conversation || mongoose.model("Conversation", conversationSchema);
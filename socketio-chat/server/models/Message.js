@@ -1,26 +1,74 @@
 // server/models/Message.js
 const mongoose = require("mongoose");
 
-const reactionSchema = new mongoose.Schema(
+// An @mention in the text: `user` names one person, `here` everyone reading right now, `room` all members.
+// offset / length locate the "@name" in `message`
+const mentionSchema = new mongoose.Schema(
   {
-    userId: { type: String },
-    type: { type: String },
+    kind: { type: String, enum: ["user", "here", "room"], required: true },
+    userId: { type: String, default: null },
+    username: { type: String, default: null },
+    offset: { type: Number, required: true },
+    length: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// A superseded version of the text; `at` is when that version was written
+const editSchema = new mongoose.Schema(
+  {
+    message: { type: String, default: "" },
+    at: { type: Date, required: true },
   },
   { _id: false }
 );
 
 const messageSchema = new mongoose.Schema({
-  message: { type: String, required: true },
+  message: { type: String, default: "" }, // may be empty when meta.attachment is set
   sender: { type: String, required: true },
   senderId: { type: String, required: true },
   to: { type: String, default: null },
   room: { type: String, default: "global" },
   isPrivate: { type: Boolean, default: false },
-  meta: { type: Object, default: {} },
+  meta: { type: Object, default: {} }, // { attachment: { kind, url, thumbnailUrl, name, size, mimeType, width?, height?, thumbWidth?, thumbHeight? } }
   timestamp: { type: Date, default: Date.now },
+  clientId: { type: String, default: null }, // sender-generated temp id, echoed so clients can reconcile
+  deliveredTo: { type: [String], default: [] },
   readBy: { type: [String], default: [] },
-  reactions: { type: [reactionSchema], default: [] },
+  mentions: { type: [mentionSchema], default: [] },
+  // quoted reply: the message answered, plus a snapshot of it taken at send time
+  replyTo: { type: String, default: null },
+  replyPreview: { type: Object, default: null }, // { _id, sender, senderId, message, hasAttachment }
+  // thread reply: id of the thread's root message; null for the main timeline
+  threadId: { type: String, default: null },
+  // on thread roots only
+  replyCount: { type: Number, default: 0 },
+  lastReply: { type: Object, default: null }, // preview of the newest reply, same shape as replyPreview
+  editedAt: { type: Date, default: null },
+  edits: { type: [editSchema], default: [] }, // oldest first
+  // soft delete: the document stays as a tombstone with its text, attachment and edits cleared
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: String, default: null },
 });
 
+// Cursor pagination walks a room newest-first
+messageSchema.index({ room: 1, timestamp: -1, _id: -1 });
+
+// Thread view: one root's replies, newest-first
+messageSchema.index({ threadId: 1, timestamp: -1, _id: -1 }, { partialFilterExpression: { threadId: { $type: "string" } } });
+
+// Search: text plus attachment file names; no stemming or stop words, chat is multilingual
+messageSchema.index({ message: "text", "meta.attachment.name": "text" }, { default_language: "none" });
+
+// Editing or deleting a message rewrites the previews copied into its quotes and its thread root
+messageSchema.index({ replyTo: 1 }, { partialFilterExpression: { replyTo: { $type: "string" } } });
+messageSchema.index({ "lastReply._id": 1 }, { partialFilterExpression: { lastReply: { $type: "object" } } });
+
+// clientId doubles as the idempotency key for retried sends, per sender
+messageSchema.index(
+  { senderId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } }
+);
+
 // ✅ Important: prevent model overwrite errors during dev hot reload
 module.exports = mongoose.models.Message || mongoose.model("Message", messageSchema);
@@ -0,0 +1,24 @@
+// server/models/ModerationAction.js
+const mongoose = require("mongoose");
+
+// Append-only log of moderation in a room
+const moderationActionSchema = new mongoose.Schema({
+  room: { type: String, required: true },
+  action: {
+    type: String,
+    enum: ["kick", "ban", "unban", "mute", "unmute", "slow_mode", "set_role"],
+    required: true,
+  },
+  actorId: { type: String, required: true },
+  targetId: { type: String, default: null },
+  reason: { type: String, default: "" },
+  until: { type: Date, default: null }, // ban / mute expiry, end of a kick's cooldown
+  seconds: { type: Number, default: null }, // slow_mode interval
+  role: { type: String, default: null }, // set_role
+  createdAt: { type: Date, default: Date.now },
+});
+
+moderationActionSchema.index({ room: 1, createdAt: -1 });
+
+module.exports =
+  mongoose.models.ModerationAction || mongoose.model("ModerationAction", moderationActionSchema);
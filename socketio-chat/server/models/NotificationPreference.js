@@ -0,0 +1,15 @@
+// server/models/NotificationPreference.js
+const mongoose = require("mongoose");
+
+// What one user wants to hear about one timeline (room slug or conversation key); no document means the default
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  room: { type: String, required: true },
+  level: { type: String, enum: ["all", "mentions", "mute"], required: true },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+notificationPreferenceSchema.index({ userId: 1, room: 1 }, { unique: true });
+
+module.exports =
+  mongoose.models.NotificationPreference || mongoose.model("NotificationPreference", notificationPreferenceSchema);
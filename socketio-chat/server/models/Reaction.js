@@ -0,0 +1,16 @@
+// server/models/Reaction.js
+const mongoose = require("mongoose");
+
+// One person's emoji on one message; the unique index makes adding it twice a no-op
+const reactionSchema = new mongoose.Schema({
+  messageId: { type: String, required: true },
+  room: { type: String, required: true }, // the message's room slug or conversation key
+  userId: { type: String, required: true },
+  username: { type: String, required: true }, // at the time of reacting, for "who reacted"
+  emoji: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+reactionSchema.index({ messageId: 1, userId: 1, emoji: 1 }, { unique: true });
+
+module.exports = mongoose.models.Reaction || mongoose.model("Reaction", reactionSchema);
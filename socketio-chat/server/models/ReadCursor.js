@@ -0,0 +1,15 @@
+// server/models/ReadCursor.js
+const mongoose = require("mongoose");
+
+// How far one user has read one timeline (room slug or conversation key); only moves forward
+const readCursorSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  room: { type: String, required: true },
+  messageId: { type: String, required: true }, // newest main-timeline message read
+  at: { type: Date, required: true }, // that message's timestamp, for ordering
+  readAt: { type: Date, default: Date.now },
+});
+
+readCursorSchema.index({ userId: 1, room: 1 }, { unique: true });
+
+module.exports = mongoose.models.ReadCursor || mongoose.model("ReadCursor", readCursorSchema);
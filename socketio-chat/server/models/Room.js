@@ -0,0 +1,52 @@
+// server/models/Room.js
+const mongoose = require("mongoose");
+
+const ROLES = ["owner", "admin", "moderator", "member"];
+
+const memberSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    role: { type: String, enum: ROLES, default: "member" },
+    joinedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A ban, mute or kick cooldown; `until: null` means until lifted
+const sanctionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    until: { type: Date, default: null },
+    by: { type: String, required: true },
+    reason: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const roomSchema = new mongoose.Schema(
+  {
+    // immutable key: socket.io room name and Message.room
+    slug: { type: String, required: true, unique: true },
+    // display name, can be renamed
+    name: { type: String, required: true },
+    topic: { type: String, default: "" },
+    // public: listed, anyone joins · invite-only: listed, invite needed · private: hidden, invite needed
+    visibility: { type: String, enum: ["public", "private", "invite-only"], default: "public" },
+    owner: { type: String, required: true },
+    members: { type: [memberSchema], default: [] },
+    invites: { type: [String], default: [] },
+    bans: { type: [sanctionSchema], default: [] },
+    mutes: { type: [sanctionSchema], default: [] },
+    // kicked users stay out (no rejoining, no posting) until the cooldown ends
+    kicks: { type: [sanctionSchema], default: [] },
+    // minimum seconds between two messages of the same member; 0 = off
+    slowModeSeconds: { type: Number, default: 0, min: 0 },
+    archived: { type: Boolean, default: false },
+    archivedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+roomSchema.index({ "members.userId": 1 });
+
+module.exports = mongoose.models.Room || mongoose.model("Room", roomSchema);
@@ -1,12 +1,26 @@
 // server/models/User.js
 const mongoose = require('mongoose');
 
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: { type: String, required: true }, // sha256 of the refresh token's jti
+    expiresAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
 const userSchema = new mongoose.Schema({
-  clerkId: { type: String, required: true, unique: true }, // Clerk userId (or username if using simple auth)
+  clerkId: { type: String, required: true, unique: true }, // Clerk userId, "local:<username>" or "guest:<socketId>"
   username: { type: String, required: true },
   socketId: { type: String, default: null },
-  online: { type: Boolean, default: false },
+  online: { type: Boolean, default: false }, // any socket connected; the live state is in socket/presence.js
   lastSeen: { type: Date, default: Date.now },
+  // chosen presence, kept across sessions ("idle" and "offline" are never stored)
+  status: { type: String, enum: ['online', 'away', 'dnd'], default: 'online' },
+  statusText: { type: String, default: '' },
+  // Local (password) accounts only — never sent to clients
+  passwordHash: { type: String, select: false },
+  refreshTokens: { type: [refreshTokenSchema], default: [], select: false },
 });
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,32 @@
+// Token buckets kept in memory, one per key: `burst` tokens, refilled at `perSecond`
+
+const SWEEP_ABOVE = 10000; // buckets kept before the full (idle) ones are dropped
+
+function createTokenBuckets() {
+  const buckets = new Map(); // key => { tokens, at, rule }
+
+  const level = ({ tokens, at, rule }, now) => Math.min(rule.burst, tokens + ((now - at) / 1000) * rule.perSecond);
+
+  function sweep(now) {
+    for (const [key, bucket] of buckets) {
+      if (level(bucket, now) >= bucket.rule.burst) buckets.delete(key);
+    }
+  }
+
+  return {
+    /**
+     * Take one token for `key`: { ok: true }, or { ok: false, retryAfterMs } while
+     * the bucket is empty.
+     */
+    take(key, rule, now = Date.now()) {
+      const bucket = buckets.get(key);
+      const tokens = bucket ? level(bucket, now) : rule.burst;
+      if (tokens < 1) return { ok: false, retryAfterMs: Math.ceil(((1 - tokens) / rule.perSecond) * 1000) };
+      buckets.set(key, { tokens: tokens - 1, at: now, rule });
+      if (buckets.size > SWEEP_ABOVE) sweep(now);
+      return { ok: true };
+    },
+  };
+}
+
+module.exports = { createTokenBuckets };
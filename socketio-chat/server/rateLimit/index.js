@@ -0,0 +1,207 @@
+// server/rateLimit/index.js
+const { log } = require('../utils/logger');
+const { createTokenBuckets } = require('./buckets');
+
+/**
+ * Limits per socket event and per HTTP route group: `burst` at once, then
+ * `perSecond`. Socket events without a rule of their own share "*"; HTTP routes
+ * use "http" unless the route asks for a group ("http:auth", ...). Rules with
+ * `strikes: false` only refuse the event and never count towards penalties.
+ */
+const DEFAULT_RULES = {
+  // receipts and read state: a reconnect catch-up acks a whole page at once
+  message_delivered: { burst: 300, perSecond: 30, strikes: false },
+  message_read: { burst: 300, perSecond: 30, strikes: false },
+  mark_read: { burst: 60, perSecond: 10, strikes: false },
+  set_idle: { burst: 10, perSecond: 1, strikes: false },
+  send_message: { burst: 10, perSecond: 1 },
+  private_message: { burst: 10, perSecond: 1 },
+  edit_message: { burst: 5, perSecond: 0.5 },
+  delete_message: { burst: 5, perSecond: 0.5 },
+  toggle_reaction: { burst: 10, perSecond: 2 },
+  add_reaction: { burst: 10, perSecond: 2 },
+  typing: { burst: 5, perSecond: 1 },
+  search_messages: { burst: 5, perSecond: 0.5 },
+  create_room: { burst: 3, perSecond: 1 / 60 },
+  create_conversation: { burst: 3, perSecond: 1 / 60 },
+  '*': { burst: 30, perSecond: 5 },
+  http: { burst: 60, perSecond: 10 },
+  'http:auth': { burst: 5, perSecond: 1 / 12 },
+  'http:upload': { burst: 5, perSecond: 0.2 },
+  'http:search': { burst: 5, perSecond: 0.5 },
+};
+
+/**
+ * Every time a bucket runs dry is a strike; strikes older than `strikeWindowMs`
+ * are forgotten. Up to `warnStrikes` only the event is refused, up to
+ * `throttleStrikes` everything is refused for `throttleMs`, and beyond that the
+ * sockets are dropped and new connections refused for `disconnectMs`.
+ */
+const DEFAULT_PENALTIES = {
+  warnStrikes: 3,
+  throttleStrikes: 6,
+  throttleMs: 10 * 1000,
+  disconnectMs: 60 * 1000,
+  strikeWindowMs: 60 * 1000,
+};
+
+/**
+ * Token-bucket limiter checked per user and per IP address. An address gets
+ * `ipFactor` times a user's allowance (several people can share one), which stops
+ * a client from getting around the user limit with fresh guest sockets.
+ */
+function createRateLimiter({ rules = {}, penalties = {}, ipFactor = 3 } = {}) {
+  const limits = { ...DEFAULT_RULES, ...rules };
+  const policy = { ...DEFAULT_PENALTIES, ...penalties };
+  const buckets = createTokenBuckets();
+  const offenders = new Map(); // subject => { strikes, lastStrikeAt, blockedUntil, action }
+
+  const subjectsOf = ({ userId, ip }) => [userId && `user:${userId}`, ip && `ip:${ip}`].filter(Boolean);
+
+  // A subject currently throttled or disconnected; expired penalties are dropped here
+  function penaltyOf(subject, now) {
+    const record = offenders.get(subject);
+    if (!record) return null;
+    if (now - record.lastStrikeAt > policy.strikeWindowMs && now >= record.blockedUntil) {
+      offenders.delete(subject);
+      return null;
+    }
+    return now < record.blockedUntil ? record : null;
+  }
+
+  function strike(subject, now) {
+    const record = penaltyOf(subject, now) || offenders.get(subject) || { strikes: 0, blockedUntil: 0 };
+    record.strikes += 1;
+    record.lastStrikeAt = now;
+    if (record.strikes > policy.throttleStrikes) {
+      record.action = 'disconnect';
+      record.blockedUntil = now + policy.disconnectMs;
+    } else if (record.strikes > policy.warnStrikes) {
+      record.action = 'throttle';
+      record.blockedUntil = now + policy.throttleMs;
+    } else {
+      record.action = 'warn';
+    }
+    offenders.set(subject, record);
+    return record;
+  }
+
+  const retryAfter = (ms) => Math.max(1, Math.ceil(ms / 1000)); // whole seconds, like slow mode
+
+  return {
+    /**
+     * Count one `rule` event (socket event name or HTTP group) for { userId, ip }.
+     * Resolves to { ok: true } or { ok: false, action, retryAfter } where action is
+     * "warn", "throttle" or "disconnect" and retryAfter is in seconds.
+     */
+    check(rule, who, now = Date.now()) {
+      const subjects = subjectsOf(who);
+      for (const subject of subjects) {
+        const penalty = penaltyOf(subject, now);
+        if (penalty) return { ok: false, action: penalty.action, retryAfter: retryAfter(penalty.blockedUntil - now) };
+      }
+      const name = limits[rule] ? rule : '*';
+      for (const subject of subjects) {
+        const limit = subject.startsWith('ip:')
+          ? { burst: limits[name].burst * ipFactor, perSecond: limits[name].perSecond * ipFactor }
+          : limits[name];
+        const taken = buckets.take(`${subject}\n${name}`, limit, now);
+        if (taken.ok) continue;
+        if (limits[name].strikes === false) {
+          return { ok: false, action: 'warn', retryAfter: retryAfter(taken.retryAfterMs) };
+        }
+        const record = strike(subject, now);
+        const waitMs = record.action === 'warn' ? taken.retryAfterMs : record.blockedUntil - now;
+        log(`rate limit: ${subject} on ${name} (${record.action}, strike ${record.strikes})`);
+        return { ok: false, action: record.action, retryAfter: retryAfter(waitMs) };
+      }
+      return { ok: true };
+    },
+
+    // A disconnect penalty still running for { userId, ip }: refuse the handshake
+    blocked(who, now = Date.now()) {
+      for (const subject of subjectsOf(who)) {
+        const penalty = penaltyOf(subject, now);
+        if (penalty?.action === 'disconnect') return { retryAfter: retryAfter(penalty.blockedUntil - now) };
+      }
+      return null;
+    },
+  };
+}
+
+/* ---- Socket.io ---- */
+
+// Guests get a new id with every socket, so they are counted (and penalised) as one guest per address
+function whoIs(socket) {
+  const ip = socket.handshake.address;
+  const user = socket.user;
+  return { userId: user?.guest ? `guest@${ip}` : user?.clerkId, ip };
+}
+
+// io.use(): sockets of someone who was disconnected for flooding stay out until it runs out
+function createHandshakeLimit(limiter) {
+  return (socket, next) => {
+    const block = limiter.blocked(whoIs(socket));
+    if (!block) return next();
+    const err = new Error('Rate limited');
+    err.data = { code: 'rate_limited', retryAfter: block.retryAfter };
+    next(err);
+  };
+}
+
+/**
+ * socket.use() for every incoming event. A refused event never reaches the
+ * handlers: its ack (if any) gets { status: "error", code: "rate_limited", reason,
+ * message, retryAfter } and the client is told with `rate_limited`
+ * { event, action, retryAfter }; "disconnect" then drops the socket.
+ */
+function attachSocketLimit(limiter, socket, { notify = 'rate_limited' } = {}) {
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const verdict = limiter.check(event, whoIs(socket));
+    if (verdict.ok) return next();
+    const ack = args.at(-1);
+    if (typeof ack === 'function') {
+      ack({
+        status: 'error',
+        code: 'rate_limited',
+        reason: 'rate_limited',
+        message: `too many requests, try again in ${verdict.retryAfter}s`,
+        retryAfter: verdict.retryAfter,
+      });
+    }
+    socket.emit(notify, { event, action: verdict.action, retryAfter: verdict.retryAfter });
+    if (verdict.action === 'disconnect') socket.disconnect(true);
+  });
+}
+
+/* ---- Express ---- */
+
+/**
+ * Express middleware for a route group ("http" by default); run it after the
+ * auth middleware to count per user as well as per IP. Refusals are
+ * 429 { error, code: "rate_limited", action, retryAfter } with Retry-After.
+ */
+function createHttpRateLimit(limiter) {
+  return (group = 'http') =>
+    (req, res, next) => {
+      const verdict = limiter.check(group, { userId: req.user?.clerkId, ip: req.ip });
+      if (verdict.ok) return next();
+      res.set('Retry-After', String(verdict.retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        code: 'rate_limited',
+        action: verdict.action,
+        retryAfter: verdict.retryAfter,
+      });
+    };
+}
+
+module.exports = {
+  createRateLimiter,
+  createHandshakeLimit,
+  attachSocketLimit,
+  createHttpRateLimit,
+  DEFAULT_RULES,
+  DEFAULT_PENALTIES,
+};
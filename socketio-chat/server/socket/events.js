@@ -0,0 +1,2 @@
+// Event names shared with the client — see socketio-chat/shared/README.md for payloads
+module.exports = require("../../shared/events.json");
@@ -0,0 +1,85 @@
+const EVENTS = require("../events");
+const conversations = require("../../controllers/conversationController");
+const { listReadStates, withReadStates } = require("../../controllers/readController");
+const { userIdOf, usernameOf, reply, replyError } = require("../helpers");
+
+// Direct and group conversations; the messages themselves go through private_message and the history events
+function registerConversationHandlers(io, socket, ctx) {
+  const me = () => ({ userId: userIdOf(socket), username: usernameOf(socket, ctx) });
+
+  socket.on(EVENTS.LIST_CONVERSATIONS, async (_payload, ack) => {
+    try {
+      const [list, states] = await Promise.all([
+        conversations.listConversations(me().userId, ctx.store),
+        listReadStates(me().userId, ctx.store),
+      ]);
+      reply(ack, { status: "ok", conversations: withReadStates(list, (c) => c.key, states) });
+    } catch (err) {
+      replyError(socket, EVENTS.LIST_CONVERSATIONS, ack, err);
+    }
+  });
+
+  // Find or start the conversation with one user; nothing is announced until its first message
+  socket.on(EVENTS.OPEN_CONVERSATION, async ({ userId }, ack) => {
+    try {
+      const { conversation } = await conversations.openDirectConversation({ userId }, me(), ctx.store);
+      reply(ack, { status: "ok", conversation: conversations.toConversationView(conversation) });
+    } catch (err) {
+      replyError(socket, EVENTS.OPEN_CONVERSATION, ack, err);
+    }
+  });
+
+  // Groups are announced right away, so everyone added sees them before the first message
+  socket.on(EVENTS.CREATE_CONVERSATION, async ({ title, userIds }, ack) => {
+    try {
+      const conversation = await conversations.createGroupConversation({ title, userIds }, me(), ctx.store);
+      conversations.announceConversation(io, conversation);
+      reply(ack, { status: "ok", conversation: conversations.toConversationView(conversation) });
+    } catch (err) {
+      replyError(socket, EVENTS.CREATE_CONVERSATION, ack, err);
+    }
+  });
+
+  socket.on(EVENTS.RENAME_CONVERSATION, async ({ conversation: key, title }, ack) => {
+    try {
+      const updated = await conversations.renameConversation(key, title, me().userId, ctx.store);
+      conversations.announceConversation(io, updated);
+      reply(ack, { status: "ok", conversation: conversations.toConversationView(updated) });
+    } catch (err) {
+      replyError(socket, EVENTS.RENAME_CONVERSATION, ack, err);
+    }
+  });
+
+  socket.on(EVENTS.ADD_PARTICIPANTS, async ({ conversation: key, userIds }, ack) => {
+    try {
+      const updated = await conversations.addParticipants(key, userIds, me().userId, ctx.store);
+      conversations.announceConversation(io, updated);
+      reply(ack, { status: "ok", conversation: conversations.toConversationView(updated) });
+    } catch (err) {
+      replyError(socket, EVENTS.ADD_PARTICIPANTS, ack, err);
+    }
+  });
+
+  // The removed person is told too, so their clients drop the conversation
+  socket.on(EVENTS.REMOVE_PARTICIPANT, async ({ conversation: key, userId }, ack) => {
+    try {
+      const updated = await conversations.removeParticipant(key, userId, me().userId, ctx.store);
+      conversations.announceConversation(io, updated, [userId]);
+      reply(ack, { status: "ok", conversation: conversations.toConversationView(updated) });
+    } catch (err) {
+      replyError(socket, EVENTS.REMOVE_PARTICIPANT, ack, err);
+    }
+  });
+
+  socket.on(EVENTS.LEAVE_CONVERSATION, async ({ conversation: key }, ack) => {
+    try {
+      const updated = await conversations.leaveConversation(key, me().userId, ctx.store);
+      conversations.announceConversation(io, updated, [me().userId]);
+      reply(ack, { status: "ok" });
+    } catch (err) {
+      replyError(socket, EVENTS.LEAVE_CONVERSATION, ack, err);
+    }
+  });
+}
+
+module.exports = { registerConversationHandlers };
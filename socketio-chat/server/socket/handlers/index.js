@@ -0,0 +1,41 @@
+const { registerPresenceHandlers } = require("./presence");
+const { registerRoomHandlers } = require("./rooms");
+const { registerMessageHandlers } = require("./messages");
+const { registerTypingHandlers } = require("./typing");
+const { registerReceiptHandlers } = require("./receipts");
+const { registerReadHandlers } = require("./reads");
+const { registerNotificationHandlers } = require("./notifications");
+const { registerReactionHandlers } = require("./reactions");
+const { registerModerationHandlers } = require("./moderation");
+const { registerConversationHandlers } = require("./conversations");
+const { registerUploadHandlers } = require("./uploads");
+
+// Order matters only for `disconnect`: listeners run in registration order
+const defaultHandlers = [
+  registerTypingHandlers,
+  registerRoomHandlers,
+  registerConversationHandlers,
+  registerMessageHandlers,
+  registerReceiptHandlers,
+  registerReadHandlers,
+  registerNotificationHandlers,
+  registerReactionHandlers,
+  registerModerationHandlers,
+  registerUploadHandlers,
+  registerPresenceHandlers,
+];
+
+module.exports = {
+  defaultHandlers,
+  registerPresenceHandlers,
+  registerRoomHandlers,
+  registerMessageHandlers,
+  registerTypingHandlers,
+  registerReceiptHandlers,
+  registerReadHandlers,
+  registerNotificationHandlers,
+  registerReactionHandlers,
+  registerModerationHandlers,
+  registerConversationHandlers,
+  registerUploadHandlers,
+};
@@ -0,0 +1,252 @@
+const EVENTS = require("../events");
+const {
+  getMessagesPage,
+  getMessagesSince,
+  canReadTimeline,
+  getThreadPage,
+  getMessageContext,
+  searchMessages,
+  replyFields,
+  previewOf,
+  editMessage,
+  deleteMessage,
+} = require("../../controllers/messageController");
+const { sanitizeAttachment } = require("../../controllers/uploadController");
+const { roomAccess } = require("../../controllers/roomController");
+const {
+  openDirectConversation,
+  findConversation,
+  conversationOf,
+  toConversationView,
+} = require("../../controllers/conversationController");
+const { slowModeWait, recordPost } = require("../../controllers/moderationController");
+const { advanceReadCursor, announceReadState } = require("../../controllers/readController");
+const { resolveMentions } = require("../../controllers/mentionController");
+const { notifyMessage } = require("../../controllers/notificationController");
+const { stopTyping } = require("./typing");
+const { userIdOf, usernameOf, userRoom, audienceOf, reply, replyError } = require("../helpers");
+const { appError } = require("../../utils/errors");
+
+// Text and/or an uploaded attachment; null when there is nothing to send
+function buildContent({ message, meta } = {}) {
+  const text = typeof message === "string" ? message.trim() : "";
+  const attachment = sanitizeAttachment(meta?.attachment);
+  if (!text && !attachment) return null;
+  return { message: text, meta: attachment ? { attachment } : {} };
+}
+
+// A retried send (same clientId) is acked with the original message and not broadcast again.
+// It is looked up before any posting rule: the first attempt went through, so a retry
+// must not be turned away by slow mode, a mute or a ban that came since.
+const sentAck = (saved, duplicate) => ({
+  status: "ok",
+  id: saved._id,
+  clientId: saved.clientId,
+  timestamp: saved.timestamp,
+  duplicate,
+});
+
+function registerMessageHandlers(io, socket, ctx) {
+  const viewerIds = () => [userIdOf(socket), socket.id];
+
+  // Update the root's reply count / last reply and tell the room
+  async function announceReply(saved) {
+    const root = await ctx.store.messages.recordReply(saved.threadId, previewOf(saved));
+    if (!root) return;
+    io.to(root.room).emit(EVENTS.THREAD_UPDATED, {
+      threadId: String(root._id),
+      room: root.room,
+      replyCount: root.replyCount,
+      lastReply: root.lastReply,
+    });
+  }
+
+  // Posting means having read the conversation so far, on every device of the sender
+  async function readUpTo(saved) {
+    announceReadState(io, saved.senderId, await advanceReadCursor(saved.senderId, saved, ctx.store));
+  }
+
+  // The message this socket's user already sent under payload.clientId, if any
+  const earlierSend = (payload) =>
+    payload.clientId ? ctx.store.messages.findByClientId(userIdOf(socket), payload.clientId) : null;
+
+  // Room message; `replyTo` quotes, `threadId` posts into a thread
+  socket.on(EVENTS.SEND_MESSAGE, async (payload, ack) => {
+    try {
+      const earlier = await earlierSend(payload);
+      if (earlier) return reply(ack, sentAck(earlier, true));
+      const content = buildContent(payload);
+      if (!content) throw appError(400, "empty_message");
+      const room = payload.room || socket.currentRoom || "global";
+      const access = await roomAccess(room, userIdOf(socket), ctx.store);
+      if (!access.canPost) throw appError(403, access.reason);
+      const wait = await slowModeWait(access.room, userIdOf(socket), ctx.lastPostAt);
+      if (wait) throw Object.assign(appError(429, "slow_mode", `slow mode: wait ${wait}s`), { retryAfter: wait });
+      const replies = await replyFields(payload, { room, isPrivate: false, viewerIds: viewerIds() }, ctx.store);
+      const { message: saved, duplicate } = await ctx.store.messages.createOnce({
+        ...content,
+        ...replies,
+        sender: usernameOf(socket, ctx),
+        senderId: userIdOf(socket),
+        room,
+        isPrivate: false,
+        mentions: await resolveMentions(content.message, { room: access.room }, ctx.store),
+        clientId: payload.clientId || null,
+        timestamp: new Date(),
+      });
+      if (!duplicate) {
+        await recordPost(access.room, saved.senderId, ctx.lastPostAt);
+        io.to(room).emit(EVENTS.RECEIVE_MESSAGE, saved);
+        await stopTyping(io, ctx, room, saved.senderId, room);
+        if (saved.threadId) await announceReply(saved);
+        await readUpTo(saved);
+        await notifyMessage(io, saved, { room: access.room }, ctx.store);
+      }
+      reply(ack, sentAck(saved, duplicate));
+    } catch (err) {
+      replyError(socket, EVENTS.SEND_MESSAGE, ack, err, "send_failed");
+    }
+  });
+
+  // Older clients address a socket id (possibly on another node); conversations are between users
+  const recipientOf = async (to) => {
+    const local = io.sockets.sockets.get(to);
+    if (local) return userIdOf(local);
+    const [remote] = await io.in(to).fetchSockets();
+    return remote?.data.userId || to;
+  };
+
+  // Message into an existing direct or group `conversation`, or `to` a user (their direct conversation is created on first use)
+  socket.on(EVENTS.PRIVATE_MESSAGE, async (payload, ack) => {
+    try {
+      const earlier = await earlierSend(payload);
+      if (earlier) return reply(ack, sentAck(earlier, true));
+      const { to, conversation: key } = payload;
+      const content = buildContent(payload);
+      if ((!to && !key) || !content) throw appError(400, "to_and_message_required");
+      const me = { userId: userIdOf(socket), username: usernameOf(socket, ctx) };
+      const conversation = key
+        ? await findConversation(key, me.userId, ctx.store)
+        : (await openDirectConversation({ userId: await recipientOf(to) }, me, ctx.store)).conversation;
+      const room = conversation.key;
+      const replies = await replyFields(payload, { room, isPrivate: true, viewerIds: viewerIds() }, ctx.store);
+      const { message: saved, duplicate } = await ctx.store.messages.createOnce({
+        ...content,
+        ...replies,
+        sender: me.username,
+        senderId: me.userId,
+        // the other person of a direct conversation; group messages are for whoever is in the group
+        to: conversation.kind === "direct" ? conversation.participants.find((p) => p.userId !== me.userId).userId : null,
+        room,
+        isPrivate: true,
+        mentions: await resolveMentions(content.message, { conversation }, ctx.store),
+        clientId: payload.clientId || null,
+        timestamp: new Date(),
+      });
+      if (!duplicate) {
+        const audience = conversation.participants.map((p) => userRoom(p.userId));
+        const touched = await ctx.store.conversations.touch(room, {
+          lastMessage: previewOf(saved),
+          lastMessageAt: saved.timestamp,
+        });
+        // the first message is when the other side learns about the conversation
+        if (!conversation.lastMessageAt) io.to(audience).emit(EVENTS.CONVERSATION_UPDATED, toConversationView(touched));
+        io.to(audience).emit(EVENTS.PRIVATE_MESSAGE, saved);
+        await stopTyping(io, ctx, room, saved.senderId, audience);
+        await readUpTo(saved);
+        await notifyMessage(io, saved, { conversation }, ctx.store);
+      }
+      reply(ack, sentAck(saved, duplicate));
+    } catch (err) {
+      replyError(socket, EVENTS.PRIVATE_MESSAGE, ack, err, "send_failed");
+    }
+  });
+
+  // Edit / delete: the updated message (or tombstone) goes to everyone who can see it
+  const onChange = (event, change, broadcast) => {
+    socket.on(event, async (payload, ack) => {
+      try {
+        const actor = { userId: userIdOf(socket), viewerIds: viewerIds() };
+        const { message, changed } = await change(payload, actor, ctx.store);
+        if (changed) audienceOf(io, message, await conversationOf(message, ctx.store)).emit(broadcast, message);
+        reply(ack, { status: "ok", message });
+      } catch (err) {
+        replyError(socket, event, ack, err);
+      }
+    });
+  };
+
+  onChange(EVENTS.EDIT_MESSAGE, editMessage, EVENTS.MESSAGE_EDITED);
+  onChange(EVENTS.DELETE_MESSAGE, deleteMessage, EVENTS.MESSAGE_DELETED);
+
+  // Paginated history (cursor = oldest message id or timestamp already loaded)
+  socket.on(EVENTS.GET_MESSAGES_PAGE, async ({ room = "global", before, pageSize }, ack) => {
+    try {
+      if (!(await canReadTimeline(room, userIdOf(socket), ctx.store))) throw appError(403, "not_a_member");
+      const page = await getMessagesPage(
+        { room, before, limit: pageSize, viewerIds: viewerIds() },
+        ctx.store
+      );
+      if (typeof ack === "function") ack({ status: "ok", ...page });
+      else socket.emit(EVENTS.MESSAGES_PAGE, page);
+    } catch (err) {
+      replyError(socket, EVENTS.GET_MESSAGES_PAGE, ack, err);
+    }
+  });
+
+  // One thread: root + a page of replies, same cursor rules as room history
+  socket.on(EVENTS.GET_THREAD_PAGE, async ({ threadId, before, pageSize }, ack) => {
+    try {
+      const page = await getThreadPage(
+        { threadId, before, limit: pageSize },
+        { userId: userIdOf(socket), viewerIds: viewerIds() },
+        ctx.store
+      );
+      if (typeof ack === "function") ack({ status: "ok", ...page });
+      else socket.emit(EVENTS.THREAD_PAGE, page);
+    } catch (err) {
+      replyError(socket, EVENTS.GET_THREAD_PAGE, ack, err);
+    }
+  });
+
+  // Search (ack only); filters and result shape in shared/README.md
+  socket.on(EVENTS.SEARCH_MESSAGES, async (payload, ack) => {
+    try {
+      const found = await searchMessages(payload, { userId: userIdOf(socket), viewerIds: viewerIds() }, ctx.store);
+      reply(ack, { status: "ok", ...found });
+    } catch (err) {
+      replyError(socket, EVENTS.SEARCH_MESSAGES, ack, err, "search_failed");
+    }
+  });
+
+  // The timeline around one message, for jumping to a search hit
+  socket.on(EVENTS.GET_MESSAGE_CONTEXT, async ({ messageId, pageSize }, ack) => {
+    try {
+      const context = await getMessageContext(
+        { messageId, limit: pageSize },
+        { userId: userIdOf(socket), viewerIds: viewerIds() },
+        ctx.store
+      );
+      reply(ack, { status: "ok", ...context });
+    } catch (err) {
+      replyError(socket, EVENTS.GET_MESSAGE_CONTEXT, ack, err);
+    }
+  });
+
+  // Catch-up after a reconnect: everything newer than the last message the client saw
+  socket.on(EVENTS.GET_MESSAGES_SINCE, async ({ room = "global", after, pageSize }, ack) => {
+    try {
+      if (!(await canReadTimeline(room, userIdOf(socket), ctx.store))) throw appError(403, "not_a_member");
+      const page = await getMessagesSince(
+        { room, after, limit: pageSize, viewerIds: viewerIds() },
+        ctx.store
+      );
+      if (typeof ack === "function") ack({ status: "ok", ...page });
+      else socket.emit(EVENTS.MESSAGES_SINCE, page);
+    } catch (err) {
+      replyError(socket, EVENTS.GET_MESSAGES_SINCE, ack, err);
+    }
+  });
+}
+
+module.exports = { registerMessageHandlers };
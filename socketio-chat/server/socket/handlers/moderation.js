@@ -0,0 +1,55 @@
+const EVENTS = require("../events");
+const moderation = require("../../controllers/moderationController");
+const { announceRoom } = require("../../controllers/roomController");
+const { userIdOf, userRoom, reply, replyError } = require("../helpers");
+
+// Display names for the system message; falls back to the id for people not online
+async function nameOf(ctx, userId) {
+  return (await ctx.presence.get(userId))?.username || userId;
+}
+
+const recordView = async (record, ctx) => ({
+  ...record,
+  actorName: await nameOf(ctx, record.actorId),
+  targetName: record.targetId ? await nameOf(ctx, record.targetId) : null,
+});
+
+// Actions that take the target out of the room's broadcasts right away
+const REMOVES_TARGET = new Set(["kick", "ban"]);
+
+function registerModerationHandlers(io, socket, ctx) {
+  const on = (event, action) => {
+    socket.on(event, async (payload, ack) => {
+      try {
+        const { room, record } = await action(payload, userIdOf(socket), ctx.store);
+        const view = await recordView(record, ctx);
+        const audience = record.targetId ? [room.slug, userRoom(record.targetId)] : room.slug;
+        io.to(audience).emit(EVENTS.ROOM_MODERATION, view);
+        if (REMOVES_TARGET.has(record.action)) io.in(userRoom(record.targetId)).socketsLeave(room.slug);
+        announceRoom(io, room);
+        reply(ack, { status: "ok", record: view });
+      } catch (err) {
+        replyError(socket, event, ack, err);
+      }
+    });
+  };
+
+  on(EVENTS.KICK_USER, moderation.kickUser);
+  on(EVENTS.BAN_USER, moderation.banUser);
+  on(EVENTS.UNBAN_USER, moderation.unbanUser);
+  on(EVENTS.MUTE_USER, moderation.muteUser);
+  on(EVENTS.UNMUTE_USER, moderation.unmuteUser);
+  on(EVENTS.SET_SLOW_MODE, moderation.setSlowMode);
+  on(EVENTS.SET_MEMBER_ROLE, moderation.setMemberRole);
+
+  socket.on(EVENTS.GET_MODERATION_LOG, async (payload, ack) => {
+    try {
+      const records = await moderation.listModerationLog(payload, userIdOf(socket), ctx.store);
+      reply(ack, { status: "ok", records: await Promise.all(records.map((r) => recordView(r, ctx))) });
+    } catch (err) {
+      replyError(socket, EVENTS.GET_MODERATION_LOG, ack, err);
+    }
+  });
+}
+
+module.exports = { registerModerationHandlers };
@@ -0,0 +1,33 @@
+const EVENTS = require("../events");
+const notifications = require("../../controllers/notificationController");
+const { userIdOf, reply, replyError } = require("../helpers");
+
+/**
+ * Notification preferences (see notificationController): `all`, `mentions` or
+ * `mute` per room or conversation. A change reaches every socket of the user as
+ * `notification_pref`; the `notification` events themselves come from the message
+ * handlers.
+ */
+function registerNotificationHandlers(io, socket, ctx) {
+  socket.on(EVENTS.LIST_NOTIFICATION_PREFS, async (payload, ack) => {
+    try {
+      const { defaults, prefs } = await notifications.listPreferences(userIdOf(socket), ctx.store);
+      reply(ack, { status: "ok", defaults, prefs });
+    } catch (err) {
+      replyError(socket, EVENTS.LIST_NOTIFICATION_PREFS, ack, err);
+    }
+  });
+
+  socket.on(EVENTS.SET_NOTIFICATION_PREF, async (payload, ack) => {
+    try {
+      const userId = userIdOf(socket);
+      const pref = await notifications.setPreference(payload, userId, ctx.store);
+      notifications.announcePreference(io, userId, pref);
+      reply(ack, { status: "ok", pref });
+    } catch (err) {
+      replyError(socket, EVENTS.SET_NOTIFICATION_PREF, ack, err);
+    }
+  });
+}
+
+module.exports = { registerNotificationHandlers };
@@ -0,0 +1,137 @@
+const EVENTS = require("../events");
+const { userIdOf, userRoom, reply, replyError } = require("../helpers");
+const { checkStatus } = require("../presence");
+const { appError } = require("../../utils/errors");
+const { log } = require("../../utils/logger");
+const config = require("../../config");
+
+/**
+ * Presence is per user, not per socket: `user_list` is a snapshot sent once to a
+ * new socket, after which everyone gets a `presence_update` whenever a user's state
+ * (online / away / idle / dnd / offline) or status text changes.
+ */
+function announcePresence(io, { view, changed }) {
+  if (changed) io.emit(EVENTS.PRESENCE_UPDATE, view);
+}
+
+async function markOnline(io, socket, ctx, { clerkId, username }) {
+  ctx.users[socket.id] = { clerkId, username, id: socket.id, room: "global" };
+  const stored = await ctx.store.users.setOnline({ clerkId, username, socketId: socket.id });
+  // gone while we were saving: the disconnect handler had nothing to unregister yet
+  if (!socket.connected) {
+    if (!(await ctx.presence.isOnline(clerkId))) await ctx.store.users.setOffline(clerkId);
+    return;
+  }
+  const res = await ctx.presence.connect({
+    userId: clerkId,
+    username,
+    socketId: socket.id,
+    idle: ctx.users[socket.id]?.idle,
+    status: stored?.status,
+    statusText: stored?.statusText,
+  });
+  announcePresence(io, res);
+  // another tab of someone already here is not news
+  if (res.first) io.emit(EVENTS.USER_JOINED, { username, id: socket.id });
+}
+
+// Tell the socket who the server thinks it is, and route its user room to it
+function startSession(socket) {
+  const userId = userIdOf(socket);
+  // readable from other nodes through fetchSockets()
+  socket.data.userId = userId;
+  socket.join(userRoom(userId));
+  socket.emit(EVENTS.SESSION, {
+    userId,
+    username: socket.user?.username || null,
+    socketId: socket.id,
+    isAdmin: config.moderation.admins.includes(userId),
+  });
+}
+
+function registerPresenceHandlers(io, socket, ctx) {
+  startSession(socket);
+  ctx.presence
+    .list()
+    .then((users) => socket.emit(EVENTS.USER_LIST, users))
+    .catch((err) => log("Error listing users:", err));
+
+  // Identity from the handshake (jwt / clerk / guest provider)
+  if (socket.user?.clerkId) {
+    markOnline(io, socket, ctx, socket.user).catch((err) => log("Error registering user:", err));
+  }
+
+  // Guest join for sockets that connected without credentials
+  socket.on(EVENTS.USER_JOIN, async (username, ack) => {
+    if (socket.user?.clerkId) return;
+    const name = username || `Anon-${socket.id.slice(0, 5)}`;
+    socket.leave(userRoom(userIdOf(socket)));
+    socket.user = { clerkId: `guest:${socket.id}`, username: name, guest: true, provider: "user_join" };
+    startSession(socket);
+    try {
+      await markOnline(io, socket, ctx, socket.user);
+    } catch (err) {
+      replyError(socket, EVENTS.USER_JOIN, ack, err);
+    }
+  });
+
+  // Chosen state and/or status text, kept for the user's next sessions; *ack* { presence }
+  socket.on(EVENTS.SET_PRESENCE, async (payload, ack) => {
+    try {
+      const userId = ctx.users[socket.id]?.clerkId;
+      if (!userId) throw appError(401, "not_signed_in");
+      const choice = checkStatus(payload);
+      await ctx.store.users.setStatus(userId, choice);
+      const res = await ctx.presence.setStatus(userId, choice);
+      if (res) announcePresence(io, res);
+      reply(ack, { status: "ok", presence: res?.view || null });
+    } catch (err) {
+      replyError(socket, EVENTS.SET_PRESENCE, ack, err);
+    }
+  });
+
+  // The client's own activity tracking: { idle } for this socket only (remembered if we are still registering it)
+  socket.on(EVENTS.SET_IDLE, async ({ idle }) => {
+    const user = ctx.users[socket.id];
+    if (!user) return;
+    user.idle = idle;
+    try {
+      const res = await ctx.presence.setIdle(user.clerkId, socket.id, user.idle);
+      if (res) announcePresence(io, res);
+    } catch (err) {
+      log("set_idle error:", err);
+    }
+  });
+
+  socket.on(EVENTS.DISCONNECT, async (reason) => {
+    const user = ctx.users[socket.id];
+    delete ctx.users[socket.id];
+    log(`Socket disconnected: ${socket.id} (${reason})`);
+    if (!user) return;
+
+    try {
+      const res = await ctx.presence.disconnect(user.clerkId, socket.id);
+      if (!res?.last) return;
+      await ctx.store.users.setOffline(user.clerkId);
+      io.to(user.room || "global").emit(EVENTS.USER_LEFT, { username: user.username, id: socket.id });
+      announcePresence(io, res);
+    } catch (err) {
+      log("disconnect error:", err);
+    }
+  });
+}
+
+/**
+ * A node stopped heartbeating: take its sockets out of the shared registry and
+ * tell everyone who went offline with it. Runs on whichever node noticed first.
+ */
+async function dropNodePresence(io, ctx, nodeId) {
+  for (const res of await ctx.presence.dropNode(nodeId)) {
+    if (!res.last) continue;
+    await ctx.store.users.setOffline(res.view.userId);
+    io.emit(EVENTS.USER_LEFT, { username: res.view.username, id: null });
+    announcePresence(io, res);
+  }
+}
+
+module.exports = { registerPresenceHandlers, dropNodePresence };
@@ -0,0 +1,33 @@
+const EVENTS = require("../events");
+const { toggleReaction } = require("../../controllers/reactionController");
+const { conversationOf } = require("../../controllers/conversationController");
+const { userIdOf, usernameOf, audienceOf, reply, replyError } = require("../helpers");
+
+/**
+ * Reactions (see reactionController): `toggle_reaction` adds or takes back one
+ * emoji; `add_reaction` { messageId, type } is the add-only form older clients
+ * send. A change goes out as `reaction_updated` to whoever can see the message —
+ * its room, or the participants of its conversation.
+ */
+function registerReactionHandlers(io, socket, ctx) {
+  const react = async (event, payload, ack) => {
+    try {
+      const userId = userIdOf(socket);
+      const actor = { userId, username: usernameOf(socket, ctx), viewerIds: [userId, socket.id] };
+      const { message, changed, update } = await toggleReaction(payload, actor, ctx.store);
+      if (changed) {
+        audienceOf(io, message, await conversationOf(message, ctx.store)).emit(EVENTS.REACTION_UPDATED, update);
+      }
+      reply(ack, { status: "ok", changed, ...update });
+    } catch (err) {
+      replyError(socket, event, ack, err);
+    }
+  };
+
+  socket.on(EVENTS.TOGGLE_REACTION, (payload, ack) => react(EVENTS.TOGGLE_REACTION, payload, ack));
+  socket.on(EVENTS.ADD_REACTION, ({ messageId, type }, ack) =>
+    react(EVENTS.ADD_REACTION, { messageId, emoji: type, on: true }, ack)
+  );
+}
+
+module.exports = { registerReactionHandlers };
@@ -0,0 +1,24 @@
+const EVENTS = require("../events");
+const reads = require("../../controllers/readController");
+const { userIdOf, reply, replyError } = require("../helpers");
+
+/**
+ * Read cursors (see readController): `mark_read` moves the user's cursor in a room
+ * or conversation, and every socket of theirs gets the new state as `read_cursor`,
+ * so unread counts agree across tabs and devices. Unlike `message_read` receipts,
+ * nobody else hears about it.
+ */
+function registerReadHandlers(io, socket, ctx) {
+  socket.on(EVENTS.MARK_READ, async (payload, ack) => {
+    try {
+      const userId = userIdOf(socket);
+      const { state, moved } = await reads.markRead(payload, userId, ctx.store);
+      if (moved) reads.announceReadState(io, userId, state);
+      reply(ack, { status: "ok", state });
+    } catch (err) {
+      replyError(socket, EVENTS.MARK_READ, ack, err);
+    }
+  });
+}
+
+module.exports = { registerReadHandlers };
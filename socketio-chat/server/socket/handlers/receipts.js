@@ -0,0 +1,42 @@
+const EVENTS = require("../events");
+const { userIdOf, userRoom, audienceOf, canSee, replyError } = require("../helpers");
+const { conversationOf } = require("../../controllers/conversationController");
+const { isMessageId } = require("../../storage/cursor");
+const { appError } = require("../../utils/errors");
+
+/**
+ * Recipients acknowledge messages twice: `message_delivered` as soon as a message
+ * reaches one of their sockets, `message_read` once it has been seen. Delivery goes
+ * back to the sender only; reads go to everyone who can see the message. A malformed
+ * `messageId` is answered with `invalid_message_id`; unknown or unseen messages are ignored.
+ */
+function registerReceiptHandlers(io, socket, ctx) {
+  async function acknowledge(messageId, mark) {
+    if (!isMessageId(messageId)) throw appError(400, "invalid_message_id");
+    const msg = await ctx.store.messages.findById(messageId);
+    const conversation = await conversationOf(msg, ctx.store);
+    const userId = userIdOf(socket);
+    if (!canSee(socket, msg, conversation) || msg.senderId === userId) return null;
+    return (await mark(messageId, userId)) ? { msg, conversation, userId } : null;
+  }
+
+  socket.on(EVENTS.MESSAGE_DELIVERED, async ({ messageId }, ack) => {
+    try {
+      const res = await acknowledge(messageId, ctx.store.receipts.markDelivered);
+      if (res) io.to(userRoom(res.msg.senderId)).emit(EVENTS.MESSAGE_DELIVERED, { messageId, userId: res.userId });
+    } catch (err) {
+      replyError(socket, EVENTS.MESSAGE_DELIVERED, ack, err);
+    }
+  });
+
+  socket.on(EVENTS.MESSAGE_READ, async ({ messageId }, ack) => {
+    try {
+      const res = await acknowledge(messageId, ctx.store.receipts.markRead);
+      if (res) audienceOf(io, res.msg, res.conversation).emit(EVENTS.MESSAGE_READ, { messageId, userId: res.userId });
+    } catch (err) {
+      replyError(socket, EVENTS.MESSAGE_READ, ack, err);
+    }
+  });
+}
+
+module.exports = { registerReceiptHandlers };
@@ -0,0 +1,98 @@
+const EVENTS = require("../events");
+const rooms = require("../../controllers/roomController");
+const { listReadStates, withReadStates } = require("../../controllers/readController");
+const { userIdOf, reply, replyError } = require("../helpers");
+const { log } = require("../../utils/logger");
+
+function registerRoomHandlers(io, socket, ctx) {
+  const userId = () => userIdOf(socket);
+
+  socket.on(EVENTS.LIST_ROOMS, async ({ includeArchived = false }, ack) => {
+    try {
+      const [list, states] = await Promise.all([
+        rooms.listRooms(userId(), { includeArchived }, ctx.store),
+        listReadStates(userId(), ctx.store),
+      ]);
+      reply(ack, { status: "ok", rooms: withReadStates(list, (r) => r.slug, states) });
+    } catch (err) {
+      replyError(socket, EVENTS.LIST_ROOMS, ack, err);
+    }
+  });
+
+  socket.on(EVENTS.CREATE_ROOM, async (payload, ack) => {
+    try {
+      const room = await rooms.createRoom(payload, userId(), ctx.store);
+      rooms.announceRoom(io, room);
+      reply(ack, { status: "ok", room: rooms.toRoomView(room) });
+    } catch (err) {
+      replyError(socket, EVENTS.CREATE_ROOM, ack, err);
+    }
+  });
+
+  socket.on(EVENTS.UPDATE_ROOM, async ({ room, name, topic }, ack) => {
+    try {
+      const updated = await rooms.updateRoom(room, { name, topic }, userId(), ctx.store);
+      rooms.announceRoom(io, updated);
+      reply(ack, { status: "ok", room: rooms.toRoomView(updated) });
+    } catch (err) {
+      replyError(socket, EVENTS.UPDATE_ROOM, ack, err);
+    }
+  });
+
+  socket.on(EVENTS.ARCHIVE_ROOM, async ({ room }, ack) => {
+    try {
+      const archived = await rooms.archiveRoom(room, userId(), ctx.store);
+      rooms.announceRoom(io, archived);
+      reply(ack, { status: "ok", room: rooms.toRoomView(archived) });
+    } catch (err) {
+      replyError(socket, EVENTS.ARCHIVE_ROOM, ack, err);
+    }
+  });
+
+  socket.on(EVENTS.INVITE_TO_ROOM, async ({ room, userId: invitee }, ack) => {
+    try {
+      const updated = await rooms.inviteToRoom(room, invitee, userId(), ctx.store);
+      rooms.announceRoom(io, updated);
+      reply(ack, { status: "ok", room: rooms.toRoomView(updated) });
+    } catch (err) {
+      replyError(socket, EVENTS.INVITE_TO_ROOM, ack, err);
+    }
+  });
+
+  socket.on(EVENTS.JOIN_ROOM, async ({ room }, ack) => {
+    const name = room || "global";
+    try {
+      const { room: joined, joined: isNew } = await rooms.joinRoom(
+        name,
+        userId(),
+        { remember: Boolean(socket.user && !socket.user.guest) },
+        ctx.store
+      );
+      if (isNew) rooms.announceRoom(io, joined);
+
+      socket.join(name);
+      socket.currentRoom = name;
+      if (ctx.users[socket.id]) ctx.users[socket.id].room = name;
+      log(`${socket.id} joined room ${name}`);
+      reply(ack, { status: "ok", room: rooms.toRoomView(joined) });
+    } catch (err) {
+      replyError(socket, EVENTS.JOIN_ROOM, ack, err);
+    }
+  });
+
+  // Gives up membership, not just this socket's subscription
+  socket.on(EVENTS.LEAVE_ROOM, async ({ room }, ack) => {
+    socket.leave(room);
+    if (socket.currentRoom === room) socket.currentRoom = null;
+    try {
+      const updated = await rooms.leaveRoom(room, userId(), ctx.store);
+      rooms.unsubscribeUser(io, room, userId());
+      rooms.announceRoom(io, updated);
+      reply(ack, { status: "ok", room: rooms.toRoomView(updated) });
+    } catch (err) {
+      replyError(socket, EVENTS.LEAVE_ROOM, ack, err);
+    }
+  });
+}
+
+module.exports = { registerRoomHandlers };
@@ -0,0 +1,109 @@
+const EVENTS = require("../events");
+const { userIdOf, usernameOf, userRoom, replyError } = require("../helpers");
+const { isConversationKey, isParticipant } = require("../../controllers/conversationController");
+const { log } = require("../../utils/logger");
+
+// Clients repeat `typing` every few seconds while typing; without a repeat the server stops them
+const TYPING_TTL_MS = 6000;
+
+/**
+ * Who is typing where, in the cluster's shared state so every node sees the same
+ * list: hash `typing:<room>` holds userId => { username, socketId, audience, expiresAt }.
+ * The expiry timers stay on the node of the typing socket (ctx.typingTimers), and
+ * the list leaves out anyone past their expiry in case that node went away.
+ * Every change sends the room's whole (short) list as `user_typing`
+ * { room, typists: [{ userId, username }] } to whoever can read the room: its
+ * sockets, or the participants of a conversation.
+ */
+const typingKey = (room) => `typing:${room}`;
+const timerKey = (room, userId) => `${room}\n${userId}`;
+
+async function typistsOf(ctx, room, now = Date.now()) {
+  const entries = Object.entries(await ctx.state.hgetall(typingKey(room)));
+  return entries.filter(([, t]) => t.expiresAt > now).map(([userId, t]) => ({ userId, username: t.username }));
+}
+
+async function announceTyping(io, ctx, room, audience) {
+  io.to(audience).emit(EVENTS.USER_TYPING, { room, typists: await typistsOf(ctx, room) });
+}
+
+// Sockets of a room, or the participants' user rooms for a conversation (null: not yours to type in)
+async function typingAudience(socket, ctx, room) {
+  if (!isConversationKey(room)) return socket.rooms.has(room) ? room : null;
+  const conversation = await ctx.store.conversations.findByKey(room);
+  if (!conversation || !isParticipant(conversation, userIdOf(socket))) return null;
+  return conversation.participants.map((p) => userRoom(p.userId));
+}
+
+// True when the user was typing there (and is not any more)
+async function clearTyping(ctx, room, userId) {
+  const key = timerKey(room, userId);
+  clearTimeout(ctx.typingTimers.get(key));
+  ctx.typingTimers.delete(key);
+  const { removed } = await ctx.state.hdel(typingKey(room), userId);
+  return removed > 0;
+}
+
+/**
+ * Stop showing `userId` as typing in `room` — used when their message arrives, so
+ * the indicator does not outlive it. `audience` as for the message itself.
+ */
+async function stopTyping(io, ctx, room, userId, audience) {
+  if (await clearTyping(ctx, room, userId)) await announceTyping(io, ctx, room, audience);
+}
+
+// Drop the entry once its time is up — unless a repeat that reached another timer pushed it back
+async function expireTyping(io, ctx, room, userId) {
+  const entry = await ctx.state.hget(typingKey(room), userId);
+  if (!entry || entry.expiresAt > Date.now()) return;
+  await stopTyping(io, ctx, room, userId, entry.audience);
+}
+
+function registerTypingHandlers(io, socket, ctx) {
+  const typingIn = new Set(); // rooms this socket has shown typing in
+
+  socket.on(EVENTS.TYPING, async ({ room, isTyping }, ack) => {
+    try {
+      const target = room || socket.currentRoom || "global";
+      const audience = await typingAudience(socket, ctx, target);
+      if (!audience) return;
+      const userId = userIdOf(socket);
+
+      if (!isTyping) return await stopTyping(io, ctx, target, userId, audience);
+
+      const key = timerKey(target, userId);
+      clearTimeout(ctx.typingTimers.get(key));
+      const timer = setTimeout(() => {
+        ctx.typingTimers.delete(key);
+        expireTyping(io, ctx, target, userId).catch((err) => log("typing expiry error:", err));
+      }, TYPING_TTL_MS);
+      timer.unref?.();
+      ctx.typingTimers.set(key, timer);
+      typingIn.add(target);
+
+      const entry = { username: usernameOf(socket, ctx), socketId: socket.id, audience, expiresAt: Date.now() + TYPING_TTL_MS };
+      const known = await ctx.state.hget(typingKey(target), userId);
+      await ctx.state.hset(typingKey(target), userId, entry);
+      // a repeat only pushes the expiry back
+      if (!known || known.expiresAt <= Date.now()) await announceTyping(io, ctx, target, audience);
+    } catch (err) {
+      replyError(socket, EVENTS.TYPING, ack, err);
+    }
+  });
+
+  // Whatever this socket was typing stops with it (other tabs of the same user keep theirs)
+  socket.on(EVENTS.DISCONNECT, async () => {
+    const userId = userIdOf(socket);
+    try {
+      for (const room of typingIn) {
+        const entry = await ctx.state.hget(typingKey(room), userId);
+        if (entry?.socketId !== socket.id) continue;
+        await stopTyping(io, ctx, room, userId, entry.audience);
+      }
+    } catch (err) {
+      log("typing disconnect error:", err);
+    }
+  });
+}
+
+module.exports = { registerTypingHandlers, stopTyping, TYPING_TTL_MS };
@@ -0,0 +1,18 @@
+const EVENTS = require("../events");
+const { signUploadToken } = require("../../controllers/uploadController");
+const { uploadExpiresIn } = require("../../config/jwt");
+const { userIdOf, usernameOf, reply } = require("../helpers");
+
+/**
+ * POST /api/uploads wants a Bearer token, which guests and sockets signed in some
+ * other way do not have: `get_upload_token` hands out a short-lived one for the
+ * identity this socket already has.
+ */
+function registerUploadHandlers(io, socket, ctx) {
+  socket.on(EVENTS.GET_UPLOAD_TOKEN, (payload, ack) => {
+    const token = signUploadToken({ userId: userIdOf(socket), username: usernameOf(socket, ctx) });
+    reply(ack, { status: "ok", token, expiresIn: uploadExpiresIn });
+  });
+}
+
+module.exports = { registerUploadHandlers };
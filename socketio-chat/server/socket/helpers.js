@@ -0,0 +1,61 @@
+// Small helpers shared by the socket handler modules
+const EVENTS = require("./events");
+const { log } = require("../utils/logger");
+
+// Stable id for the person behind a socket (auth identity, else the socket itself)
+const userIdOf = (socket) => socket.user?.clerkId || socket.id;
+
+const usernameOf = (socket, ctx) => ctx.users[socket.id]?.username || socket.user?.username || "Anonymous";
+
+// Every socket joins the room of its user id, so "all of X's tabs" is io.to(userRoom(X))
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Sockets that should hear about a message: its room, the current participants of
+ * its conversation (see conversationOf), or both ends of a legacy private message.
+ */
+function audienceOf(io, msg, conversation = null) {
+  if (!msg.isPrivate) return io.to(msg.room);
+  if (conversation) return io.to(conversation.participants.map((p) => userRoom(p.userId)));
+  return io.to([userRoom(msg.senderId), msg.to, userRoom(msg.to)].filter(Boolean));
+}
+
+// Whether this socket may see (and so acknowledge) a message; same arguments as audienceOf
+function canSee(socket, msg, conversation = null) {
+  if (!msg) return false;
+  if (!msg.isPrivate) return socket.rooms.has(msg.room);
+  if (conversation) return conversation.participants.some((p) => p.userId === userIdOf(socket));
+  const me = [userIdOf(socket), socket.id];
+  return me.includes(msg.senderId) || me.includes(msg.to);
+}
+
+// Call a Socket.io acknowledgement if the client passed one
+function reply(ack, payload) {
+  if (typeof ack === "function") ack(payload);
+}
+
+/**
+ * What a failed request answers: { status: "error", code, reason, message } where
+ * `reason` repeats `code` for older clients, plus `retryAfter` (seconds) when the
+ * error has one. Errors without a code are unexpected: logged, and reported as
+ * `fallback` with a generic message.
+ */
+function errorPayload(err, event, fallback = `${event}_failed`) {
+  if (err.status && err.code) {
+    const message = err.message === err.code ? err.code.replaceAll("_", " ") : err.message;
+    const extra = err.retryAfter !== undefined ? { retryAfter: err.retryAfter } : {};
+    return { status: "error", code: err.code, reason: err.code, message, ...extra };
+  }
+  log(`${event} error:`, err);
+  return { status: "error", code: fallback, reason: fallback, message: "something went wrong, please try again" };
+}
+
+// Answer a failed `event` through its ack, or with an `error` event { event, code, message } when there is none
+function replyError(socket, event, ack, err, fallback) {
+  const payload = errorPayload(err, event, fallback);
+  if (typeof ack === "function") return ack(payload);
+  const { status, ...notice } = payload;
+  socket.emit(EVENTS.ERROR, { event, ...notice });
+}
+
+module.exports = { userIdOf, usernameOf, userRoom, audienceOf, canSee, reply, errorPayload, replyError };
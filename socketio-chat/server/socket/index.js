@@ -1,17 +1,106 @@
 const { Server } = require("socket.io");
-const { handleSocketConnection } = require("../controllers/socketHandlers");
+const { buildProviders, createAuthMiddleware } = require("../auth");
+const { defaultHandlers } = require("./handlers");
+const EVENTS = require("./events");
+const { log } = require("../utils/logger");
+const { getStore } = require("../storage");
+const { createPresenceRegistry } = require("./presence");
+const { dropNodePresence } = require("./handlers/presence");
+const { createCluster, watchNodes } = require("../cluster");
+const { createRateLimiter, createHandshakeLimit, attachSocketLimit } = require("../rateLimit");
+const { attachValidation } = require("./schemas");
 const config = require("../config");
 
-function initSocket(server) {
+/**
+ * Slow-mode clock for moderationController: "room\nuserId" => last accepted post, in
+ * the shared hash "slowmode". An entry only matters for the room's interval, so the
+ * node that wrote it drops it afterwards, the way typing entries expire; it is kept
+ * if a newer post (maybe on another node) replaced it meanwhile.
+ */
+function createSlowModeClock(state) {
+  const timers = new Map();
+  const expire = async (key, at) => {
+    timers.delete(key);
+    if ((await state.hget("slowmode", key)) === at) await state.hdel("slowmode", key);
+  };
+  return {
+    get: (key) => state.hget("slowmode", key),
+    async set(key, at, ttlMs) {
+      await state.hset("slowmode", key, at);
+      clearTimeout(timers.get(key));
+      const timer = setTimeout(() => expire(key, at).catch((err) => log("slow mode expiry error:", err)), ttlMs);
+      timer.unref?.();
+      timers.set(key, timer);
+    },
+  };
+}
+
+/**
+ * Create the Socket.io server. Every handler module is called once per connection
+ * as `handler(io, socket, ctx)`; swap or extend the list through `options.handlers`.
+ * `ctx` is shared by all connections and holds the connected-user registry and the
+ * storage backend (`ctx.store`, defaulting to the one chosen by STORAGE).
+ * Every incoming event is screened before the handlers see it: by `options.limiter`
+ * (see rateLimit/index.js; null turns limiting off), then against its payload
+ * schema (socket/schemas.js), so handlers only ever get well-formed payloads.
+ * A module that adds events adds their schemas there too.
+ * `options.cluster` (see cluster/index.js) decides what is shared with other
+ * nodes: its adapter relays broadcasts, and presence, typing and the slow-mode
+ * clock live in its state, so any node can serve any client.
+ */
+function initSocket(
+  server,
+  {
+    handlers = defaultHandlers,
+    context = {},
+    auth = config.auth,
+    limiter = config.rateLimit.enabled ? createRateLimiter(config.rateLimit) : null,
+    cluster = createCluster(),
+  } = {}
+) {
   const io = new Server(server, {
     cors: {
       origin: config.clientUrl,
       methods: ["GET", "POST"],
       credentials: true,
     },
+    // Short drops resume transparently (socket.recovered); longer ones fall back to get_messages_since.
+    // Middlewares still run so socket.user is re-established. Only within one node: a client
+    // that reconnects to another one takes the get_messages_since path.
+    connectionStateRecovery: {
+      maxDisconnectionDuration: config.socket.recoveryMs,
+      skipMiddlewares: false,
+    },
+    ...(cluster.adapter && { adapter: cluster.adapter }),
+    ...(config.socket.transports && { transports: config.socket.transports }),
   });
 
-  io.on("connection", (socket) => handleSocketConnection(io, socket));
+  // users: this node's sockets, socketId => { clerkId, username, id, room, idle }; state: the cluster's shared hashes;
+  // presence: who is online per user, across sockets and nodes (see presence.js);
+  // typingTimers: expiry of this node's typists (see handlers/typing.js); lastPostAt: slow-mode clock (see moderationController)
+  const { state, nodeId } = cluster;
+  const ctx = {
+    users: {},
+    state,
+    presence: createPresenceRegistry({ state, nodeId }),
+    typingTimers: new Map(),
+    lastPostAt: createSlowModeClock(state),
+    ...context,
+  };
+  if (!ctx.store) ctx.store = getStore();
+
+  // Sockets of a node that died never disconnect here; whoever notices takes them offline
+  const stopWatching = watchNodes(cluster, (id) => dropNodePresence(io, ctx, id));
+  server.on("close", stopWatching); // io.close() closes the http server too
+
+  io.use(createAuthMiddleware({ providers: buildProviders(auth), strict: auth.strict }));
+  if (limiter) io.use(createHandshakeLimit(limiter));
+  io.on("connection", (socket) => {
+    log(`Socket connected: ${socket.id}`, socket.user ? `(user: ${socket.user.username})` : "");
+    if (limiter) attachSocketLimit(limiter, socket, { notify: EVENTS.RATE_LIMITED });
+    attachValidation(socket);
+    for (const handler of handlers) handler(io, socket, ctx);
+  });
 
   return io;
 }
@@ -0,0 +1,156 @@
+// Who is connected, aggregated per user across all of their sockets (tabs, devices)
+const { appError } = require("../utils/errors");
+const { createMemoryState } = require("../cluster/memoryState");
+
+// What a user can choose; "idle" is detected by the clients and "offline" means no sockets
+const CHOSEN_STATES = ["online", "away", "dnd"];
+const MAX_STATUS_TEXT = 80;
+
+/**
+ * A user with no sockets is offline; otherwise a chosen away / dnd wins, and
+ * someone who is idle on every socket is idle.
+ */
+function stateOf(entry) {
+  const sockets = Object.values(entry?.sockets || {});
+  if (!sockets.length) return "offline";
+  if (entry.status !== "online") return entry.status;
+  return sockets.every((s) => s.idle) ? "idle" : "online";
+}
+
+// The status fields a client may set, checked; throws with a code for the ack
+function checkStatus({ status, statusText } = {}) {
+  if (status !== undefined && !CHOSEN_STATES.includes(status)) {
+    throw appError(400, "invalid_status", `status must be one of ${CHOSEN_STATES.join(", ")}`);
+  }
+  if (statusText !== undefined && statusText !== null && typeof statusText !== "string") {
+    throw appError(400, "invalid_status_text");
+  }
+  const text = typeof statusText === "string" ? statusText.trim() : statusText;
+  if (text && text.length > MAX_STATUS_TEXT) {
+    throw appError(400, "invalid_status_text", `status text must be at most ${MAX_STATUS_TEXT} characters`);
+  }
+  return { status, statusText: text === null ? "" : text };
+}
+
+const USERS = "presence:users"; // userId => { userId, username, status, statusText, lastSeen }
+const socketsOf = (userId) => `presence:sockets:${userId}`; // socketId => { idle, node, at }
+
+/**
+ * Presence registry (ctx.presence) over the cluster's shared state, so every node
+ * sees the same users whichever node their sockets are on. Every change resolves
+ * to the user's view ({ userId, username, socketId, state, statusText, lastSeen })
+ * and whether their state or text changed, which is what gets broadcast as a diff.
+ * `nodeId` is recorded on each socket so a dead node's sockets can be dropped.
+ */
+function createPresenceRegistry({ state = createMemoryState(), nodeId = null } = {}) {
+  async function load(userId) {
+    const [entry, sockets] = await Promise.all([state.hget(USERS, userId), state.hgetall(socketsOf(userId))]);
+    return entry ? { ...entry, sockets } : null;
+  }
+
+  const view = (entry) => {
+    const newest = Object.entries(entry.sockets).sort(([, a], [, b]) => a.at - b.at).at(-1);
+    return {
+      userId: entry.userId,
+      clerkId: entry.userId, // same id under the name older clients read
+      username: entry.username,
+      socketId: newest?.[0] || null, // newest socket, for socket-addressed private messages
+      state: stateOf(entry),
+      statusText: entry.statusText,
+      lastSeen: entry.lastSeen,
+    };
+  };
+
+  const differs = (before, after) => !before || ["state", "statusText", "username"].some((k) => before[k] !== after[k]);
+
+  const fieldsOf = ({ sockets, ...entry }) => entry;
+
+  const registry = {
+    // A socket of `userId` is in; `status` / `statusText` are the user's saved choice
+    async connect({ userId, username, socketId, idle = false, status = "online", statusText = "" }) {
+      const before = await load(userId);
+      const entry = { userId, status, statusText, ...(before && fieldsOf(before)), username, lastSeen: new Date() };
+      await state.hset(USERS, userId, entry);
+      const count = await state.hset(socketsOf(userId), socketId, { idle: Boolean(idle), node: nodeId, at: Date.now() });
+      const after = view(await load(userId));
+      return { first: count === 1, view: after, changed: differs(before && view(before), after) };
+    },
+
+    // Null if the socket was not registered; `last` when the user has no sockets left
+    async disconnect(userId, socketId) {
+      const before = await load(userId);
+      if (!before?.sockets[socketId]) return null;
+      const { removed, left } = await state.hdel(socketsOf(userId), socketId);
+      if (!removed) return null;
+      const entry = { ...fieldsOf(before), lastSeen: new Date() };
+      if (left) {
+        await state.hset(USERS, userId, entry);
+        const after = view(await load(userId));
+        return { view: after, changed: differs(view(before), after), last: false };
+      }
+      // the chosen status lives on in the store; the offline view carries lastSeen to the clients
+      await state.hdel(USERS, userId);
+      // a socket that came in on another node meanwhile keeps the user listed
+      const sockets = await state.hgetall(socketsOf(userId));
+      if (Object.keys(sockets).length) {
+        await state.hset(USERS, userId, entry);
+        return { view: view({ ...entry, sockets }), changed: false, last: false };
+      }
+      return { view: view({ ...entry, sockets: {} }), changed: true, last: true };
+    },
+
+    async setIdle(userId, socketId, idle) {
+      const before = await load(userId);
+      const socketState = before?.sockets[socketId];
+      if (!socketState) return null;
+      // coming back counts as being seen; going idle keeps the time they were last active
+      if (socketState.idle && !idle) await state.hset(USERS, userId, { ...fieldsOf(before), lastSeen: new Date() });
+      await state.hset(socketsOf(userId), socketId, { ...socketState, idle: Boolean(idle) });
+      const after = view(await load(userId));
+      return { view: after, changed: differs(view(before), after) };
+    },
+
+    async setStatus(userId, { status, statusText }) {
+      const before = await load(userId);
+      if (!before) return null;
+      const entry = fieldsOf(before);
+      if (status !== undefined) entry.status = status;
+      if (statusText !== undefined) entry.statusText = statusText;
+      await state.hset(USERS, userId, entry);
+      const after = view(await load(userId));
+      return { view: after, changed: differs(view(before), after) };
+    },
+
+    async get(userId) {
+      const entry = await load(userId);
+      return entry ? view(entry) : null;
+    },
+
+    async isOnline(userId) {
+      return Object.keys(await state.hgetall(socketsOf(userId))).length > 0;
+    },
+
+    // Everyone connected right now, on any node
+    async list() {
+      const entries = await Promise.all(Object.keys(await state.hgetall(USERS)).map(load));
+      return entries.filter((e) => e && Object.keys(e.sockets).length).map(view);
+    },
+
+    // Unregister the sockets a dead node left behind; resolves with the disconnect results
+    async dropNode(deadNodeId) {
+      const results = [];
+      for (const userId of Object.keys(await state.hgetall(USERS))) {
+        const sockets = await state.hgetall(socketsOf(userId));
+        for (const [socketId, s] of Object.entries(sockets)) {
+          if (s.node !== deadNodeId) continue;
+          const res = await registry.disconnect(userId, socketId);
+          if (res) results.push(res);
+        }
+      }
+      return results;
+    },
+  };
+  return registry;
+}
+
+module.exports = { createPresenceRegistry, checkStatus, stateOf, CHOSEN_STATES };
@@ -0,0 +1,135 @@
+const EVENTS = require("./events");
+const { optional, string, id, number, boolean, array, object, anyOf } = require("../utils/schema");
+const { appError } = require("../utils/errors");
+const { replyError } = require("./helpers");
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+/**
+ * Shapes of every client → server payload (see shared/README.md). They check types
+ * and sizes and drop unknown fields; the controllers still own the rules (who may
+ * post where, valid room names, ...). Lengths here are upper bounds only, so the
+ * controllers' own codes (invalid_name, invalid_title, ...) still reach the client.
+ */
+
+// Handlers take a missing payload as {} (an `undefined` argument arrives as null)
+const payload = (shape) => {
+  const check = object(shape);
+  return (value, path) => check(value ?? {}, path);
+};
+
+const text = (max) => string({ max });
+const cursor = optional(anyOf(id(), number({ min: 0 })));
+const pageSize = optional(number({ min: 1, max: 1000, integer: true }));
+const duration = optional(number({ min: 0 }));
+const reason = optional(text(1000));
+const emoji = string({ min: 1, max: 32, trim: true });
+
+const attachment = object({
+  kind: optional(text(16)),
+  url: text(512),
+  thumbnailUrl: optional(text(512)),
+  name: optional(text(1000)),
+  size: optional(number({ min: 0 })),
+  mimeType: text(128),
+  width: optional(number({ min: 0 })),
+  height: optional(number({ min: 0 })),
+  thumbWidth: optional(number({ min: 0 })),
+  thumbHeight: optional(number({ min: 0 })),
+});
+
+const content = {
+  message: optional(text(MAX_MESSAGE_LENGTH)),
+  meta: optional(object({ attachment: optional(attachment) })),
+  clientId: optional(text(64)),
+  replyTo: optional(id()),
+};
+
+const target = { room: id(), userId: id() };
+
+const EVENT_SCHEMAS = {
+  [EVENTS.USER_JOIN]: optional(string({ max: 32, trim: true })),
+  [EVENTS.SET_PRESENCE]: payload({ status: optional(text(16)), statusText: optional(text(1000)) }),
+  [EVENTS.SET_IDLE]: payload({ idle: boolean() }),
+
+  [EVENTS.LIST_ROOMS]: payload({ includeArchived: optional(boolean()) }),
+  [EVENTS.CREATE_ROOM]: payload({ name: text(1000), topic: optional(text(1000)), visibility: optional(text(32)) }),
+  [EVENTS.UPDATE_ROOM]: payload({ room: id(), name: optional(text(1000)), topic: optional(text(1000)) }),
+  [EVENTS.ARCHIVE_ROOM]: payload({ room: id() }),
+  [EVENTS.INVITE_TO_ROOM]: payload(target),
+  [EVENTS.JOIN_ROOM]: payload({ room: optional(id()) }),
+  [EVENTS.LEAVE_ROOM]: payload({ room: id() }),
+
+  [EVENTS.LIST_CONVERSATIONS]: payload({}),
+  [EVENTS.OPEN_CONVERSATION]: payload({ userId: id() }),
+  [EVENTS.CREATE_CONVERSATION]: payload({ userIds: array(id(), { max: 100 }), title: optional(text(1000)) }),
+  [EVENTS.RENAME_CONVERSATION]: payload({ conversation: id(), title: optional(text(1000)) }),
+  [EVENTS.ADD_PARTICIPANTS]: payload({ conversation: id(), userIds: array(id(), { max: 100 }) }),
+  [EVENTS.REMOVE_PARTICIPANT]: payload({ conversation: id(), userId: id() }),
+  [EVENTS.LEAVE_CONVERSATION]: payload({ conversation: id() }),
+
+  [EVENTS.SEND_MESSAGE]: payload({ ...content, room: optional(id()), threadId: optional(id()) }),
+  [EVENTS.PRIVATE_MESSAGE]: payload({ ...content, conversation: optional(id()), to: optional(id()) }),
+  [EVENTS.EDIT_MESSAGE]: payload({ messageId: id(), message: text(MAX_MESSAGE_LENGTH) }),
+  [EVENTS.DELETE_MESSAGE]: payload({ messageId: id() }),
+  [EVENTS.GET_MESSAGES_PAGE]: payload({ room: optional(id()), before: cursor, pageSize }),
+  [EVENTS.GET_MESSAGES_SINCE]: payload({ room: optional(id()), after: cursor, pageSize }),
+  [EVENTS.GET_THREAD_PAGE]: payload({ threadId: id(), before: cursor, pageSize }),
+  [EVENTS.GET_MESSAGE_CONTEXT]: payload({ messageId: id(), pageSize }),
+  [EVENTS.GET_UPLOAD_TOKEN]: payload({}),
+  [EVENTS.SEARCH_MESSAGES]: payload({
+    query: optional(text(500)),
+    room: optional(id()),
+    senderId: optional(id()),
+    from: optional(anyOf(text(64), number())),
+    to: optional(anyOf(text(64), number())),
+    hasAttachment: optional(boolean()),
+    isPrivate: optional(boolean()),
+    before: cursor,
+    limit: pageSize,
+  }),
+
+  [EVENTS.KICK_USER]: payload({ ...target, reason }),
+  [EVENTS.BAN_USER]: payload({ ...target, durationSeconds: duration, reason }),
+  [EVENTS.UNBAN_USER]: payload(target),
+  [EVENTS.MUTE_USER]: payload({ ...target, durationSeconds: duration, reason }),
+  [EVENTS.UNMUTE_USER]: payload(target),
+  [EVENTS.SET_SLOW_MODE]: payload({ room: id(), seconds: number({ min: 0 }) }),
+  [EVENTS.SET_MEMBER_ROLE]: payload({ ...target, role: text(32) }),
+  [EVENTS.GET_MODERATION_LOG]: payload({ room: id(), limit: pageSize }),
+
+  [EVENTS.TYPING]: payload({ room: optional(id()), isTyping: boolean() }),
+  [EVENTS.MESSAGE_DELIVERED]: payload({ messageId: id() }),
+  [EVENTS.MESSAGE_READ]: payload({ messageId: id() }),
+  [EVENTS.MARK_READ]: payload({ room: id(), messageId: id() }),
+  [EVENTS.LIST_NOTIFICATION_PREFS]: payload({}),
+  [EVENTS.SET_NOTIFICATION_PREF]: payload({ room: id(), level: text(16) }),
+  [EVENTS.TOGGLE_REACTION]: payload({ messageId: id(), emoji, on: optional(boolean()) }),
+  [EVENTS.ADD_REACTION]: payload({ messageId: id(), type: emoji }),
+};
+
+/**
+ * socket.use() that checks every incoming event against its schema before any
+ * handler runs. Handlers get the cleaned payload (and their ack); events without a
+ * schema are refused as `unknown_event`, invalid ones as `invalid_payload` with a
+ * message naming the field — through the ack, or an `error` event without one.
+ */
+function attachValidation(socket, { schemas = EVENT_SCHEMAS } = {}) {
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const ack = typeof args.at(-1) === "function" ? args.pop() : null;
+    try {
+      const schema = schemas[event];
+      if (!schema) throw appError(400, "unknown_event", `unknown event ${event}`);
+      const clean = schema(args[0], "");
+      packet.length = 1;
+      packet.push(clean);
+      if (ack) packet.push(ack);
+      next();
+    } catch (err) {
+      replyError(socket, event, ack, err);
+    }
+  });
+}
+
+module.exports = { attachValidation, EVENT_SCHEMAS, MAX_MESSAGE_LENGTH };
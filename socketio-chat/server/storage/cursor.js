@@ -0,0 +1,37 @@
+// Shared parsing of the `before` pagination cursor used by every backend
+const { appError } = require('../utils/errors');
+
+const OBJECT_ID_RE = /^[0-9a-f]{24}$/i;
+
+// Message ids are ObjectId-shaped in every backend
+const isMessageId = (value) => typeof value === 'string' && OBJECT_ID_RE.test(value);
+
+/**
+ * undefined  -> no cursor (newest page)
+ * null       -> unparseable cursor
+ * { id }     -> strictly older than that message
+ * { date }   -> strictly older than that instant (ISO string or epoch ms)
+ */
+function parseCursor(before) {
+  if (before === undefined || before === null || before === '') return undefined;
+  if (isMessageId(before)) return { id: before };
+
+  const date = new Date(/^\d+$/.test(String(before)) ? Number(before) : before);
+  if (Number.isNaN(date.getTime())) return null;
+  return { date };
+}
+
+function invalidCursor() {
+  return appError(400, 'invalid_cursor', 'invalid cursor');
+}
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function clampPageSize(limit) {
+  const n = parseInt(limit, 10);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_PAGE_SIZE;
+  return Math.min(n, MAX_PAGE_SIZE);
+}
+
+module.exports = { parseCursor, isMessageId, invalidCursor, clampPageSize, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE };
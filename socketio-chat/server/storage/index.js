@@ -0,0 +1,41 @@
+// server/storage/index.js
+const config = require('../config');
+const { createMongoStore } = require('./mongo');
+const { createMemoryStore } = require('./memory');
+
+/**
+ * A store bundles one repository per aggregate; every method returns a Promise of
+ * plain objects (never live Mongoose documents):
+ *
+ *   messages  create, createOnce, findByClientId, findById, page, since, unreadSince, recent, search, edit,
+ *             softDelete, recordReply, refreshPreviews
+ *   users     setOnline, setOffline, setStatus, listOnline, list, exists, findById,
+ *             findByUsernames, findCredentials, createAccount, setRefreshTokens,
+ *             addRefreshToken, removeRefreshToken
+ *   rooms     list, findBySlug, create, update, addMember, removeMember,
+ *             setMemberRole, addSanction, removeSanction, addInvite, ensureDefaults
+ *   conversations  findByKey, findOrCreate, listFor, touch, refreshPreview,
+ *                  addParticipants, removeParticipant, update
+ *   receipts  markDelivered, markRead, readers
+ *   moderation  record, list
+ *   readCursors  get, list, advance
+ *   notificationPrefs  list, listForRoom, set, remove
+ *   reactions  exists, add, remove, listFor, removeForMessage
+ *
+ * plus connect() / close() and `kind` ("mongo" | "memory").
+ */
+function createStore({ kind = config.storage, mongoUri = config.mongoUri } = {}) {
+  if (kind === 'memory') return createMemoryStore();
+  if (kind === 'mongo') return createMongoStore({ uri: mongoUri });
+  throw new Error(`Unknown storage backend "${kind}"`);
+}
+
+let defaultStore = null;
+
+// Process-wide store chosen by STORAGE; REST controllers and initSocket default to it
+function getStore() {
+  if (!defaultStore) defaultStore = createStore();
+  return defaultStore;
+}
+
+module.exports = { createStore, getStore };
@@ -0,0 +1,82 @@
+const { newId } = require('./ids');
+
+const clone = (value) => (value ? structuredClone(value) : value);
+
+// Most recently active first; conversations without messages sort by creation
+const byActivity = (a, b) => (b.lastMessageAt || b.createdAt) - (a.lastMessageAt || a.createdAt);
+
+function createConversationRepository(db) {
+  return {
+    async findByKey(key) {
+      return clone(db.conversations.get(key));
+    },
+
+    async findOrCreate(conversation) {
+      const existing = db.conversations.get(conversation.key);
+      if (existing) return { conversation: clone(existing), created: false };
+      const now = new Date();
+      const saved = {
+        kind: 'direct',
+        title: '',
+        participants: [],
+        lastMessage: null,
+        lastMessageAt: null,
+        ...structuredClone(conversation),
+        _id: newId(),
+        createdAt: now,
+        updatedAt: now,
+      };
+      db.conversations.set(saved.key, saved);
+      return { conversation: clone(saved), created: true };
+    },
+
+    async listFor(userId, { limit = 100 } = {}) {
+      return [...db.conversations.values()]
+        .filter((c) => c.participants.some((p) => p.userId === userId))
+        .sort(byActivity)
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    async touch(key, { lastMessage, lastMessageAt }) {
+      const conversation = db.conversations.get(key);
+      if (!conversation) return null;
+      Object.assign(conversation, { lastMessage: structuredClone(lastMessage), lastMessageAt, updatedAt: new Date() });
+      return clone(conversation);
+    },
+
+    async refreshPreview(key, preview) {
+      const conversation = db.conversations.get(key);
+      if (conversation?.lastMessage?._id !== preview._id) return null;
+      conversation.lastMessage = structuredClone(preview);
+      return clone(conversation);
+    },
+
+    async addParticipants(key, participants) {
+      const conversation = db.conversations.get(key);
+      if (!conversation) return null;
+      const fresh = participants.filter((p) => !conversation.participants.some((q) => q.userId === p.userId));
+      conversation.participants.push(...structuredClone(fresh));
+      conversation.updatedAt = new Date();
+      return clone(conversation);
+    },
+
+    async removeParticipant(key, userId) {
+      const conversation = db.conversations.get(key);
+      if (!conversation) return null;
+      conversation.participants = conversation.participants.filter((p) => p.userId !== userId);
+      conversation.updatedAt = new Date();
+      return clone(conversation);
+    },
+
+    // Changes plain fields (the title); membership goes through the methods above
+    async update(key, patch) {
+      const conversation = db.conversations.get(key);
+      if (!conversation) return null;
+      Object.assign(conversation, structuredClone(patch), { updatedAt: new Date() });
+      return clone(conversation);
+    },
+  };
+}
+
+module.exports = { createConversationRepository };
@@ -0,0 +1,11 @@
+// ObjectId-shaped ids (8 hex chars of seconds + 16 hex counter) so cursors look the
+// same on every backend and ids sort in creation order within a process
+let counter = BigInt(Date.now()) * 1000n;
+
+function newId() {
+  counter += 1n;
+  const seconds = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+  return seconds + (counter % 2n ** 64n).toString(16).padStart(16, '0');
+}
+
+module.exports = { newId };
@@ -0,0 +1,40 @@
+const { createMessageRepository } = require('./messages');
+const { createUserRepository } = require('./users');
+const { createRoomRepository } = require('./rooms');
+const { createReceiptRepository } = require('./receipts');
+const { createModerationRepository } = require('./moderation');
+const { createConversationRepository } = require('./conversations');
+const { createReadCursorRepository } = require('./readCursors');
+const { createNotificationPrefRepository } = require('./notificationPrefs');
+const { createReactionRepository } = require('./reactions');
+
+// Process-local store: nothing survives a restart. Each call gets its own data.
+function createMemoryStore() {
+  const db = {
+    messages: [],
+    users: new Map(), // clerkId => user
+    rooms: new Map(), // slug => room
+    conversations: new Map(), // key => conversation
+    moderation: [],
+    readCursors: new Map(), // "userId\nroom" => cursor
+    notificationPrefs: new Map(), // "userId\nroom" => preference
+    reactions: [],
+  };
+
+  return {
+    kind: 'memory',
+    messages: createMessageRepository(db),
+    users: createUserRepository(db),
+    rooms: createRoomRepository(db),
+    receipts: createReceiptRepository(db),
+    conversations: createConversationRepository(db),
+    moderation: createModerationRepository(db),
+    readCursors: createReadCursorRepository(db),
+    notificationPrefs: createNotificationPrefRepository(db),
+    reactions: createReactionRepository(db),
+    async connect() {},
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,181 @@
+const { newId } = require('./ids');
+const { parseCursor, invalidCursor, clampPageSize } = require('../cursor');
+const { searchableText, containsAll } = require('../search');
+
+const clone = (value) => (value ? structuredClone(value) : value);
+
+// newest first: timestamp, then id
+const byNewest = (a, b) => b.timestamp - a.timestamp || (a._id < b._id ? 1 : a._id > b._id ? -1 : 0);
+
+function createMessageRepository(db) {
+  const byId = (id) => db.messages.find((m) => m._id === String(id));
+
+  // Predicate for messages strictly older (dir = -1) or newer (dir = 1) than a cursor
+  function relativeTo(value, dir = -1) {
+    const cursor = parseCursor(value);
+    if (cursor === undefined) return () => true;
+    if (cursor === null) throw invalidCursor();
+    if (cursor.date) return (m) => Math.sign(m.timestamp - cursor.date) === dir;
+
+    const anchor = byId(cursor.id);
+    if (!anchor) throw invalidCursor();
+    return (m) => Math.sign(byNewest(anchor, m)) === dir;
+  }
+
+  // Private messages without a recipient belong to a group conversation: whoever may read the timeline sees them
+  const visibleTo = (viewerIds) => {
+    const ids = new Set(viewerIds.filter(Boolean));
+    return (m) => !m.isPrivate || !m.to || ids.has(m.senderId) || ids.has(m.to);
+  };
+
+  return {
+    async create(doc) {
+      const msg = {
+        to: null,
+        room: 'global',
+        isPrivate: false,
+        meta: {},
+        clientId: null,
+        deliveredTo: [],
+        readBy: [],
+        mentions: [],
+        editedAt: null,
+        edits: [],
+        deletedAt: null,
+        deletedBy: null,
+        replyTo: null,
+        replyPreview: null,
+        threadId: null,
+        replyCount: 0,
+        lastReply: null,
+        ...doc,
+        _id: newId(),
+        timestamp: doc.timestamp ? new Date(doc.timestamp) : new Date(),
+      };
+      db.messages.push(msg);
+      return clone(msg);
+    },
+
+    async createOnce(doc) {
+      const existing = doc.clientId && (await this.findByClientId(doc.senderId, doc.clientId));
+      if (existing) return { message: existing, duplicate: true };
+      return { message: await this.create(doc), duplicate: false };
+    },
+
+    async findByClientId(senderId, clientId) {
+      return clone(db.messages.find((m) => m.senderId === senderId && m.clientId === clientId)) || null;
+    },
+
+    async findById(id) {
+      return clone(byId(id));
+    },
+
+    async page({ room = 'global', threadId = null, before, limit, viewerIds = [] } = {}) {
+      const pageSize = clampPageSize(limit);
+      const isOlder = relativeTo(before, -1);
+
+      const docs = db.messages
+        .filter((m) => m.room === room && m.threadId === threadId)
+        .filter(visibleTo(viewerIds))
+        .filter(isOlder)
+        .sort(byNewest)
+        .slice(0, pageSize + 1);
+
+      const hasMore = docs.length > pageSize;
+      const messages = docs.slice(0, pageSize).reverse().map(clone);
+      return { messages, hasMore, nextBefore: hasMore && messages.length ? messages[0]._id : null };
+    },
+
+    async since({ room = 'global', threadId = null, after, limit, viewerIds = [] } = {}) {
+      if (parseCursor(after) === undefined) throw invalidCursor();
+      const pageSize = clampPageSize(limit);
+      const isNewer = relativeTo(after, 1);
+
+      const docs = db.messages
+        .filter((m) => m.room === room && m.threadId === threadId)
+        .filter(visibleTo(viewerIds))
+        .filter(isNewer)
+        .sort((a, b) => byNewest(b, a))
+        .slice(0, pageSize + 1);
+
+      const hasMore = docs.length > pageSize;
+      const messages = docs.slice(0, pageSize).map(clone);
+      return { messages, hasMore, nextAfter: hasMore ? messages[messages.length - 1]._id : null };
+    },
+
+    async unreadSince({ room, after, since, viewerIds = [], excludeSenderId, limit = 100 } = {}) {
+      const isNewer = relativeTo(after, 1);
+      const docs = db.messages
+        .filter((m) => m.room === room && m.threadId === null && !m.deletedAt && m.senderId !== excludeSenderId)
+        .filter(visibleTo(viewerIds))
+        .filter(isNewer)
+        .filter((m) => !since || m.timestamp >= new Date(since))
+        .sort((a, b) => byNewest(b, a));
+      return { count: Math.min(docs.length, limit), firstId: docs[0]?._id || null };
+    },
+
+    async search({ terms = [], rooms = [], viewerIds = [], room, senderId, from, to, hasAttachment, before, limit } = {}) {
+      const pageSize = clampPageSize(limit);
+      const isOlder = relativeTo(before, -1);
+      const readable = new Set(rooms);
+      const ids = new Set(viewerIds.filter(Boolean));
+
+      const docs = db.messages
+        .filter((m) => !m.deletedAt)
+        .filter((m) => readable.has(m.room) || (m.isPrivate && m.to && (ids.has(m.senderId) || ids.has(m.to))))
+        .filter((m) => room === undefined || m.room === room)
+        .filter((m) => senderId === undefined || m.senderId === senderId)
+        .filter((m) => (!from || m.timestamp >= from) && (!to || m.timestamp <= to))
+        .filter((m) => hasAttachment === undefined || Boolean(m.meta?.attachment) === hasAttachment)
+        .filter((m) => !terms.length || containsAll(searchableText(m), terms))
+        .filter(isOlder)
+        .sort(byNewest)
+        .slice(0, pageSize + 1);
+
+      const hasMore = docs.length > pageSize;
+      const messages = docs.slice(0, pageSize).map(clone);
+      return { messages, hasMore, nextBefore: hasMore ? messages[messages.length - 1]._id : null };
+    },
+
+    async recent({ room = 'global', limit = 50, viewerIds = [] } = {}) {
+      return db.messages
+        .filter((m) => m.room === room)
+        .filter(visibleTo(viewerIds))
+        .sort(byNewest)
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    async edit(id, { message, mentions = [], editedAt = new Date() }) {
+      const msg = byId(id);
+      if (!msg || msg.deletedAt) return null;
+      msg.edits.push({ message: msg.message, at: msg.editedAt || msg.timestamp });
+      Object.assign(msg, { message, mentions: structuredClone(mentions), editedAt });
+      return clone(msg);
+    },
+
+    async recordReply(rootId, lastReply) {
+      const root = byId(rootId);
+      if (!root) return null;
+      root.replyCount += 1;
+      root.lastReply = structuredClone(lastReply);
+      return clone(root);
+    },
+
+    async refreshPreviews(preview) {
+      for (const m of db.messages) {
+        if (m.replyTo === preview._id) m.replyPreview = structuredClone(preview);
+        if (m.lastReply?._id === preview._id) m.lastReply = structuredClone(preview);
+      }
+    },
+
+    async softDelete(id, { deletedBy, deletedAt = new Date() }) {
+      const msg = byId(id);
+      if (!msg || msg.deletedAt) return null;
+      Object.assign(msg, { message: '', meta: {}, edits: [], mentions: [], deletedAt, deletedBy });
+      return clone(msg);
+    },
+  };
+}
+
+module.exports = { createMessageRepository, byNewest };
@@ -0,0 +1,22 @@
+const { newId } = require('./ids');
+
+function createModerationRepository(db) {
+  return {
+    async record(entry) {
+      const defaults = { targetId: null, reason: '', until: null, seconds: null, role: null };
+      const saved = { ...defaults, ...entry, _id: newId(), createdAt: new Date() };
+      db.moderation.push(saved);
+      return structuredClone(saved);
+    },
+
+    async list({ room, limit = 50 }) {
+      return db.moderation
+        .filter((a) => a.room === room)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit)
+        .map((a) => structuredClone(a));
+    },
+  };
+}
+
+module.exports = { createModerationRepository };
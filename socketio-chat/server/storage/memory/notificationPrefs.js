@@ -0,0 +1,27 @@
+const clone = (value) => (value ? structuredClone(value) : value);
+
+function createNotificationPrefRepository(db) {
+  const keyOf = (userId, room) => `${userId}\n${room}`;
+
+  return {
+    async list(userId) {
+      return [...db.notificationPrefs.values()].filter((p) => p.userId === userId).map(clone);
+    },
+
+    async listForRoom(room, userIds) {
+      return userIds.map((userId) => db.notificationPrefs.get(keyOf(userId, room))).filter(Boolean).map(clone);
+    },
+
+    async set({ userId, room, level }) {
+      const pref = { userId, room, level, updatedAt: new Date() };
+      db.notificationPrefs.set(keyOf(userId, room), pref);
+      return clone(pref);
+    },
+
+    async remove(userId, room) {
+      return db.notificationPrefs.delete(keyOf(userId, room));
+    },
+  };
+}
+
+module.exports = { createNotificationPrefRepository };
@@ -0,0 +1,40 @@
+const clone = (value) => (value ? structuredClone(value) : value);
+
+// Same key as the Reaction model's unique index
+const sameKey = (a, b) => a.messageId === b.messageId && a.userId === b.userId && a.emoji === b.emoji;
+
+function createReactionRepository(db) {
+  return {
+    async exists(key) {
+      return db.reactions.some((r) => sameKey(r, { ...key, messageId: String(key.messageId) }));
+    },
+
+    // false when the user already reacted with that emoji
+    async add({ messageId, room, userId, username, emoji }) {
+      const reaction = { messageId: String(messageId), room, userId, username, emoji, createdAt: new Date() };
+      if (db.reactions.some((r) => sameKey(r, reaction))) return false;
+      db.reactions.push(reaction);
+      return true;
+    },
+
+    // false when there was nothing to remove
+    async remove({ messageId, userId, emoji }) {
+      const index = db.reactions.findIndex((r) => sameKey(r, { messageId: String(messageId), userId, emoji }));
+      if (index === -1) return false;
+      db.reactions.splice(index, 1);
+      return true;
+    },
+
+    // Reactions on any of the messages, oldest first
+    async listFor(messageIds) {
+      const ids = new Set(messageIds.map(String));
+      return db.reactions.filter((r) => ids.has(r.messageId)).map(clone);
+    },
+
+    async removeForMessage(messageId) {
+      db.reactions = db.reactions.filter((r) => r.messageId !== String(messageId));
+    },
+  };
+}
+
+module.exports = { createReactionRepository };
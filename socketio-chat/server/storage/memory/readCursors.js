@@ -0,0 +1,28 @@
+const clone = (value) => (value ? structuredClone(value) : value);
+
+// (at, messageId) order, the same as the timeline's
+const isAfter = (a, b) => a.at - b.at > 0 || (a.at - b.at === 0 && a.messageId > b.messageId);
+
+function createReadCursorRepository(db) {
+  const keyOf = (userId, room) => `${userId}\n${room}`;
+
+  return {
+    async get(userId, room) {
+      return clone(db.readCursors.get(keyOf(userId, room)) || null);
+    },
+
+    async list(userId) {
+      return [...db.readCursors.values()].filter((c) => c.userId === userId).map(clone);
+    },
+
+    async advance({ userId, room, messageId, at }) {
+      const current = db.readCursors.get(keyOf(userId, room));
+      const next = { userId, room, messageId: String(messageId), at: new Date(at), readAt: new Date() };
+      if (current && !isAfter(next, current)) return null;
+      db.readCursors.set(keyOf(userId, room), next);
+      return clone(next);
+    },
+  };
+}
+
+module.exports = { createReadCursorRepository };
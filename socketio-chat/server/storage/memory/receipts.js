@@ -0,0 +1,27 @@
+function createReceiptRepository(db) {
+  const byId = (id) => db.messages.find((m) => m._id === String(id));
+
+  const addOnce = (messageId, field, userId) => {
+    const msg = byId(messageId);
+    if (!msg || msg[field].includes(userId)) return false;
+    msg[field].push(userId);
+    return true;
+  };
+
+  return {
+    async markDelivered(messageId, userId) {
+      return addOnce(messageId, 'deliveredTo', userId);
+    },
+
+    async markRead(messageId, userId) {
+      return addOnce(messageId, 'readBy', userId);
+    },
+
+    async readers(messageId) {
+      const msg = byId(messageId);
+      return msg ? [...msg.readBy] : [];
+    },
+  };
+}
+
+module.exports = { createReceiptRepository };
@@ -0,0 +1,109 @@
+const { newId } = require('./ids');
+
+const clone = (value) => (value ? structuredClone(value) : value);
+const VISIBLE_TO_ALL = ['public', 'invite-only'];
+
+function createRoomRepository(db) {
+  const touch = (room, patch) => Object.assign(room, patch, { updatedAt: new Date() });
+
+  return {
+    async list({ userId, includeArchived = false } = {}) {
+      return [...db.rooms.values()]
+        .filter((r) => includeArchived || !r.archived)
+        .filter(
+          (r) =>
+            VISIBLE_TO_ALL.includes(r.visibility) ||
+            r.members.some((m) => m.userId === userId) ||
+            r.invites.includes(userId)
+        )
+        .sort((a, b) => a.slug.localeCompare(b.slug))
+        .map(clone);
+    },
+
+    async findBySlug(slug) {
+      return clone(db.rooms.get(slug));
+    },
+
+    async create(room) {
+      if (db.rooms.has(room.slug)) {
+        const err = new Error(`duplicate room ${room.slug}`);
+        err.code = 11000; // same signal as Mongo's unique index
+        throw err;
+      }
+      const now = new Date();
+      const saved = {
+        topic: '',
+        visibility: 'public',
+        members: [],
+        invites: [],
+        bans: [],
+        mutes: [],
+        kicks: [],
+        slowModeSeconds: 0,
+        archived: false,
+        archivedAt: null,
+        ...structuredClone(room),
+        _id: newId(),
+        createdAt: now,
+        updatedAt: now,
+      };
+      db.rooms.set(saved.slug, saved);
+      return clone(saved);
+    },
+
+    async update(slug, patch) {
+      const room = db.rooms.get(slug);
+      return room ? clone(touch(room, patch)) : null;
+    },
+
+    async addMember(slug, userId, role = 'member') {
+      const room = db.rooms.get(slug);
+      if (!room || room.members.some((m) => m.userId === userId)) return null;
+      room.members.push({ userId, role, joinedAt: new Date() });
+      room.invites = room.invites.filter((id) => id !== userId);
+      return clone(touch(room, {}));
+    },
+
+    async removeMember(slug, userId) {
+      const room = db.rooms.get(slug);
+      if (!room) return null;
+      return clone(touch(room, { members: room.members.filter((m) => m.userId !== userId) }));
+    },
+
+    async setMemberRole(slug, userId, role) {
+      const room = db.rooms.get(slug);
+      const member = room?.members.find((m) => m.userId === userId);
+      if (!member) return null;
+      member.role = role;
+      return clone(touch(room, {}));
+    },
+
+    async addSanction(slug, kind, entry) {
+      const room = db.rooms.get(slug);
+      if (!room) return null;
+      room[kind] = [...room[kind].filter((s) => s.userId !== entry.userId), structuredClone(entry)];
+      return clone(touch(room, {}));
+    },
+
+    async removeSanction(slug, kind, userId) {
+      const room = db.rooms.get(slug);
+      if (!room) return null;
+      return clone(touch(room, { [kind]: room[kind].filter((s) => s.userId !== userId) }));
+    },
+
+    async addInvite(slug, userId) {
+      const room = db.rooms.get(slug);
+      if (!room) return null;
+      if (!room.invites.includes(userId)) room.invites.push(userId);
+      return clone(touch(room, {}));
+    },
+
+    async ensureDefaults(rooms) {
+      for (const room of rooms) {
+        if (!db.rooms.has(room.slug)) await this.create(room);
+      }
+    },
+  };
+}
+
+module.exports = { createRoomRepository };
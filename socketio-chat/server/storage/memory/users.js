@@ -0,0 +1,92 @@
+const { newId } = require('./ids');
+
+// Public shape mirrors the Mongo documents minus the secret fields
+const toPublic = ({ passwordHash, refreshTokens, ...user }) => ({ ...user });
+
+function createUserRepository(db) {
+  const upsert = (clerkId, fields) => {
+    const current = db.users.get(clerkId) || {
+      _id: newId(),
+      clerkId,
+      socketId: null,
+      online: false,
+      status: 'online',
+      statusText: '',
+      refreshTokens: [],
+    };
+    const next = { ...current, ...fields };
+    db.users.set(clerkId, next);
+    return next;
+  };
+
+  return {
+    async setOnline({ clerkId, username, socketId }) {
+      return toPublic(upsert(clerkId, { username, socketId, online: true, lastSeen: new Date() }));
+    },
+
+    async setOffline(clerkId) {
+      if (!db.users.has(clerkId)) return null;
+      return toPublic(upsert(clerkId, { online: false, socketId: null, lastSeen: new Date() }));
+    },
+
+    async setStatus(clerkId, { status, statusText }) {
+      if (!db.users.has(clerkId)) return null;
+      const fields = {};
+      if (status !== undefined) fields.status = status;
+      if (statusText !== undefined) fields.statusText = statusText;
+      return toPublic(upsert(clerkId, fields));
+    },
+
+    async listOnline() {
+      return [...db.users.values()].filter((u) => u.online).map(toPublic);
+    },
+
+    async list() {
+      return [...db.users.values()].map(toPublic);
+    },
+
+    async exists(clerkId) {
+      return db.users.has(clerkId);
+    },
+
+    async findById(clerkId) {
+      const user = db.users.get(clerkId);
+      return user ? toPublic(structuredClone(user)) : null;
+    },
+
+    async findByUsernames(usernames) {
+      const wanted = new Set(usernames.map((name) => name.toLowerCase()));
+      return [...db.users.values()].filter((u) => wanted.has(u.username?.toLowerCase())).map(toPublic);
+    },
+
+    async findCredentials(clerkId) {
+      const user = db.users.get(clerkId);
+      return user ? structuredClone(user) : null;
+    },
+
+    async createAccount({ clerkId, username, passwordHash }) {
+      upsert(clerkId, { username, passwordHash, refreshTokens: [], lastSeen: new Date() });
+      return { clerkId, username, refreshTokens: [] };
+    },
+
+    async setRefreshTokens(clerkId, refreshTokens) {
+      if (db.users.has(clerkId)) upsert(clerkId, { refreshTokens: structuredClone(refreshTokens) });
+    },
+
+    async addRefreshToken(clerkId, token, now = new Date()) {
+      const user = db.users.get(clerkId);
+      if (!user) return;
+      const kept = user.refreshTokens.filter((t) => new Date(t.expiresAt) > now);
+      upsert(clerkId, { refreshTokens: [...kept, structuredClone(token)] });
+    },
+
+    async removeRefreshToken(clerkId, tokenHash) {
+      const user = db.users.get(clerkId);
+      if (!user?.refreshTokens.some((t) => t.tokenHash === tokenHash)) return false;
+      upsert(clerkId, { refreshTokens: user.refreshTokens.filter((t) => t.tokenHash !== tokenHash) });
+      return true;
+    },
+  };
+}
+
+module.exports = { createUserRepository };
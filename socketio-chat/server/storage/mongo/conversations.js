@@ -0,0 +1,65 @@
+const Conversation = require('../../models/Conversation');
+
+function createConversationRepository() {
+  return {
+    findByKey(key) {
+      return Conversation.findOne({ key }).lean();
+    },
+
+    // Resolves to { conversation, created }; the unique key settles concurrent creates
+    async findOrCreate(conversation) {
+      const existing = await Conversation.findOne({ key: conversation.key }).lean();
+      if (existing) return { conversation: existing, created: false };
+      try {
+        const saved = await Conversation.create(conversation);
+        return { conversation: saved.toObject(), created: true };
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        return { conversation: await Conversation.findOne({ key: conversation.key }).lean(), created: false };
+      }
+    },
+
+    // A user's conversations, most recently active first (new, still empty ones on top)
+    listFor(userId, { limit = 100 } = {}) {
+      return Conversation.find({ 'participants.userId': userId })
+        .sort({ lastMessageAt: -1, createdAt: -1 })
+        .limit(limit)
+        .lean();
+    },
+
+    touch(key, { lastMessage, lastMessageAt }) {
+      return Conversation.findOneAndUpdate({ key }, { $set: { lastMessage, lastMessageAt } }, { new: true }).lean();
+    },
+
+    // Rewrite the last-message preview after that message was edited or deleted; null if it is not the last one
+    refreshPreview(key, preview) {
+      return Conversation.findOneAndUpdate(
+        { key, 'lastMessage._id': preview._id },
+        { $set: { lastMessage: preview } },
+        { new: true }
+      ).lean();
+    },
+
+    // Skips people already in the conversation, so concurrent adds cannot duplicate anyone
+    async addParticipants(key, participants) {
+      for (const participant of participants) {
+        await Conversation.updateOne(
+          { key, 'participants.userId': { $ne: participant.userId } },
+          { $push: { participants: participant } }
+        );
+      }
+      return Conversation.findOne({ key }).lean();
+    },
+
+    removeParticipant(key, userId) {
+      return Conversation.findOneAndUpdate({ key }, { $pull: { participants: { userId } } }, { new: true }).lean();
+    },
+
+    // Changes plain fields (the title); membership goes through the methods above
+    update(key, patch) {
+      return Conversation.findOneAndUpdate({ key }, { $set: patch }, { new: true }).lean();
+    },
+  };
+}
+
+module.exports = { createConversationRepository };
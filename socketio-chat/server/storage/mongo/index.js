@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { createMessageRepository } = require('./messages');
+const { createUserRepository } = require('./users');
+const { createRoomRepository } = require('./rooms');
+const { createReceiptRepository } = require('./receipts');
+const { createModerationRepository } = require('./moderation');
+const { createConversationRepository } = require('./conversations');
+const { createReadCursorRepository } = require('./readCursors');
+const { createNotificationPrefRepository } = require('./notificationPrefs');
+const { createReactionRepository } = require('./reactions');
+
+function createMongoStore({ uri }) {
+  return {
+    kind: 'mongo',
+    messages: createMessageRepository(),
+    users: createUserRepository(),
+    rooms: createRoomRepository(),
+    receipts: createReceiptRepository(),
+    conversations: createConversationRepository(),
+    moderation: createModerationRepository(),
+    readCursors: createReadCursorRepository(),
+    notificationPrefs: createNotificationPrefRepository(),
+    reactions: createReactionRepository(),
+
+    async connect() {
+      await mongoose.connect(uri);
+    },
+
+    async close() {
+      await mongoose.disconnect();
+    },
+  };
+}
+
+module.exports = { createMongoStore };
@@ -0,0 +1,189 @@
+const Message = require('../../models/Message');
+const { parseCursor, invalidCursor, clampPageSize } = require('../cursor');
+
+// Messages strictly before ($lt) or after ($gt) a cursor, in (timestamp, _id) order
+async function cursorClause(value, op = '$lt') {
+  const cursor = parseCursor(value);
+  if (cursor === undefined) return undefined;
+  if (cursor === null) throw invalidCursor();
+
+  if (cursor.date) return { timestamp: { [op]: cursor.date } };
+
+  const anchor = await Message.findById(cursor.id).select('timestamp').lean();
+  if (!anchor) throw invalidCursor();
+  return {
+    $or: [
+      { timestamp: { [op]: anchor.timestamp } },
+      { timestamp: anchor.timestamp, _id: { [op]: anchor._id } },
+    ],
+  };
+}
+
+// Private messages without a recipient belong to a group conversation: whoever may read the timeline sees them
+function visibilityClause(viewerIds) {
+  const ids = viewerIds.filter(Boolean);
+  return ids.length
+    ? { $or: [{ isPrivate: false }, { to: null }, { senderId: { $in: ids } }, { to: { $in: ids } }] }
+    : { $or: [{ isPrivate: false }, { to: null }] };
+}
+
+function createMessageRepository() {
+  return {
+    async create(doc) {
+      const saved = await Message.create(doc);
+      return saved.toObject();
+    },
+
+    // Insert unless the sender already has a message with this clientId; the unique index settles races
+    async createOnce(doc) {
+      if (!doc.clientId) return { message: await this.create(doc), duplicate: false };
+      const existing = await this.findByClientId(doc.senderId, doc.clientId);
+      if (existing) return { message: existing, duplicate: true };
+      try {
+        return { message: await this.create(doc), duplicate: false };
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        return { message: await this.findByClientId(doc.senderId, doc.clientId), duplicate: true };
+      }
+    },
+
+    // A message the sender already sent under this clientId (a retried send), or null
+    findByClientId(senderId, clientId) {
+      return Message.findOne({ senderId, clientId }).lean();
+    },
+
+    findById(id) {
+      return Message.findById(id).lean();
+    },
+
+    // The main timeline by default; `threadId` pages through one thread's replies instead
+    async page({ room = 'global', threadId = null, before, limit, viewerIds = [] } = {}) {
+      const pageSize = clampPageSize(limit);
+      const clauses = [{ room, threadId }, visibilityClause(viewerIds)];
+      const cursor = await cursorClause(before);
+      if (cursor) clauses.push(cursor);
+
+      const docs = await Message.find({ $and: clauses })
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(pageSize + 1)
+        .lean();
+
+      const hasMore = docs.length > pageSize;
+      const messages = docs.slice(0, pageSize).reverse();
+      return { messages, hasMore, nextBefore: hasMore && messages.length ? String(messages[0]._id) : null };
+    },
+
+    // Everything newer than `after`, oldest first — used to catch up after a reconnect
+    async since({ room = 'global', threadId = null, after, limit, viewerIds = [] } = {}) {
+      const pageSize = clampPageSize(limit);
+      const cursor = await cursorClause(after, '$gt');
+      if (!cursor) throw invalidCursor();
+
+      const docs = await Message.find({ $and: [{ room, threadId }, visibilityClause(viewerIds), cursor] })
+        .sort({ timestamp: 1, _id: 1 })
+        .limit(pageSize + 1)
+        .lean();
+
+      const hasMore = docs.length > pageSize;
+      const messages = docs.slice(0, pageSize);
+      return { messages, hasMore, nextAfter: hasMore ? String(messages[messages.length - 1]._id) : null };
+    },
+
+    // How many live main-timeline messages of others follow the `after` cursor, or date from `since` on
+    // (counting stops at `limit`), and the first of them
+    async unreadSince({ room, after, since, viewerIds = [], excludeSenderId, limit = 100 } = {}) {
+      const clauses = [{ room, threadId: null, deletedAt: null, senderId: { $ne: excludeSenderId } }, visibilityClause(viewerIds)];
+      const cursor = await cursorClause(after, '$gt');
+      if (cursor) clauses.push(cursor);
+      if (since) clauses.push({ timestamp: { $gte: new Date(since) } });
+      const query = { $and: clauses };
+
+      const [count, first] = await Promise.all([
+        Message.countDocuments(query, { limit }),
+        Message.findOne(query).sort({ timestamp: 1, _id: 1 }).select('_id').lean(),
+      ]);
+      return { count, firstId: first ? String(first._id) : null };
+    },
+
+    /**
+     * Newest-first search over the timelines in `rooms` plus addressed private messages of `viewerIds`.
+     * Each term is sent as a quoted phrase so that, like the memory store, all of them must match.
+     */
+    async search({ terms = [], rooms = [], viewerIds = [], room, senderId, from, to, hasAttachment, before, limit } = {}) {
+      const pageSize = clampPageSize(limit);
+      const ids = viewerIds.filter(Boolean);
+      const clauses = [
+        { deletedAt: null },
+        {
+          $or: [
+            { room: { $in: rooms } },
+            ...(ids.length
+              ? [{ isPrivate: true, to: { $ne: null }, $or: [{ senderId: { $in: ids } }, { to: { $in: ids } }] }]
+              : []),
+          ],
+        },
+      ];
+      if (room !== undefined) clauses.push({ room });
+      if (senderId !== undefined) clauses.push({ senderId });
+      if (from) clauses.push({ timestamp: { $gte: from } });
+      if (to) clauses.push({ timestamp: { $lte: to } });
+      if (hasAttachment !== undefined) clauses.push({ 'meta.attachment': { $exists: hasAttachment } });
+      const cursor = await cursorClause(before);
+      if (cursor) clauses.push(cursor);
+
+      const query = { $and: clauses };
+      if (terms.length) query.$text = { $search: terms.map((t) => `"${t}"`).join(' ') };
+
+      const docs = await Message.find(query)
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(pageSize + 1)
+        .lean();
+
+      const hasMore = docs.length > pageSize;
+      const messages = docs.slice(0, pageSize);
+      return { messages, hasMore, nextBefore: hasMore ? String(messages[messages.length - 1]._id) : null };
+    },
+
+    recent({ room = 'global', limit = 50, viewerIds = [] } = {}) {
+      return Message.find({ $and: [{ room }, visibilityClause(viewerIds)] }).sort({ timestamp: -1 }).limit(limit).lean();
+    },
+
+    // Replace the text (and its mentions), pushing the previous version onto `edits`; null if gone or deleted
+    async edit(id, { message, mentions = [], editedAt = new Date() }) {
+      const current = await Message.findOne({ _id: id, deletedAt: null }).lean();
+      if (!current) return null;
+      const previous = { message: current.message, at: current.editedAt || current.timestamp };
+      // matching the old text makes a concurrent edit lose instead of dropping a version
+      return Message.findOneAndUpdate(
+        { _id: id, deletedAt: null, message: current.message },
+        { $set: { message, mentions, editedAt }, $push: { edits: previous } },
+        { new: true }
+      ).lean();
+    },
+
+    // Bump a thread root's reply count and remember the newest reply's preview
+    recordReply(rootId, lastReply) {
+      return Message.findByIdAndUpdate(
+        rootId,
+        { $inc: { replyCount: 1 }, $set: { lastReply } },
+        { new: true }
+      ).lean();
+    },
+
+    // Quotes and thread summaries copy a preview of the message; rewrite them after an edit or delete
+    async refreshPreviews(preview) {
+      await Message.updateMany({ replyTo: preview._id }, { $set: { replyPreview: preview } });
+      await Message.updateMany({ 'lastReply._id': preview._id }, { $set: { lastReply: preview } });
+    },
+
+    softDelete(id, { deletedBy, deletedAt = new Date() }) {
+      return Message.findOneAndUpdate(
+        { _id: id, deletedAt: null },
+        { $set: { message: '', meta: {}, edits: [], mentions: [], deletedAt, deletedBy } },
+        { new: true }
+      ).lean();
+    },
+  };
+}
+
+module.exports = { createMessageRepository };
@@ -0,0 +1,17 @@
+const ModerationAction = require('../../models/ModerationAction');
+
+function createModerationRepository() {
+  return {
+    async record(entry) {
+      const saved = await ModerationAction.create(entry);
+      return saved.toObject();
+    },
+
+    // Newest first
+    list({ room, limit = 50 }) {
+      return ModerationAction.find({ room }).sort({ createdAt: -1 }).limit(limit).lean();
+    },
+  };
+}
+
+module.exports = { createModerationRepository };
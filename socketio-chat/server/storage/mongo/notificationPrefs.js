@@ -0,0 +1,28 @@
+const NotificationPreference = require('../../models/NotificationPreference');
+
+function createNotificationPrefRepository() {
+  return {
+    list(userId) {
+      return NotificationPreference.find({ userId }).lean();
+    },
+
+    listForRoom(room, userIds) {
+      return NotificationPreference.find({ room, userId: { $in: userIds } }).lean();
+    },
+
+    set({ userId, room, level }) {
+      return NotificationPreference.findOneAndUpdate(
+        { userId, room },
+        { $set: { level, updatedAt: new Date() } },
+        { new: true, upsert: true }
+      ).lean();
+    },
+
+    async remove(userId, room) {
+      const { deletedCount } = await NotificationPreference.deleteOne({ userId, room });
+      return deletedCount > 0;
+    },
+  };
+}
+
+module.exports = { createNotificationPrefRepository };
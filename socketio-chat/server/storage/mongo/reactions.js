@@ -0,0 +1,38 @@
+const Reaction = require('../../models/Reaction');
+
+function createReactionRepository() {
+  return {
+    async exists({ messageId, userId, emoji }) {
+      return Boolean(await Reaction.exists({ messageId: String(messageId), userId, emoji }));
+    },
+
+    // false when the user already reacted with that emoji (the unique index refused it)
+    async add({ messageId, room, userId, username, emoji }) {
+      try {
+        await Reaction.create({ messageId: String(messageId), room, userId, username, emoji });
+        return true;
+      } catch (err) {
+        if (err.code === 11000) return false;
+        throw err;
+      }
+    },
+
+    async remove({ messageId, userId, emoji }) {
+      const { deletedCount } = await Reaction.deleteOne({ messageId: String(messageId), userId, emoji });
+      return deletedCount > 0;
+    },
+
+    // Reactions on any of the messages, oldest first
+    listFor(messageIds) {
+      return Reaction.find({ messageId: { $in: messageIds.map(String) } })
+        .sort({ createdAt: 1, _id: 1 })
+        .lean();
+    },
+
+    async removeForMessage(messageId) {
+      await Reaction.deleteMany({ messageId: String(messageId) });
+    },
+  };
+}
+
+module.exports = { createReactionRepository };
@@ -0,0 +1,31 @@
+const ReadCursor = require('../../models/ReadCursor');
+
+function createReadCursorRepository() {
+  return {
+    get(userId, room) {
+      return ReadCursor.findOne({ userId, room }).lean();
+    },
+
+    list(userId) {
+      return ReadCursor.find({ userId }).lean();
+    },
+
+    // Moves the cursor to a newer message (null if it already is at or past it); upsert for the first one
+    async advance({ userId, room, messageId, at }) {
+      const id = String(messageId);
+      try {
+        return await ReadCursor.findOneAndUpdate(
+          { userId, room, $or: [{ at: { $lt: at } }, { at, messageId: { $lt: id } }] },
+          { $set: { messageId: id, at, readAt: new Date() } },
+          { new: true, upsert: true }
+        ).lean();
+      } catch (err) {
+        // the filter missed an existing, newer cursor and the upsert hit the unique index
+        if (err.code === 11000) return null;
+        throw err;
+      }
+    },
+  };
+}
+
+module.exports = { createReadCursorRepository };
@@ -0,0 +1,27 @@
+const Message = require('../../models/Message');
+
+// Receipts live on the message itself (Message.deliveredTo / Message.readBy)
+async function addOnce(messageId, field, userId) {
+  const res = await Message.updateOne({ _id: messageId, [field]: { $ne: userId } }, { $push: { [field]: userId } });
+  return res.modifiedCount > 0;
+}
+
+function createReceiptRepository() {
+  return {
+    // true only the first time a user is recorded
+    markDelivered(messageId, userId) {
+      return addOnce(messageId, 'deliveredTo', userId);
+    },
+
+    markRead(messageId, userId) {
+      return addOnce(messageId, 'readBy', userId);
+    },
+
+    async readers(messageId) {
+      const msg = await Message.findById(messageId).select('readBy').lean();
+      return msg ? msg.readBy : [];
+    },
+  };
+}
+
+module.exports = { createReceiptRepository };
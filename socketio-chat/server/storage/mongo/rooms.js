@@ -0,0 +1,72 @@
+const Room = require('../../models/Room');
+
+const VISIBLE_TO_ALL = ['public', 'invite-only'];
+
+function createRoomRepository() {
+  return {
+    // Rooms a user can see: listed ones, plus private rooms they belong to or were invited to
+    list({ userId, includeArchived = false } = {}) {
+      const visible = [{ visibility: { $in: VISIBLE_TO_ALL } }];
+      if (userId) visible.push({ 'members.userId': userId }, { invites: userId });
+      const query = { $or: visible };
+      if (!includeArchived) query.archived = false;
+      return Room.find(query).sort({ slug: 1 }).lean();
+    },
+
+    findBySlug(slug) {
+      return Room.findOne({ slug }).lean();
+    },
+
+    async create(room) {
+      const saved = await Room.create(room);
+      return saved.toObject();
+    },
+
+    update(slug, patch) {
+      return Room.findOneAndUpdate({ slug }, { $set: patch }, { new: true }).lean();
+    },
+
+    addMember(slug, userId, role = 'member') {
+      return Room.findOneAndUpdate(
+        { slug, 'members.userId': { $ne: userId } },
+        { $push: { members: { userId, role, joinedAt: new Date() } }, $pull: { invites: userId } },
+        { new: true }
+      ).lean();
+    },
+
+    removeMember(slug, userId) {
+      return Room.findOneAndUpdate({ slug }, { $pull: { members: { userId } } }, { new: true }).lean();
+    },
+
+    setMemberRole(slug, userId, role) {
+      return Room.findOneAndUpdate(
+        { slug, 'members.userId': userId },
+        { $set: { 'members.$.role': role } },
+        { new: true }
+      ).lean();
+    },
+
+    // kind is "bans", "mutes" or "kicks"; one entry per user, a new one replaces the old
+    async addSanction(slug, kind, entry) {
+      await Room.updateOne({ slug }, { $pull: { [kind]: { userId: entry.userId } } });
+      return Room.findOneAndUpdate({ slug }, { $push: { [kind]: entry } }, { new: true }).lean();
+    },
+
+    removeSanction(slug, kind, userId) {
+      return Room.findOneAndUpdate({ slug }, { $pull: { [kind]: { userId } } }, { new: true }).lean();
+    },
+
+    addInvite(slug, userId) {
+      return Room.findOneAndUpdate({ slug }, { $addToSet: { invites: userId } }, { new: true }).lean();
+    },
+
+    // Insert the rooms that do not exist yet, leave existing ones alone
+    async ensureDefaults(rooms) {
+      await Promise.all(
+        rooms.map((room) => Room.updateOne({ slug: room.slug }, { $setOnInsert: room }, { upsert: true }))
+      );
+    },
+  };
+}
+
+module.exports = { createRoomRepository };
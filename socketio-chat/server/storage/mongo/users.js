@@ -0,0 +1,76 @@
+const User = require('../../models/User');
+
+function createUserRepository() {
+  return {
+    setOnline({ clerkId, username, socketId }) {
+      return User.findOneAndUpdate(
+        { clerkId },
+        { clerkId, username, socketId, online: true, lastSeen: new Date() },
+        { upsert: true, new: true }
+      ).lean();
+    },
+
+    setOffline(clerkId) {
+      return User.findOneAndUpdate({ clerkId }, { online: false, socketId: null, lastSeen: new Date() }).lean();
+    },
+
+    setStatus(clerkId, { status, statusText }) {
+      const fields = {};
+      if (status !== undefined) fields.status = status;
+      if (statusText !== undefined) fields.statusText = statusText;
+      return User.findOneAndUpdate({ clerkId }, { $set: fields }, { new: true }).lean();
+    },
+
+    listOnline() {
+      return User.find({ online: true }).lean();
+    },
+
+    list() {
+      return User.find().lean();
+    },
+
+    async exists(clerkId) {
+      return !!(await User.exists({ clerkId }));
+    },
+
+    findById(clerkId) {
+      return User.findOne({ clerkId }).lean();
+    },
+
+    // Case-insensitive; names are not unique (guests), so several users may share one
+    findByUsernames(usernames) {
+      return User.find({ username: { $in: usernames } }).collation({ locale: 'en', strength: 2 }).lean();
+    },
+
+    // Local accounts — the only reads that include password and refresh token data
+    findCredentials(clerkId) {
+      return User.findOne({ clerkId }).select('+passwordHash +refreshTokens').lean();
+    },
+
+    async createAccount({ clerkId, username, passwordHash }) {
+      const user = await User.create({ clerkId, username, passwordHash });
+      return { clerkId: user.clerkId, username: user.username, refreshTokens: [] };
+    },
+
+    async setRefreshTokens(clerkId, refreshTokens) {
+      await User.updateOne({ clerkId }, { refreshTokens });
+    },
+
+    // Remember a new refresh token and forget expired ones; neither rewrites the rest of the list
+    async addRefreshToken(clerkId, token, now = new Date()) {
+      await User.updateOne({ clerkId }, { $pull: { refreshTokens: { expiresAt: { $lte: now } } } });
+      await User.updateOne({ clerkId }, { $push: { refreshTokens: token } });
+    },
+
+    // Resolves to whether the token was still held: of two concurrent calls, only one gets true
+    async removeRefreshToken(clerkId, tokenHash) {
+      const res = await User.updateOne(
+        { clerkId, 'refreshTokens.tokenHash': tokenHash },
+        { $pull: { refreshTokens: { tokenHash } } }
+      );
+      return res.modifiedCount > 0;
+    },
+  };
+}
+
+module.exports = { createUserRepository };
@@ -0,0 +1,28 @@
+// Shared parsing and matching of message search queries used by every backend
+
+const MAX_TERMS = 8;
+const MAX_TERM_LENGTH = 64;
+
+/**
+ * Split a query into lowercase terms. Double quotes group a phrase
+ * ("release notes" is one term); every term has to match.
+ */
+function parseTerms(query) {
+  if (typeof query !== 'string') return [];
+  const terms = [];
+  for (const [, phrase, word] of query.matchAll(/"([^"]*)"|(\S+)/g)) {
+    const term = (phrase ?? word).replace(/\s+/g, ' ').trim().toLowerCase().slice(0, MAX_TERM_LENGTH);
+    if (term && !terms.includes(term)) terms.push(term);
+  }
+  return terms.slice(0, MAX_TERMS);
+}
+
+// What a message is searched on: its text and the attachment's file name
+const searchableText = (msg) => [msg.message, msg.meta?.attachment?.name].filter(Boolean).join('\n');
+
+const containsAll = (text, terms) => {
+  const haystack = text.toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+};
+
+module.exports = { parseTerms, searchableText, containsAll, MAX_TERMS };
@@ -0,0 +1,60 @@
+// server/test/auth.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+const refresh = (refreshToken) => server.api('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+test('refreshing rotates the refresh token', async () => {
+  const account = await register(server, 'rotating');
+  const res = await refresh(account.refreshToken);
+
+  assert.equal(res.status, 200);
+  assert.notEqual(res.body.refreshToken, account.refreshToken);
+  assert.equal((await server.api('GET', '/api/reads', { token: res.body.accessToken })).status, 200);
+});
+
+test('a refresh token works once; reusing it revokes the whole session', async () => {
+  const account = await register(server, 'reused');
+  const rotated = await refresh(account.refreshToken);
+  const reused = await refresh(account.refreshToken);
+
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.error, 'refresh token reused');
+  assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+});
+
+test('two concurrent refreshes with one token rotate it once', async (t) => {
+  const account = await register(server, 'racing');
+  // both requests read the account before either spends the token
+  const { users } = server.store;
+  const findCredentials = users.findCredentials;
+  let arrived = 0;
+  let release;
+  const bothRead = new Promise((resolve) => (release = resolve));
+  t.mock.method(users, 'findCredentials', async (clerkId) => {
+    const user = await findCredentials.call(users, clerkId);
+    if (++arrived === 2) release();
+    await bothRead;
+    return user;
+  });
+
+  const results = await Promise.all([refresh(account.refreshToken), refresh(account.refreshToken)]);
+  assert.deepEqual(results.map((r) => r.status).sort(), [200, 401]);
+});
+
+test('logging out spends the refresh token', async () => {
+  const account = await register(server, 'leaving');
+  const res = await server.api('POST', '/api/auth/logout', { body: { refreshToken: account.refreshToken } });
+
+  assert.equal(res.status, 204);
+  assert.equal((await refresh(account.refreshToken)).status, 401);
+});
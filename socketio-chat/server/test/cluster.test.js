@@ -0,0 +1,137 @@
+// server/test/cluster.test.js
+// Two nodes in one process (cluster mode "local"): a shared bus relays broadcasts
+// and a shared state holds presence, typing and slow mode, as Redis would between processes.
+// Run with `npm test`.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { io: connect } = require('socket.io-client');
+
+const { next, request, sleep, EVENTS } = require('./helpers');
+const { initSocket } = require('../socket');
+const { createCluster, createLocalBus, createMemoryState } = require('../cluster');
+const { createStore } = require('../storage');
+const { createFakeClerk } = require('../auth/fakeClerk');
+const { seedDefaultRooms } = require('../controllers/roomController');
+
+const USERS = [
+  { id: 'user_alice', username: 'alice' },
+  { id: 'user_bob', username: 'bob' },
+];
+const auth = {
+  providers: ['clerk'],
+  strict: true,
+  clerkFake: true,
+  clerkFakeUsers: USERS.map((u) => `${u.id}:${u.username}`).join(','),
+};
+const tokens = createFakeClerk({ users: USERS });
+
+const state = createMemoryState();
+const nodes = [];
+const sockets = [];
+
+// A signed-in socket on `node`, resolved once the server has sent its session and user list
+async function signIn(node, userId) {
+  const socket = connect(`http://localhost:${node.port}`, {
+    auth: { token: tokens.issueToken(userId) },
+    transports: ['websocket'],
+    reconnection: false,
+  });
+  sockets.push(socket);
+  const [session, users] = await Promise.all([next(socket, EVENTS.SESSION), next(socket, EVENTS.USER_LIST)]);
+  return { socket, session, users };
+}
+
+before(async () => {
+  const store = createStore({ kind: 'memory' });
+  await store.connect();
+  await seedDefaultRooms(store);
+  const bus = createLocalBus();
+  for (let i = 0; i < 2; i++) {
+    const server = http.createServer();
+    const cluster = createCluster({ mode: 'local', bus, state });
+    const io = initSocket(server, { context: { store }, auth, limiter: null, cluster });
+    await new Promise((resolve) => server.listen(0, resolve));
+    nodes.push({ io, port: server.address().port });
+  }
+});
+
+after(async () => {
+  for (const socket of sockets) socket.close();
+  await Promise.all(nodes.map(({ io }) => new Promise((resolve) => io.close(resolve))));
+});
+
+test('presence is shared: a user online on one node is listed on the other', async () => {
+  const alice = await signIn(nodes[0], 'user_alice');
+  assert.equal(alice.session.userId, 'user_alice');
+  // alice's registration may still be on its way through the shared state
+  await sleep(100);
+
+  const bob = await signIn(nodes[1], 'user_bob');
+  assert.ok(bob.users.some((u) => u.userId === 'user_alice'), 'alice is in the list node 2 sends');
+  assert.ok(await state.hget('presence:users', 'user_alice'), 'alice is in the shared presence hash');
+
+  const update = next(bob.socket, EVENTS.PRESENCE_UPDATE, (p) => p.userId === 'user_alice' && p.state === 'dnd');
+  const res = await request(alice.socket, EVENTS.SET_PRESENCE, { status: 'dnd' });
+  assert.equal(res.status, 'ok');
+  await update;
+});
+
+test('room messages and typing reach sockets on the other node', async () => {
+  const [alice, bob] = [sockets[0], sockets[1]];
+  for (const socket of [alice, bob]) {
+    assert.equal((await request(socket, EVENTS.JOIN_ROOM, { room: 'global' })).status, 'ok');
+  }
+
+  const typing = next(bob, EVENTS.USER_TYPING, (t) => t.room === 'global' && t.typists.some((u) => u.userId === 'user_alice'));
+  alice.emit(EVENTS.TYPING, { room: 'global', isTyping: true });
+  await typing;
+  assert.ok(await state.hget('typing:global', 'user_alice'), 'the typist is in the shared typing hash');
+
+  const received = next(bob, EVENTS.RECEIVE_MESSAGE, (m) => m.message === 'hello from node 1');
+  const ack = await request(alice, EVENTS.SEND_MESSAGE, { room: 'global', message: 'hello from node 1' });
+  assert.equal(ack.status, 'ok');
+  assert.equal((await received).senderId, 'user_alice');
+});
+
+test('private messages reach the recipient on the other node', async () => {
+  const [alice, bob] = [sockets[0], sockets[1]];
+  const received = next(bob, EVENTS.PRIVATE_MESSAGE, (m) => m.message === 'psst');
+  const ack = await request(alice, EVENTS.PRIVATE_MESSAGE, { to: 'user_bob', message: 'psst' });
+  assert.equal(ack.status, 'ok');
+  assert.equal((await received).senderId, 'user_alice');
+});
+
+test('slow mode holds across nodes and its entries expire after the interval', async () => {
+  const [alice, bob] = [sockets[0], sockets[1]];
+  const { room } = await request(alice, EVENTS.CREATE_ROOM, { name: 'slow everywhere' });
+  await request(alice, EVENTS.SET_SLOW_MODE, { room: room.slug, seconds: 1 });
+  const other = await signIn(nodes[0], 'user_bob');
+  for (const socket of [bob, other.socket]) await request(socket, EVENTS.JOIN_ROOM, { room: room.slug });
+
+  assert.equal((await request(bob, EVENTS.SEND_MESSAGE, { room: room.slug, message: 'first' })).status, 'ok');
+  const again = await request(other.socket, EVENTS.SEND_MESSAGE, { room: room.slug, message: 'second' });
+  assert.equal(again.code, 'slow_mode');
+  assert.ok(await state.hget('slowmode', `${room.slug}\nuser_bob`), 'the post is in the shared slow-mode hash');
+
+  await sleep(1200);
+  assert.equal(await state.hget('slowmode', `${room.slug}\nuser_bob`), null);
+  other.socket.close();
+});
+
+test('a user stays online while they still have a socket on another node', async () => {
+  const second = await signIn(nodes[1], 'user_alice');
+  const bob = sockets[1];
+  const offline = [];
+  const watch = (p) => p.userId === 'user_alice' && p.state === 'offline' && offline.push(p);
+  bob.on(EVENTS.PRESENCE_UPDATE, watch);
+
+  sockets[0].close();
+  await sleep(200);
+  assert.equal(offline.length, 0, 'closing one of two sockets is not going offline');
+
+  const gone = next(bob, EVENTS.PRESENCE_UPDATE, (p) => p.userId === 'user_alice' && p.state === 'offline');
+  second.socket.close();
+  await gone;
+  bob.off(EVENTS.PRESENCE_UPDATE, watch);
+});
@@ -0,0 +1,84 @@
+// server/test/helpers.js
+// Shared by the *.test.js files: a server on a free port, clients, and waiting for events.
+// Require it before anything that reads config, so STORAGE and RATE_LIMIT apply.
+process.env.STORAGE = 'memory';
+process.env.RATE_LIMIT = 'off';
+
+const { io: connect } = require('socket.io-client');
+const { createApp } = require('../app');
+const { getStore } = require('../storage');
+const { seedDefaultRooms } = require('../controllers/roomController');
+const EVENTS = require('../socket/events');
+
+// Local accounts (jwt) plus guests, like a typical deployment; limits off unless a test brings its own
+const AUTH = { providers: ['jwt', 'guest'], strict: false };
+
+/**
+ * The whole server (REST and sockets) on a free port, with the in-memory store
+ * seeded. Resolves to { url, store, io, close }; `close` also drops the clients
+ * opened through `client`.
+ */
+async function startServer({ auth = AUTH, limiter = null } = {}) {
+  const store = getStore();
+  await store.connect();
+  await seedDefaultRooms(store);
+  const { server, io } = createApp({ store, auth, limiter });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const url = `http://localhost:${server.address().port}`;
+  const sockets = [];
+
+  return {
+    url,
+    store,
+    io,
+    // A socket with this handshake `auth`, resolved once the server sent its session
+    async client(handshake = {}) {
+      const socket = connect(url, { auth: handshake, transports: ['websocket'], reconnection: false });
+      sockets.push(socket);
+      socket.session = await next(socket, EVENTS.SESSION);
+      return socket;
+    },
+    // JSON request: resolves to { status, body }
+    async api(method, path, { body, token } = {}) {
+      const headers = { ...(body && { 'content-type': 'application/json' }), ...(token && { authorization: `Bearer ${token}` }) };
+      const res = await fetch(url + path, { method, headers, body: body && JSON.stringify(body) });
+      return { status: res.status, body: await res.json().catch(() => null) };
+    },
+    async close() {
+      for (const socket of sockets) socket.close();
+      await sleep(100); // the server's disconnect handlers still broadcast
+      await new Promise((resolve) => io.close(resolve));
+    },
+  };
+}
+
+// A registered local account: { accessToken, refreshToken, userId, username }
+async function register(server, username, password = 'correct horse') {
+  const res = await server.api('POST', '/api/auth/register', { body: { username, password } });
+  if (res.status !== 201) throw new Error(`register ${username}: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+// Resolves with the first `event` payload that passes `match`, or fails after a while
+function next(socket, event, match = () => true, ms = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`no matching ${event} within ${ms}ms`));
+    }, ms);
+    function listener(payload) {
+      if (!match(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(payload);
+    }
+    socket.on(event, listener);
+  });
+}
+
+// Emit and wait for the ack; a handler that never answers fails the test instead of hanging it
+const request = (socket, event, payload, ms = 2000) => socket.timeout(ms).emitWithAck(event, payload);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = { startServer, register, next, request, sleep, EVENTS };
@@ -0,0 +1,93 @@
+// server/test/mentions.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register, request, sleep, EVENTS } = require('./helpers');
+const { findMentions } = require('../controllers/mentionController');
+
+let server;
+let alice;
+let bob;
+let carol;
+
+before(async () => {
+  server = await startServer();
+  [alice, bob, carol] = await Promise.all(['alice', 'bob', 'carol'].map((name) => register(server, name)));
+  for (const user of [alice, bob, carol]) {
+    user.socket = await server.client({ token: user.accessToken });
+    user.notifications = [];
+    user.socket.on(EVENTS.NOTIFICATION, (n) => user.notifications.push(n));
+  }
+});
+
+after(() => server.close());
+
+// A room of alice's with `members` joined; notifications so far are forgotten
+async function roomWith(name, members, visibility = 'public') {
+  const { room } = await request(alice.socket, EVENTS.CREATE_ROOM, { name, visibility });
+  for (const user of members) {
+    if (visibility !== 'public') await request(alice.socket, EVENTS.INVITE_TO_ROOM, { room: room.slug, userId: user.userId });
+    await request(user.socket, EVENTS.JOIN_ROOM, { room: room.slug });
+  }
+  for (const user of [alice, bob, carol]) user.notifications.length = 0;
+  return room.slug;
+}
+
+const say = async (user, room, message) => {
+  const ack = await request(user.socket, EVENTS.SEND_MESSAGE, { room, message });
+  await sleep(100);
+  return ack;
+};
+
+test('@names are found at word starts, without trailing punctuation or addresses', () => {
+  assert.deepEqual(findMentions('@bob, mail bob@example.com or ask @carol.'), [
+    { name: 'bob', offset: 0, length: 4 },
+    { name: 'carol', offset: 34, length: 6 },
+  ]);
+});
+
+test('a mention of someone who can read the room is stored and notifies them once', async () => {
+  const room = await roomWith('mentions', [bob]);
+  const ack = await say(alice, room, '@Bob look, @bob again, @room and @nobody');
+
+  const { mentions } = await server.store.messages.findById(ack.id);
+  assert.deepEqual(
+    mentions.filter((m) => m.kind === 'user').map((m) => [m.userId, m.offset, m.length]),
+    [[bob.userId, 0, 4], [bob.userId, 11, 4]]
+  );
+  assert.ok(mentions.some((m) => m.kind === 'room'));
+  assert.equal(bob.notifications.length, 1);
+  assert.equal(bob.notifications[0].type, 'mention');
+  assert.equal(bob.notifications[0].mention, 'user');
+  assert.equal(alice.notifications.length, 0);
+});
+
+test('someone who cannot read a private room is not mentioned there', async () => {
+  const room = await roomWith('members only', [bob], 'private');
+  const ack = await say(alice, room, 'should @carol know?');
+
+  assert.deepEqual((await server.store.messages.findById(ack.id)).mentions, []);
+  assert.equal(carol.notifications.length, 0);
+});
+
+test('muting a room silences its mentions too', async () => {
+  const room = await roomWith('muted mentions', [bob]);
+  const pref = await request(bob.socket, EVENTS.SET_NOTIFICATION_PREF, { room, level: 'mute' });
+  assert.equal(pref.status, 'ok');
+  await say(alice, room, '@bob are you there?');
+
+  assert.equal(bob.notifications.length, 0);
+});
+
+test('an edit re-parses mentions but notifies nobody', async () => {
+  const room = await roomWith('edited mentions', [bob, carol]);
+  const ack = await say(alice, room, 'hello @bob');
+  bob.notifications.length = 0;
+
+  await request(alice.socket, EVENTS.EDIT_MESSAGE, { messageId: ack.id, message: 'hello @carol' });
+  await sleep(100);
+
+  const { mentions } = await server.store.messages.findById(ack.id);
+  assert.deepEqual(mentions.map((m) => m.userId), [carol.userId]);
+  assert.equal(carol.notifications.length, 0);
+  assert.equal(bob.notifications.length, 0);
+});
@@ -0,0 +1,160 @@
+// server/test/messages.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register, next, request, sleep, EVENTS } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+
+before(async () => {
+  server = await startServer();
+  const [a, b] = await Promise.all([register(server, 'alice'), register(server, 'bob')]);
+  alice = await server.client({ token: a.accessToken });
+  bob = await server.client({ token: b.accessToken });
+});
+
+after(() => server.close());
+
+// A public room owned by `owner` with everyone in `members` joined
+async function openRoom(owner, name, members = []) {
+  const { room } = await request(owner, EVENTS.CREATE_ROOM, { name });
+  for (const socket of [owner, ...members]) await request(socket, EVENTS.JOIN_ROOM, { room: room.slug });
+  return room.slug;
+}
+
+test('a retried send is acked with the original message and broadcast once', async () => {
+  const room = await openRoom(alice, 'retries', [bob]);
+  const received = [];
+  bob.on(EVENTS.RECEIVE_MESSAGE, (m) => m.room === room && received.push(m));
+
+  const first = await request(alice, EVENTS.SEND_MESSAGE, { room, message: 'once', clientId: 'c-1' });
+  const retry = await request(alice, EVENTS.SEND_MESSAGE, { room, message: 'once', clientId: 'c-1' });
+  await sleep(100);
+
+  assert.equal(first.duplicate, false);
+  assert.equal(retry.duplicate, true);
+  assert.equal(String(retry.id), String(first.id));
+  assert.equal(received.length, 1);
+});
+
+test('the same clientId from another sender is a message of its own', async () => {
+  const room = await openRoom(alice, 'shared ids', [bob]);
+  const mine = await request(alice, EVENTS.SEND_MESSAGE, { room, message: 'from alice', clientId: 'same' });
+  const theirs = await request(bob, EVENTS.SEND_MESSAGE, { room, message: 'from bob', clientId: 'same' });
+
+  assert.equal(theirs.status, 'ok');
+  assert.equal(theirs.duplicate, false);
+  assert.notEqual(String(theirs.id), String(mine.id));
+  assert.equal((await server.store.messages.findById(theirs.id)).message, 'from bob');
+});
+
+test('a retry is not turned away by slow mode', async () => {
+  const room = await openRoom(alice, 'slow', [bob]);
+  await request(alice, EVENTS.SET_SLOW_MODE, { room, seconds: 60 });
+
+  const first = await request(bob, EVENTS.SEND_MESSAGE, { room, message: 'hi', clientId: 'slow-1' });
+  const retry = await request(bob, EVENTS.SEND_MESSAGE, { room, message: 'hi', clientId: 'slow-1' });
+  const another = await request(bob, EVENTS.SEND_MESSAGE, { room, message: 'again', clientId: 'slow-2' });
+
+  assert.equal(retry.status, 'ok');
+  assert.equal(String(retry.id), String(first.id));
+  assert.equal(another.code, 'slow_mode');
+});
+
+test('a send that fails does not start the slow-mode interval', async () => {
+  const room = await openRoom(alice, 'slow failures', [bob]);
+  await request(alice, EVENTS.SET_SLOW_MODE, { room, seconds: 60 });
+
+  const failed = await request(bob, EVENTS.SEND_MESSAGE, { room, message: 'quoting', replyTo: '000000000000000000000000' });
+  const sent = await request(bob, EVENTS.SEND_MESSAGE, { room, message: 'plain' });
+
+  assert.equal(failed.status, 'error');
+  assert.equal(sent.status, 'ok');
+});
+
+test('deleting a message clears the quotes and thread summary copied from it', async () => {
+  const room = await openRoom(alice, 'tombstones', [bob]);
+  const root = await request(alice, EVENTS.SEND_MESSAGE, { room, message: 'root' });
+  const reply = await request(bob, EVENTS.SEND_MESSAGE, { room, message: 'in the thread', threadId: root.id });
+  const quoted = await request(bob, EVENTS.SEND_MESSAGE, { room, message: 'on the timeline' });
+  const quoting = await request(alice, EVENTS.SEND_MESSAGE, { room, message: 'quoting', replyTo: quoted.id });
+
+  for (const { id } of [reply, quoted]) {
+    assert.equal((await request(bob, EVENTS.DELETE_MESSAGE, { messageId: id })).status, 'ok');
+  }
+
+  const { replyPreview } = await server.store.messages.findById(quoting.id);
+  const { lastReply } = await server.store.messages.findById(root.id);
+  for (const preview of [replyPreview, lastReply]) {
+    assert.equal(preview.message, '');
+    assert.equal(preview.deleted, true);
+  }
+});
+
+test('editing a message updates the quotes and conversation preview copied from it', async () => {
+  const sent = await request(alice, EVENTS.PRIVATE_MESSAGE, { to: bob.session.userId, message: 'typo' });
+  const { room } = await server.store.messages.findById(sent.id);
+  const quoting = await request(bob, EVENTS.PRIVATE_MESSAGE, { conversation: room, message: 'what?', replyTo: sent.id });
+  await request(bob, EVENTS.EDIT_MESSAGE, { messageId: quoting.id, message: 'what now?' });
+  await request(alice, EVENTS.EDIT_MESSAGE, { messageId: sent.id, message: 'fixed' });
+
+  assert.equal((await server.store.messages.findById(quoting.id)).replyPreview.message, 'fixed');
+  assert.equal((await server.store.conversations.findByKey(room)).lastMessage.message, 'what now?');
+});
+
+test('receipts reach the sender, and a malformed messageId is refused', async () => {
+  const room = await openRoom(alice, 'receipts', [bob]);
+  const sent = await request(alice, EVENTS.SEND_MESSAGE, { room, message: 'did you get this?' });
+
+  const delivered = next(alice, EVENTS.MESSAGE_DELIVERED, (r) => String(r.messageId) === String(sent.id));
+  bob.emit(EVENTS.MESSAGE_DELIVERED, { messageId: sent.id });
+  assert.equal((await delivered).userId, bob.session.userId);
+
+  for (const event of [EVENTS.MESSAGE_DELIVERED, EVENTS.MESSAGE_READ]) {
+    const res = await request(bob, event, { messageId: 'not-an-id' });
+    assert.equal(res.status, 'error');
+    assert.equal(res.code, 'invalid_message_id');
+  }
+});
+
+test('only the author edits, and the previous text is kept', async () => {
+  const room = await openRoom(alice, 'editing', [bob]);
+  const sent = await request(alice, EVENTS.SEND_MESSAGE, { room, message: 'frist' });
+
+  assert.equal((await request(bob, EVENTS.EDIT_MESSAGE, { messageId: sent.id, message: 'hijacked' })).code, 'not_author');
+  const broadcast = next(bob, EVENTS.MESSAGE_EDITED, (m) => String(m._id) === String(sent.id));
+  const edited = await request(alice, EVENTS.EDIT_MESSAGE, { messageId: sent.id, message: 'first' });
+
+  assert.equal(edited.status, 'ok');
+  assert.equal((await broadcast).message, 'first');
+  assert.deepEqual(edited.message.edits.map((e) => e.message), ['frist']);
+});
+
+test('a muted author can no longer edit in that room', async () => {
+  const room = await openRoom(alice, 'muting', [bob]);
+  const sent = await request(bob, EVENTS.SEND_MESSAGE, { room, message: 'loud' });
+  await request(alice, EVENTS.MUTE_USER, { room, userId: bob.session.userId });
+
+  assert.equal((await request(bob, EVENTS.EDIT_MESSAGE, { messageId: sent.id, message: 'louder' })).code, 'muted');
+});
+
+test("members delete their own room messages, moderators anybody's", async () => {
+  const room = await openRoom(alice, 'deleting', [bob]);
+  const byAlice = await request(alice, EVENTS.SEND_MESSAGE, { room, message: 'from the owner' });
+  const byBob = await request(bob, EVENTS.SEND_MESSAGE, { room, message: 'from a member' });
+
+  assert.equal((await request(bob, EVENTS.DELETE_MESSAGE, { messageId: byAlice.id })).code, 'not_author');
+  const removed = await request(alice, EVENTS.DELETE_MESSAGE, { messageId: byBob.id });
+  assert.equal(removed.status, 'ok');
+  assert.equal(removed.message.message, '');
+  assert.equal(removed.message.deletedBy, alice.session.userId);
+  assert.equal((await request(alice, EVENTS.DELETE_MESSAGE, { messageId: byBob.id })).code, 'message_deleted');
+});
+
+test('private messages are deleted only by their author', async () => {
+  const sent = await request(alice, EVENTS.PRIVATE_MESSAGE, { to: bob.session.userId, message: 'just between us' });
+
+  assert.equal((await request(bob, EVENTS.DELETE_MESSAGE, { messageId: sent.id })).code, 'not_author');
+  assert.equal((await request(alice, EVENTS.DELETE_MESSAGE, { messageId: sent.id })).status, 'ok');
+});
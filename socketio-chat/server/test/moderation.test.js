@@ -0,0 +1,64 @@
+// server/test/moderation.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register, request, sleep, EVENTS } = require('./helpers');
+const config = require('../config');
+
+let server;
+let alice;
+let bob;
+
+before(async () => {
+  server = await startServer();
+  [alice, bob] = await Promise.all([register(server, 'alice'), register(server, 'bob')]);
+  alice.socket = await server.client({ token: alice.accessToken });
+  bob.socket = await server.client({ token: bob.accessToken });
+});
+
+after(() => server.close());
+
+// A public room of alice's that bob joined
+async function sharedRoom(name) {
+  const { room } = await request(alice.socket, EVENTS.CREATE_ROOM, { name });
+  await request(bob.socket, EVENTS.JOIN_ROOM, { room: room.slug });
+  return room.slug;
+}
+
+test('a kicked user stops receiving the room and can neither post nor rejoin', async () => {
+  const room = await sharedRoom('kicking');
+  const received = [];
+  bob.socket.on(EVENTS.RECEIVE_MESSAGE, (m) => m.room === room && received.push(m.message));
+
+  const kicked = await request(alice.socket, EVENTS.KICK_USER, { room, userId: bob.userId, reason: 'cool off' });
+  assert.equal(kicked.status, 'ok');
+  await request(alice.socket, EVENTS.SEND_MESSAGE, { room, message: 'after the kick' });
+  await sleep(100);
+
+  assert.deepEqual(received, []);
+  assert.equal((await request(bob.socket, EVENTS.SEND_MESSAGE, { room, message: 'let me in' })).code, 'kicked');
+  assert.equal((await request(bob.socket, EVENTS.JOIN_ROOM, { room })).code, 'kicked');
+  const rest = await server.api('POST', `/api/rooms/${room}/join`, { token: bob.accessToken });
+  assert.equal(rest.status, 403);
+  assert.equal(rest.body.code, 'kicked');
+});
+
+test('once the cooldown is over the kicked user may rejoin and post', async (t) => {
+  const room = await sharedRoom('cooling down');
+  const cooldown = config.moderation.kickCooldownSeconds;
+  config.moderation.kickCooldownSeconds = 1;
+  t.after(() => (config.moderation.kickCooldownSeconds = cooldown));
+  await request(alice.socket, EVENTS.KICK_USER, { room, userId: bob.userId });
+  assert.equal((await request(bob.socket, EVENTS.JOIN_ROOM, { room })).code, 'kicked');
+
+  await sleep(1100);
+  assert.equal((await request(bob.socket, EVENTS.JOIN_ROOM, { room })).status, 'ok');
+  assert.equal((await request(bob.socket, EVENTS.SEND_MESSAGE, { room, message: 'back again' })).status, 'ok');
+});
+
+test('a plain member cannot kick', async () => {
+  const room = await sharedRoom('ranks');
+  const byMember = await request(bob.socket, EVENTS.KICK_USER, { room, userId: alice.userId });
+
+  assert.equal(byMember.status, 'error');
+  assert.equal((await request(alice.socket, EVENTS.SEND_MESSAGE, { room, message: 'still here' })).status, 'ok');
+});
@@ -0,0 +1,35 @@
+// server/test/rateLimit.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../rateLimit');
+
+const who = { userId: 'u1', ip: '10.0.0.1' };
+
+test('a reconnect catch-up can acknowledge a whole page of messages', () => {
+  const limiter = createRateLimiter();
+  const now = 1_000_000;
+  for (let i = 0; i < 100; i++) {
+    assert.equal(limiter.check('message_delivered', who, now).ok, true);
+    assert.equal(limiter.check('message_read', who, now).ok, true);
+  }
+});
+
+test('receipts over their limit are refused without a penalty', () => {
+  const limiter = createRateLimiter();
+  const now = 1_000_000;
+  let refused = 0;
+  for (let i = 0; i < 400; i++) if (!limiter.check('message_read', who, now).ok) refused += 1;
+
+  assert.equal(refused, 100);
+  assert.deepEqual(limiter.check('send_message', who, now), { ok: true });
+  assert.equal(limiter.blocked(who, now), null);
+});
+
+test('sends get a burst of 10, then one a second', () => {
+  const limiter = createRateLimiter();
+  const now = 1_000_000;
+  for (let i = 0; i < 10; i++) assert.equal(limiter.check('send_message', who, now).ok, true);
+
+  assert.deepEqual(limiter.check('send_message', who, now), { ok: false, action: 'warn', retryAfter: 1 });
+  assert.equal(limiter.check('send_message', who, now + 1000).ok, true);
+});
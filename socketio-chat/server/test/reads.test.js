@@ -0,0 +1,49 @@
+// server/test/reads.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register, request, EVENTS } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+
+before(async () => {
+  server = await startServer();
+  const [a, b] = await Promise.all([register(server, 'alice'), register(server, 'bob')]);
+  alice = await server.client({ token: a.accessToken });
+  bob = await server.client({ token: b.accessToken });
+  bob.token = b.accessToken;
+});
+
+after(() => server.close());
+
+const unreadOf = async (room) => (await server.api('GET', '/api/reads', { token: bob.token })).body[room];
+
+test('the message that opens a direct conversation counts as unread', async (t) => {
+  // the conversation and its first message are created within one millisecond
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const first = await request(alice, EVENTS.PRIVATE_MESSAGE, { to: bob.session.userId, message: 'hi' });
+  t.mock.timers.reset();
+  const { room } = await server.store.messages.findById(first.id);
+  await request(alice, EVENTS.PRIVATE_MESSAGE, { conversation: room, message: 'are you there?' });
+
+  const state = await unreadOf(room);
+  assert.equal(state.unread, 2);
+  assert.equal(state.firstUnreadId, String(first.id));
+});
+
+test('reading and posting move the count; thread replies do not count', async () => {
+  const { room } = await request(alice, EVENTS.CREATE_ROOM, { name: 'reading' });
+  await request(bob, EVENTS.JOIN_ROOM, { room: room.slug });
+  const root = await request(alice, EVENTS.SEND_MESSAGE, { room: room.slug, message: 'one' });
+  await request(alice, EVENTS.SEND_MESSAGE, { room: room.slug, message: 'in a thread', threadId: root.id });
+  const second = await request(alice, EVENTS.SEND_MESSAGE, { room: room.slug, message: 'two' });
+  await request(alice, EVENTS.SEND_MESSAGE, { room: room.slug, message: 'three' });
+  assert.equal((await unreadOf(room.slug)).unread, 3);
+
+  const marked = await request(bob, EVENTS.MARK_READ, { room: room.slug, messageId: second.id });
+  assert.equal(marked.status, 'ok');
+  assert.equal((await unreadOf(room.slug)).unread, 1);
+  await request(bob, EVENTS.SEND_MESSAGE, { room: room.slug, message: 'mine' });
+  assert.equal((await unreadOf(room.slug)).unread, 0);
+});
@@ -0,0 +1,55 @@
+// server/test/rooms.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register, request, sleep, EVENTS } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+
+before(async () => {
+  server = await startServer();
+  [alice, bob] = await Promise.all([register(server, 'alice'), register(server, 'bob')]);
+  alice.socket = await server.client({ token: alice.accessToken });
+});
+
+after(() => server.close());
+
+// Two devices of bob, both in a fresh room of alice's; resolves to what each of them receives there
+async function twoDevicesIn(name) {
+  const { room } = await request(alice.socket, EVENTS.CREATE_ROOM, { name });
+  const devices = [await server.client({ token: bob.accessToken }), await server.client({ token: bob.accessToken })];
+  const received = devices.map((socket) => {
+    const messages = [];
+    socket.on(EVENTS.RECEIVE_MESSAGE, (m) => m.room === room.slug && messages.push(m.message));
+    return messages;
+  });
+  for (const socket of devices) await request(socket, EVENTS.JOIN_ROOM, { room: room.slug });
+  return { slug: room.slug, devices, received };
+}
+
+const say = async (slug, message) => {
+  await request(alice.socket, EVENTS.SEND_MESSAGE, { room: slug, message });
+  await sleep(100);
+};
+
+test('leaving a room over the socket stops its messages on every device', async () => {
+  const { slug, devices, received } = await twoDevicesIn('leaving by socket');
+  await say(slug, 'before');
+
+  assert.equal((await request(devices[0], EVENTS.LEAVE_ROOM, { room: slug })).status, 'ok');
+  await say(slug, 'after');
+
+  assert.deepEqual(received, [['before'], ['before']]);
+});
+
+test('leaving a room over REST stops its messages on every device', async () => {
+  const { slug, received } = await twoDevicesIn('leaving by rest');
+  await say(slug, 'before');
+
+  const res = await server.api('POST', `/api/rooms/${slug}/leave`, { token: bob.accessToken });
+  assert.equal(res.status, 200);
+  await say(slug, 'after');
+
+  assert.deepEqual(received, [['before'], ['before']]);
+});
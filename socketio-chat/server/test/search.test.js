@@ -0,0 +1,60 @@
+// server/test/search.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register, request, EVENTS } = require('./helpers');
+
+let server;
+let alice;
+let bob;
+let carol;
+const where = {};
+
+before(async () => {
+  server = await startServer();
+  [alice, bob, carol] = await Promise.all(['alice', 'bob', 'carol'].map((name) => register(server, name)));
+  for (const user of [alice, bob, carol]) user.socket = await server.client({ token: user.accessToken });
+
+  // the same word in a public room, a private room and a direct conversation of alice's
+  const { room: open } = await request(alice.socket, EVENTS.CREATE_ROOM, { name: 'open kitchen' });
+  const { room: closed } = await request(alice.socket, EVENTS.CREATE_ROOM, { name: 'closed kitchen', visibility: 'private' });
+  await request(alice.socket, EVENTS.SEND_MESSAGE, { room: open.slug, message: 'pineapple on the menu' });
+  await request(alice.socket, EVENTS.SEND_MESSAGE, { room: closed.slug, message: 'pineapple is a secret' });
+  const dm = await request(alice.socket, EVENTS.PRIVATE_MESSAGE, { to: carol.userId, message: 'pineapple, just for you' });
+  const gone = await request(alice.socket, EVENTS.SEND_MESSAGE, { room: open.slug, message: 'pineapple, deleted' });
+  await request(alice.socket, EVENTS.DELETE_MESSAGE, { messageId: gone.id });
+  Object.assign(where, { open: open.slug, closed: closed.slug, dm: (await server.store.messages.findById(dm.id)).room });
+});
+
+after(() => server.close());
+
+const search = async (user, filters = {}) => {
+  const res = await request(user.socket, EVENTS.SEARCH_MESSAGES, { query: 'pineapple', ...filters });
+  return res.status === 'ok' ? res.results.map((r) => r.message.room).sort() : res;
+};
+
+test('search covers public rooms, your private rooms and your conversations', async () => {
+  assert.deepEqual(await search(alice), [where.closed, where.dm, where.open].sort());
+  assert.deepEqual(await search(carol), [where.dm, where.open].sort());
+  assert.deepEqual(await search(bob), [where.open]);
+});
+
+test('isPrivate narrows the search to conversations or to rooms', async () => {
+  assert.deepEqual(await search(carol, { isPrivate: true }), [where.dm]);
+  assert.deepEqual(await search(carol, { isPrivate: false }), [where.open]);
+});
+
+test('a room or conversation you cannot read is not found, not searched', async () => {
+  assert.equal((await search(bob, { room: where.closed })).code, 'room_not_found');
+  assert.equal((await search(bob, { room: where.dm })).code, 'conversation_not_found');
+});
+
+test('without a token, REST search only sees public rooms', async () => {
+  const res = await server.api('GET', '/api/search?q=pineapple');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.results.map((r) => r.message.room), [where.open]);
+});
+
+test('a user banned from a room no longer finds its messages', async () => {
+  await request(alice.socket, EVENTS.BAN_USER, { room: where.open, userId: carol.userId });
+  assert.deepEqual(await search(carol), [where.dm]);
+});
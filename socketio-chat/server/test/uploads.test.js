@@ -0,0 +1,71 @@
+// server/test/uploads.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { startServer, request, EVENTS } = require('./helpers');
+
+let server;
+const written = [];
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  for (const url of written) fs.rmSync(path.join(__dirname, '..', 'public', url), { force: true });
+  await server.close();
+});
+
+const png = () => sharp({ create: { width: 640, height: 480, channels: 3, background: '#36c' } }).png().toBuffer();
+
+async function upload(token) {
+  const body = new FormData();
+  body.append('file', new Blob([await png()], { type: 'image/png' }), 'photo.png');
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  const res = await fetch(`${server.url}/api/uploads`, { method: 'POST', body, headers });
+  const attachment = await res.json();
+  if (res.ok) written.push(attachment.url, attachment.thumbnailUrl);
+  return { status: res.status, attachment };
+}
+
+test('an upload without credentials is refused', async () => {
+  assert.equal((await upload()).status, 401);
+});
+
+test("an upload with the shipped client's credentials succeeds", async () => {
+  // what client/src/socket/socket.js sends: a userId in the handshake and no token
+  const socket = await server.client({ userId: 'guest-42' });
+  const res = await request(socket, EVENTS.GET_UPLOAD_TOKEN, {});
+  assert.equal(res.status, 'ok');
+
+  const { status, attachment } = await upload(res.token);
+  assert.equal(status, 201);
+  assert.equal(attachment.kind, 'image');
+  assert.deepEqual(
+    [attachment.width, attachment.height, attachment.thumbWidth, attachment.thumbHeight],
+    [640, 480, 320, 240]
+  );
+});
+
+test('an upload token opens no other route', async () => {
+  const socket = await server.client({ userId: 'guest-7' });
+  const { token } = await request(socket, EVENTS.GET_UPLOAD_TOKEN, {});
+  assert.equal((await server.api('GET', '/api/reads', { token })).status, 401);
+});
+
+test('a sent attachment keeps the image and thumbnail dimensions', async () => {
+  const socket = await server.client({ userId: 'guest-9' });
+  const { token } = await request(socket, EVENTS.GET_UPLOAD_TOKEN, {});
+  const { attachment } = await upload(token);
+  await request(socket, EVENTS.JOIN_ROOM, { room: 'global' });
+
+  const ack = await request(socket, EVENTS.SEND_MESSAGE, { room: 'global', message: '', meta: { attachment } });
+  assert.equal(ack.status, 'ok');
+  const stored = (await server.store.messages.findById(ack.id)).meta.attachment;
+  assert.deepEqual(
+    [stored.width, stored.height, stored.thumbWidth, stored.thumbHeight],
+    [640, 480, 320, 240]
+  );
+});
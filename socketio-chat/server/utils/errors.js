@@ -0,0 +1,20 @@
+const { log } = require('./logger');
+
+// Errors that carry an HTTP status and a stable snake_case code; socket handlers
+// send the code back as the ack `reason`, REST controllers use both.
+function appError(status, code, message = code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+// REST answer for a failed request: an appError as { error, code } with its status,
+// anything else logged under `label` and answered with a plain 500
+function sendError(res, err, label) {
+  if (err.status && err.code) return res.status(err.status).json({ error: err.message, code: err.code });
+  log(`${label} error:`, err);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+module.exports = { appError, sendError };
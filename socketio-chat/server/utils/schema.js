@@ -0,0 +1,99 @@
+// server/utils/schema.js
+const { appError } = require('./errors');
+
+/**
+ * Small payload schemas. A schema is a function `(value, path) => clean` that returns
+ * the value to hand on (objects keep only the keys they declare) or throws
+ * appError(400, 'invalid_payload', '<path> <problem>'). Everything is required unless
+ * wrapped in optional(), which also turns null into "absent".
+ */
+function invalid(path, problem) {
+  const err = appError(400, 'invalid_payload', `${path || 'payload'} ${problem}`);
+  err.path = path || null;
+  return err;
+}
+
+function optional(schema) {
+  const check = (value, path) => (value === undefined || value === null ? undefined : schema(value, path));
+  check.optional = true;
+  return check;
+}
+
+function string({ min = 0, max = 256, trim = false, pattern } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'string') throw invalid(path, 'must be a string');
+    const clean = trim ? value.trim() : value;
+    if (clean.length < min) throw invalid(path, min === 1 ? 'must not be empty' : `must be at least ${min} characters`);
+    if (clean.length > max) throw invalid(path, `must be at most ${max} characters`);
+    if (pattern && !pattern.test(clean)) throw invalid(path, 'has an invalid format');
+    return clean;
+  };
+}
+
+// User ids, room slugs, conversation keys, message ids
+const id = () => string({ min: 1, max: 128 });
+
+function number({ min = -Infinity, max = Infinity, integer = false } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid(path, 'must be a number');
+    if (integer && !Number.isInteger(value)) throw invalid(path, 'must be a whole number');
+    if (value < min || value > max) throw invalid(path, `must be between ${min} and ${max}`);
+    return value;
+  };
+}
+
+// Real booleans, and "true" / "false" as sent from query strings and forms
+function boolean() {
+  return (value, path) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw invalid(path, 'must be true or false');
+  };
+}
+
+function oneOf(values) {
+  return (value, path) => {
+    if (!values.includes(value)) throw invalid(path, `must be one of ${values.join(', ')}`);
+    return value;
+  };
+}
+
+function array(item, { min = 0, max = 100 } = {}) {
+  return (value, path) => {
+    if (!Array.isArray(value)) throw invalid(path, 'must be a list');
+    if (value.length < min || value.length > max) throw invalid(path, `must have ${min}-${max} items`);
+    return value.map((v, i) => item(v, `${path || 'payload'}[${i}]`));
+  };
+}
+
+// A plain object with the given keys; anything else it carries is dropped
+function object(shape) {
+  return (value, path) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw invalid(path, 'must be an object');
+    const clean = {};
+    for (const [key, schema] of Object.entries(shape)) {
+      const at = path ? `${path}.${key}` : key;
+      if ((value[key] === undefined || value[key] === null) && !schema.optional) throw invalid(at, 'is required');
+      const v = schema(value[key], at);
+      if (v !== undefined) clean[key] = v;
+    }
+    return clean;
+  };
+}
+
+// The first schema that accepts the value (e.g. a cursor that is an id or a timestamp)
+function anyOf(...schemas) {
+  return (value, path) => {
+    let first;
+    for (const schema of schemas) {
+      try {
+        return schema(value, path);
+      } catch (err) {
+        first = first || err;
+      }
+    }
+    throw first;
+  };
+}
+
+module.exports = { optional, string, id, number, boolean, oneOf, array, object, anyOf, invalid };